@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
@@ -7,7 +7,14 @@ import { Slider } from "@/components/ui/slider";
 import { Label } from "@/components/ui/label";
 import { Switch } from "@/components/ui/switch";
 import { Textarea } from "@/components/ui/textarea";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine } from "recharts";
+import "./gog_cd_util.js";
+import "./gog_cd_model_core.js";
+import "./gog_cd_csv.js";
+import "./gog_cd_fit.js";
+import "./gog_cd_scenarios.js";
+import "./gog_cd_report.js";
+import "./gog_cd_adapters.js";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine, ComposedChart, Area, BarChart, Bar } from "recharts";
 
 // --- Helpers ---
 function clamp01(n: number) {
@@ -17,6 +24,18 @@ function round2(n: number) {
   return Math.round(n * 100) / 100;
 }
 function sum(arr: number[]) { return arr.reduce((a,b)=>a+b,0); }
+function downloadBlob(blob: Blob, fileName: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = fileName; a.click();
+  URL.revokeObjectURL(url);
+}
+function toCSV(rows: Record<string, any>[]) {
+  if (!rows.length) return "";
+  const cols = Object.keys(rows[0]);
+  const cell = (v: any) => { const t = v == null ? "" : String(v); return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t; };
+  return [cols.join(","), ...rows.map(r => cols.map(c => cell(r[c])).join(","))].join("\n");
+}
 
 // --- Types ---
 interface Triple {
@@ -50,7 +69,101 @@ interface Scenario {
   cdFlagDate?: string; // first CD rupture window flag
   altModelName?: string;
   altFlagDate?: string; // comparison model flag
+  bundle?: BundleLink; // set when the case came from a *_cd_ru_bundle.json
+  timeline?: Timeline; // per-period inputs; absent or "constant" projects `period` unchanged
+  uncertainty?: Uncertainty; // Monte Carlo ranges around the point inputs
+  model?: ModelConfig; // model the case is scored with; absent means the default preset
+  dynamics?: Dynamics; // endogenous debt/health dynamics for the projection; absent or disabled is the linear accumulator
+  evidence?: Record<string, Evidence>; // keyed by input path, e.g. "violations.security.scope", "repair.ack", "health.L"
+  codings?: Coding[]; // independent scores of this case, one per coder
+  adjudication?: Record<string, Adjudication>; // adjudicator's values for disputed inputs, keyed by input path
+  consensus?: { method: ConsensusMethod; coders: string[]; from: string }; // set on a case built from codings
+  provenance?: Record<string, Provenance>; // inputs written by a data adapter, keyed by input path
+}
+interface Source {
+  citation: string;
+  url?: string;
+  date?: string; // YYYY-MM-DD, publication or access date
+}
+interface Evidence {
+  sources: Source[];
+  rationale?: string;
+  coder?: string; // who last edited this entry
+  updated?: string; // YYYY-MM-DD
+}
+interface Coding {
+  coder: string;
+  codedAt: string; // ISO time
+  period: PeriodInput;
+  evidence?: Record<string, Evidence>;
+}
+interface Adjudication { value: number; by: string; note?: string }
+// Mirrors the provenance objects written by gog_cd_adapters.js
+interface Provenance {
+  recipe: string;
+  fingerprint: string; // of the recipe at import time
+  source: string; // file name
+  line: number;
+  value: number; // as imported; differs from the input once it is edited by hand
+  columns: { column: string; raw: number; value: number }[];
+}
+type ConsensusMethod = "mean" | "median" | "adjudicated";
+type RuleKey = "L" | "E" | "B" | "C" | "Rv";
+interface TippingRule { op: "<" | ">"; value: number; }
+// Mirrors the config objects in gog_cd_model_core.js
+interface ModelConfig {
+  id: string;
+  name: string;
+  version: string;
+  domainWeights: Record<keyof ViolationDomains, number>;
+  vCap: number | null;
+  repairWeights: Record<keyof RepairDims, number>;
+  capacity: (keyof Health)[];
+  rules: Record<RuleKey, TippingRule>;
+  minRules: number;
+  bands: { cuts: number[]; labels: string[]; colors: string[] };
+}
+interface PeriodStep {
+  violations: ViolationDomains;
+  repair: RepairDims;
+  health: Health;
+}
+interface Keyframe extends PeriodStep {
+  at: number; // period index, 1-based
+}
+type TimelineMode = "constant" | "manual" | "keyframes";
+type UncertaintyDist = "uniform" | "triangular" | "normal";
+interface InputUncertainty {
+  dist: UncertaintyDist;
+  spread: number; // half-width for uniform/triangular, SD for normal; centred on the point value
 }
+interface Uncertainty {
+  defaults: InputUncertainty; // every input without an override
+  overrides: Record<string, InputUncertainty>; // keyed by input path, e.g. "violations.security.scope", "health.L", "baselineD"
+  draws: number;
+  seed: number;
+}
+interface Timeline {
+  mode: TimelineMode;
+  steps: PeriodStep[]; // manual: one per period, the last one is held past its end
+  keyframes: Keyframe[]; // keyframes: linearly interpolated, held flat outside the first/last
+}
+type FeedbackKey = "L" | "E" | "T" | "P";
+interface Dynamics {
+  enabled: boolean;
+  memory: number; // share of D(t-1) carried into t; 1 = no decay
+  threshold: number; // D(t-1) above which debt compounds
+  compounding: number; // extra debt per period: compounding × (D(t-1) − threshold)^exponent
+  exponent: number;
+  // Change per period in each health factor per unit of debt (D > 0), protest (P) and backfire (B)
+  feedback: Record<FeedbackKey, { debt: number; protest: number; backfire: number }>;
+}
+interface BundleLink {
+  group: string; // bundle file stem, e.g. "hungary_cd_ru_bundle"
+  variant: string; // "baseline", "reform", …
+  layout: BundleLayout;
+}
+type BundleLayout = "components" | "short";
 
 const DEFAULT_TRIPLE: Triple = { scope: 0.5, severity: 0.5, salience: 0.5 };
 const DEFAULT_VIOL: ViolationDomains = {
@@ -63,6 +176,30 @@ const DEFAULT_VIOL: ViolationDomains = {
 const DEFAULT_REPAIR: RepairDims = { ack: 0.4, reform: 0.4, comp: 0.4, inclusive: 0.4, fidelity: 0.4 };
 const DEFAULT_HEALTH: Health = { L: 0.6, E: 0.6, K: 0.6, C: 0.2, B: 0.3, T: 0.6, P: 0.3 };
 
+const VIOL_LABELS: [keyof ViolationDomains, string][] = [
+  ["security", "Security / rights"],
+  ["ruleOfLaw", "Rule of law / elections"],
+  ["centerLocal", "Center–local contradictions"],
+  ["narrativeGap", "Narrative / facts gap"],
+  ["humanitarian", "Humanitarian stewardship"],
+];
+const REPAIR_LABELS: [keyof RepairDims, string][] = [
+  ["ack", "Acknowledgment"],
+  ["reform", "Reform"],
+  ["comp", "Compensation"],
+  ["inclusive", "Inclusivity"],
+  ["fidelity", "Implementation fidelity"],
+];
+const HEALTH_LABELS: [keyof Health, string][] = [
+  ["L", "Legitimacy (L)"],
+  ["E", "Elite cohesion (E)"],
+  ["K", "Capacity (K)"],
+  ["C", "Cost strain (C)"],
+  ["B", "Backfire (B)"],
+  ["T", "Trust (T)"],
+  ["P", "Protest (P)"],
+];
+
 // Seed scenarios (illustrative only)
 const SEED: Scenario[] = [
   {
@@ -121,124 +258,1507 @@ const SEED: Scenario[] = [
 ];
 
 // --- Calculations ---
-function tripleScore(t: Triple) {
-  return clamp01(t.scope) * clamp01(t.severity) * clamp01(t.salience);
+// Formulas, presets and band cut-offs live in gog_cd_model_core.js, shared with the Moral Topology page.
+const Core = (globalThis as any).GoGModel;
+const DEFAULT_MODEL: ModelConfig = Core.getPreset(Core.DEFAULT_PRESET_ID);
+const RULE_KEYS: RuleKey[] = ["L", "E", "B", "C", "Rv"];
+
+function modelOf(s: Scenario): ModelConfig {
+  return s.model ? Core.resolveModel(s.model) : DEFAULT_MODEL;
+}
+function tripleScore(t: Triple): number {
+  return Core.tripleScore(t);
+}
+function V_total(v: ViolationDomains, m: ModelConfig = DEFAULT_MODEL): number {
+  return Core.vTotal(v, m);
+}
+function repairAvg(r: RepairDims, m: ModelConfig = DEFAULT_MODEL): number {
+  return Core.repairAvg(r, m);
+}
+function capacityFactor(h: Health, m: ModelConfig = DEFAULT_MODEL): number {
+  return Core.capacityFactor(h, m);
+}
+function R_total(r: RepairDims, h: Health, m: ModelConfig = DEFAULT_MODEL): number {
+  return Core.rEff(r, h, m);
+}
+function tippingFlags(h: Health, R: number, V: number, m: ModelConfig = DEFAULT_MODEL): { flags: Record<RuleKey, boolean>; count: number; inWindow: boolean } {
+  return Core.tippingFlags(h, R, V, m);
+}
+function leadTimeBand(rv: number, m: ModelConfig = DEFAULT_MODEL): { index: number; label: string; color: string } {
+  return Core.leadTimeBand(rv, m);
+}
+function modelStamp(m: ModelConfig): string {
+  return Core.modelStamp(m);
+}
+
+// --- Multi-period simulation ---
+function stepOf(p: PeriodInput): PeriodStep {
+  return { violations: p.violations, repair: p.repair, health: p.health };
+}
+function lerpFields<T extends object>(a: T, b: T, w: number): T {
+  const out: any = {};
+  for (const k of Object.keys(a)) out[k] = a[k] + (b[k] - a[k]) * w;
+  return out;
+}
+function lerpStep(a: PeriodStep, b: PeriodStep, w: number): PeriodStep {
+  const violations: any = {};
+  for (const k of Object.keys(a.violations)) violations[k] = lerpFields(a.violations[k], b.violations[k], w);
+  return { violations, repair: lerpFields(a.repair, b.repair, w), health: lerpFields(a.health, b.health, w) };
+}
+
+// Inputs for periods 1..horizon under the scenario's timeline mode.
+function periodSteps(s: Scenario, horizon: number): PeriodStep[] {
+  const tl = s.timeline;
+  const base = stepOf(s.period);
+  const kf = tl ? [...tl.keyframes].sort((a,b)=>a.at-b.at) : [];
+  return Array.from({ length: horizon }, (_, i) => {
+    const t = i + 1;
+    if (!tl || tl.mode === "constant") return base;
+    if (tl.mode === "manual") return tl.steps.length ? tl.steps[Math.min(i, tl.steps.length - 1)] : base;
+    if (!kf.length) return base;
+    if (t <= kf[0].at) return kf[0];
+    const j = kf.findIndex(k => k.at >= t);
+    if (j < 0) return kf[kf.length - 1];
+    return lerpStep(kf[j-1], kf[j], (t - kf[j-1].at) / (kf[j].at - kf[j-1].at));
+  });
+}
+
+// --- Endogenous dynamics ---
+// Debt decays through `memory` and compounds above `threshold`; L, E, T and P drift with debt, protest and
+// backfire. The drift adds to each period's coded health, so it reaches CapacityFactor, R and the tipping rules.
+const FEEDBACK_KEYS: FeedbackKey[] = ["L", "E", "T", "P"];
+const DEFAULT_DYNAMICS: Dynamics = {
+  enabled: false, memory: 0.9, threshold: 2, compounding: 0.1, exponent: 1.5,
+  feedback: {
+    L: { debt: -0.01, protest: -0.02, backfire: -0.03 },
+    E: { debt: -0.01, protest: -0.01, backfire: -0.02 },
+    T: { debt: -0.015, protest: -0.01, backfire: -0.03 },
+    P: { debt: 0.015, protest: 0, backfire: 0.03 },
+  },
+};
+// One period of debt: the linear accumulator, or the dynamic step when dynamics is on (shared with the topology).
+function nextD(dPrev: number, V: number, R: number, dyn?: Dynamics): number {
+  return Core.nextD(dPrev, V, R, dyn);
+}
+// Compounding with γ > 1 can run away within the horizon. D is then held at ±D_LIMIT and the first such
+// period is reported as `diverged`, so charts and Monte Carlo quantiles stay finite.
+const D_LIMIT = 1e4;
+
+interface SimRow {
+  period: number; D: number; V: number; R: number; RdivV: number;
+  rules: number; inWindow: boolean; flags: Record<RuleKey, boolean>;
+  health: Health; // as used this period (coded inputs plus any feedback drift)
+}
+function simulatePeriods(baselineD: number, steps: PeriodStep[], m: ModelConfig = DEFAULT_MODEL, dyn?: Dynamics) {
+  const on = !!dyn?.enabled;
+  const drift: Record<FeedbackKey, number> = { L: 0, E: 0, T: 0, P: 0 };
+  let d = baselineD, diverged: number | undefined;
+  const rows: SimRow[] = steps.map((st, i) => {
+    const health = on ? { ...st.health, ...Object.fromEntries(FEEDBACK_KEYS.map(k => [k, clamp01(st.health[k] + drift[k])])) } as Health : st.health;
+    const V = V_total(st.violations, m);
+    const R = R_total(st.repair, health, m);
+    d = nextD(d, V, R, dyn);
+    if (!(Math.abs(d) < D_LIMIT)) { diverged ??= i + 1; d = d < 0 ? -D_LIMIT : D_LIMIT; }
+    const tf = tippingFlags(health, R, V, m);
+    if (on) for (const k of FEEDBACK_KEYS) {
+      const f = dyn!.feedback[k];
+      drift[k] = Math.max(-1, Math.min(1, drift[k] + f.debt * Math.max(0, d) + f.protest * health.P + f.backfire * health.B));
+    }
+    return { period: i + 1, D: d, V, R, RdivV: V > 0 ? R / V : 0, rules: tf.count, inWindow: tf.inWindow, flags: tf.flags, health };
+  });
+  return { rows, firstWindow: rows.find(r => r.inWindow)?.period, diverged };
+}
+
+// --- Monte Carlo uncertainty ---
+const DEFAULT_UNCERTAINTY: Uncertainty = { defaults: { dist: "triangular", spread: 0.1 }, overrides: {}, draws: 2000, seed: 1 };
+const TRIPLE_FIELDS: (keyof Triple)[] = ["scope", "severity", "salience"];
+const SCALAR_INPUTS: { path: string; label: string }[] = [
+  ...VIOL_LABELS.flatMap(([k,label]) => TRIPLE_FIELDS.map(f => ({ path: `violations.${k}.${f}`, label: `${label} · ${f}` }))),
+  ...REPAIR_LABELS.map(([k,label]) => ({ path: `repair.${k}`, label })),
+  ...HEALTH_LABELS.map(([k,label]) => ({ path: `health.${k}`, label })),
+  { path: "baselineD", label: "Baseline D(t-1)" },
+];
+function inputValue(p: PeriodInput, path: string): number {
+  return path.split(".").reduce((o: any, k) => o?.[k], p) ?? 0;
+}
+
+// Seeded so a run can be reproduced from the saved scenario (gog_cd_util.js, also used by the CV folds).
+const Util = (globalThis as any).GoGUtil;
+function mulberry32(seed: number): () => number {
+  return Util.mulberry32(seed);
+}
+function drawDelta(u: InputUncertainty, rand: () => number) {
+  if (!(u.spread > 0)) return 0;
+  if (u.dist === "uniform") return (rand() * 2 - 1) * u.spread;
+  if (u.dist === "triangular") return (rand() + rand() - 1) * u.spread;
+  return Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand()) * u.spread;
+}
+function quantile(sorted: number[], q: number) {
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+function histogram(values: number[], bins = 20) {
+  if (!values.length) return [];
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const w = (hi - lo) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.floor((v - lo) / w))]++;
+  return counts.map((n, i) => ({ x: lo + (i + 0.5) * w, share: n / values.length }));
+}
+
+// The same draw shifts an input in every period: coder uncertainty is about the level, not period noise.
+function perturbStep(st: PeriodStep, delta: Record<string, number>): PeriodStep {
+  const violations: any = {};
+  for (const [k] of VIOL_LABELS) {
+    violations[k] = {};
+    for (const f of TRIPLE_FIELDS) violations[k][f] = clamp01(st.violations[k][f] + (delta[`violations.${k}.${f}`] ?? 0));
+  }
+  const repair: any = {}, health: any = {};
+  for (const [k] of REPAIR_LABELS) repair[k] = clamp01(st.repair[k] + (delta[`repair.${k}`] ?? 0));
+  for (const [k] of HEALTH_LABELS) health[k] = clamp01(st.health[k] + (delta[`health.${k}`] ?? 0));
+  return { violations, repair, health };
+}
+
+interface MonteCarloResult {
+  draws: number;
+  bands: { period: number; D50: number; D90: [number, number]; D50band: [number, number]; RV50: number; RV90: [number, number]; pWindow: number; pOpened: number }[];
+  D: number[][]; // [period][draw], sorted
+  RV: number[][];
+}
+// Long jobs are generators that yield their progress (0–1); runSliced advances one for a few
+// milliseconds at a time between paints, so 20000 draws or a long optimizer run never freeze the tab.
+function runSliced<T>(job: Generator<number, T>, onProgress: (share: number) => void, budgetMs = 40) {
+  let cancelled = false;
+  const done = new Promise<T>((resolve, reject) => {
+    const tick = () => {
+      if (cancelled) return;
+      const until = performance.now() + budgetMs;
+      try {
+        let r = job.next();
+        while (!r.done && performance.now() < until) r = job.next();
+        if (r.done) { resolve(r.value); return; }
+        onProgress(r.value as number);
+        setTimeout(tick, 0);
+      } catch (err) { reject(err); }
+    };
+    setTimeout(tick, 0);
+  });
+  return { done, cancel: () => { cancelled = true; } };
+}
+
+function* runMonteCarlo(s: Scenario, horizon: number, u: Uncertainty): Generator<number, MonteCarloResult> {
+  const rand = mulberry32(u.seed);
+  const m = modelOf(s);
+  const steps = periodSteps(s, horizon);
+  const D: number[][] = steps.map(() => []);
+  const RV: number[][] = steps.map(() => []);
+  const inWindow = new Array(horizon).fill(0);
+  const opened = new Array(horizon).fill(0);
+  for (let n = 0; n < u.draws; n++) {
+    const delta: Record<string, number> = {};
+    for (const { path } of SCALAR_INPUTS) delta[path] = drawDelta(u.overrides[path] ?? u.defaults, rand);
+    const sim = simulatePeriods(s.period.baselineD + delta.baselineD, steps.map(st => perturbStep(st, delta)), m, s.dynamics);
+    sim.rows.forEach((r, i) => {
+      D[i].push(r.D); RV[i].push(r.RdivV);
+      if (r.inWindow) inWindow[i]++;
+      if (sim.firstWindow !== undefined && sim.firstWindow <= r.period) opened[i]++;
+    });
+    yield (n + 1) / u.draws;
+  }
+  D.forEach(a => a.sort((x, y) => x - y));
+  RV.forEach(a => a.sort((x, y) => x - y));
+  const bands = steps.map((_, i) => ({
+    period: i + 1,
+    D50: round2(quantile(D[i], 0.5)),
+    D90: [round2(quantile(D[i], 0.05)), round2(quantile(D[i], 0.95))] as [number, number],
+    D50band: [round2(quantile(D[i], 0.25)), round2(quantile(D[i], 0.75))] as [number, number],
+    RV50: round2(quantile(RV[i], 0.5)),
+    RV90: [round2(quantile(RV[i], 0.05)), round2(quantile(RV[i], 0.95))] as [number, number],
+    pWindow: round2(inWindow[i] / u.draws),
+    pOpened: round2(opened[i] / u.draws),
+  }));
+  return { draws: u.draws, bands, D, RV };
+}
+
+// --- Sensitivity analysis ---
+// Derived inputs are moved by shifting their components equally (clipped to [0,1]), so the rules on L/E still react.
+const DERIVED_INPUTS: { path: string; label: string }[] = [
+  { path: "derived.capacity", label: "CapacityFactor" },
+  { path: "derived.repairAvg", label: "Repair avg" },
+];
+const SWEEP_INPUTS = [...DERIVED_INPUTS, ...SCALAR_INPUTS];
+function sweepLabel(path: string) { return SWEEP_INPUTS.find(i => i.path === path)?.label ?? path; }
+function sweepBase(s: Scenario, path: string, m: ModelConfig) {
+  if (path === "derived.capacity") return capacityFactor(s.period.health, m);
+  if (path === "derived.repairAvg") return repairAvg(s.period.repair, m);
+  return inputValue(s.period, path);
+}
+function sweepRange(s: Scenario, path: string): [number, number] {
+  return path === "baselineD" ? [0, round2(Math.max(2, s.period.baselineD * 2))] : [0, 1];
+}
+function sweepDelta(path: string, d: number, m: ModelConfig): Record<string, number> {
+  if (path === "derived.capacity") return Object.fromEntries(m.capacity.map(k => [`health.${k}`, d]));
+  if (path === "derived.repairAvg") return Object.fromEntries(REPAIR_LABELS.map(([k]) => [`repair.${k}`, d]));
+  return { [path]: d };
+}
+interface SensitivityPoint { D: number; RV: number; rules: number; inWindow: boolean; }
+// Sets the given inputs (base-period values; a timeline is shifted by the same amount) and reads period t.
+function evaluateWith(s: Scenario, horizon: number, t: number, set: [string, number][]): SensitivityPoint {
+  const m = modelOf(s);
+  const delta: Record<string, number> = {};
+  for (const [path, v] of set) {
+    for (const [k, d] of Object.entries(sweepDelta(path, v - sweepBase(s, path, m), m))) delta[k] = (delta[k] ?? 0) + d;
+  }
+  const sim = simulatePeriods(s.period.baselineD + (delta.baselineD ?? 0), periodSteps(s, horizon).map(st => perturbStep(st, delta)), m, s.dynamics);
+  const r = sim.rows[Math.min(t, sim.rows.length) - 1];
+  return { D: r.D, RV: r.RdivV, rules: r.rules, inWindow: r.inWindow };
+}
+function tornado(s: Scenario, horizon: number, t: number, dScore: number, dBaseline: number) {
+  const m = modelOf(s);
+  const base = evaluateWith(s, horizon, t, []);
+  const rows = SWEEP_INPUTS.map(({ path, label }) => {
+    const v = sweepBase(s, path, m);
+    const d = path === "baselineD" ? dBaseline : dScore;
+    const [lo, hi] = path === "baselineD" ? [v - d, v + d] : [Math.max(0, v - d), Math.min(1, v + d)];
+    return { path, label, value: v, lo, hi, low: evaluateWith(s, horizon, t, [[path, lo]]), high: evaluateWith(s, horizon, t, [[path, hi]]) };
+  });
+  return { base, rows };
+}
+function sweep1D(s: Scenario, horizon: number, t: number, path: string, range: [number, number], n: number) {
+  return Array.from({ length: n }, (_, i) => {
+    const x = range[0] + (range[1] - range[0]) * (n > 1 ? i / (n - 1) : 0);
+    return { x: round2(x), ...evaluateWith(s, horizon, t, [[path, x]]) };
+  });
+}
+function sweep2D(s: Scenario, horizon: number, t: number, px: string, rx: [number, number], py: string, ry: [number, number], n: number) {
+  const at = (r: [number, number], i: number) => r[0] + (r[1] - r[0]) * (n > 1 ? i / (n - 1) : 0);
+  const xs = Array.from({ length: n }, (_, i) => at(rx, i));
+  const ys = Array.from({ length: n }, (_, i) => at(ry, i));
+  const cells = ys.map(y => xs.map(x => evaluateWith(s, horizon, t, [[px, x], [py, y]])));
+  return { xs, ys, cells };
+}
+
+// --- Repair-path optimizer ---
+interface OptimizerGoal {
+  rv?: number; // R/V at or above this in every period
+  clearWindow?: boolean; // fewer than minRules tipping rules in every period
+  dCeiling?: number; // D(t) at or below this in every period
+}
+interface OptimizerResult {
+  delta: Record<string, number>;
+  met: boolean;
+  shortfall: number;
+  totalCost: number;
+  changes: { path: string; label: string; before: number; after: number; cost: number }[];
+}
+const OPT_INPUTS = SCALAR_INPUTS.filter(i => i.path !== "baselineD");
+
+// Distance by which each breached rule misses its threshold (plus a hair, the rules are strict).
+function breachMargins(h: Health, R: number, V: number, m: ModelConfig, flags = tippingFlags(h, R, V, m).flags) {
+  return RULE_KEYS.filter(k => flags[k]).map(k => {
+    const value = k === "Rv" ? R / V : h[k];
+    return Math.abs(value - m.rules[k].value) + 1e-3;
+  });
+}
+// 0 when the goal holds over the whole horizon; otherwise a continuous measure of how far off it is.
+function goalShortfall(s: Scenario, steps: PeriodStep[], delta: Record<string, number>, goal: OptimizerGoal) {
+  const m = modelOf(s);
+  let short = 0;
+  const sim = simulatePeriods(s.period.baselineD + (delta.baselineD ?? 0), steps.map(x => perturbStep(x, delta)), m, s.dynamics);
+  for (const { V, R, D, health, flags } of sim.rows) {
+    if (goal.rv !== undefined) short += Math.max(0, goal.rv - (V > 0 ? R / V : Infinity));
+    if (goal.clearWindow) {
+      const margins = breachMargins(health, R, V, m, flags).sort((a, b) => a - b);
+      short += sum(margins.slice(0, Math.max(0, margins.length - (m.minRules - 1))));
+    }
+    if (goal.dCeiling !== undefined) short += Math.max(0, D - goal.dCeiling);
+  }
+  return short;
+}
+
+// Greedy: each move is the ±step on one unlocked input with the largest shortfall reduction per unit cost;
+// afterwards every change is shrunk as far as the goal allows, so the plan does not overshoot.
+// Runs through runSliced: it yields the share of the starting shortfall removed so far after every move.
+function* optimizeRepairPath(s: Scenario, horizon: number, goal: OptimizerGoal, locked: Record<string, boolean>, cost: Record<string, number>, step = 0.025, maxIter = 2000): Generator<number, OptimizerResult> {
+  const free = OPT_INPUTS.filter(i => !locked[i.path]);
+  const costOf = (path: string) => Math.max(1e-3, cost[path] ?? 1);
+  const steps = periodSteps(s, horizon);
+  const shortOf = (d: Record<string, number>) => goalShortfall(s, steps, d, goal);
+  const delta: Record<string, number> = {};
+  let short = shortOf(delta);
+  const start = short;
+  for (let iter = 0; iter < maxIter && short > 1e-9; iter++) {
+    let best: { path: string; d: number; short: number; gain: number } | null = null;
+    for (const { path } of free) {
+      const base = inputValue(s.period, path), cur = base + (delta[path] ?? 0);
+      for (const dir of [1, -1]) {
+        const next = clamp01(cur + dir * step);
+        if (Math.abs(next - cur) < 1e-9) continue;
+        const sh = shortOf({ ...delta, [path]: next - base });
+        const gain = (short - sh) / (costOf(path) * Math.abs(next - cur));
+        if (gain > 1e-9 && (!best || gain > best.gain)) best = { path, d: next - base, short: sh, gain };
+      }
+    }
+    if (!best) break;
+    delta[best.path] = best.d;
+    short = best.short;
+    yield 0.95 * (1 - short / start);
+  }
+  const met = short <= 1e-9;
+  if (met) {
+    for (const path of Object.keys(delta).sort((a, b) => costOf(b) * Math.abs(delta[b]) - costOf(a) * Math.abs(delta[a]))) {
+      let lo = 0, hi = 1; // fraction of the change that is kept
+      for (let k = 0; k < 12; k++) {
+        const mid = (lo + hi) / 2;
+        if (shortOf({ ...delta, [path]: delta[path] * mid }) <= 1e-9) hi = mid; else lo = mid;
+      }
+      delta[path] *= hi;
+      yield 0.95;
+    }
+  }
+  const changes = Object.entries(delta).filter(([, d]) => Math.abs(d) > 1e-4).map(([path, d]) => ({
+    path, label: sweepLabel(path), before: inputValue(s.period, path), after: clamp01(inputValue(s.period, path) + d), cost: costOf(path) * Math.abs(d),
+  })).sort((a, b) => b.cost - a.cost);
+  return { delta, met, shortfall: shortOf(delta), totalCost: sum(changes.map(c => c.cost)), changes };
+}
+
+// The same shift lands on every period of a timeline.
+function applyDelta(s: Scenario, delta: Record<string, number>): Scenario {
+  const shift = (st: PeriodStep) => perturbStep(st, delta);
+  const tl = s.timeline;
+  return {
+    ...s,
+    period: { ...s.period, ...shift(stepOf(s.period)) },
+    timeline: tl && { ...tl, steps: tl.steps.map(shift), keyframes: tl.keyframes.map(k => ({ ...shift(k), at: k.at })) },
+  };
+}
+
+// recharts and the heatmap both render <svg>; these export whatever the container holds. A container with
+// several charts (the three tornadoes) becomes one document with each chart at its on-screen position, plus
+// any captions marked data-export-title; recharts' legend icons are skipped.
+const SVG_NS = "http://www.w3.org/2000/svg";
+function svgMarkup(container: HTMLElement | null) {
+  if (!container) return null;
+  const charts = Array.from(container.querySelectorAll("svg")).filter(el => !el.parentElement?.closest("svg") && !el.closest(".recharts-legend-wrapper"));
+  if (!charts.length) return null;
+  const box = container.getBoundingClientRect();
+  const doc = document.createElementNS(SVG_NS, "svg");
+  doc.setAttribute("xmlns", SVG_NS);
+  doc.setAttribute("width", String(box.width)); doc.setAttribute("height", String(box.height));
+  for (const el of Array.from(container.querySelectorAll<HTMLElement>("[data-export-title]"))) {
+    const r = el.getBoundingClientRect();
+    const text = document.createElementNS(SVG_NS, "text");
+    text.setAttribute("x", String(r.left - box.left + r.width / 2)); text.setAttribute("y", String(r.bottom - box.top - 3));
+    text.setAttribute("text-anchor", "middle"); text.setAttribute("font-size", "12"); text.setAttribute("font-family", "sans-serif"); text.setAttribute("fill", "#6b7280");
+    text.textContent = el.textContent;
+    doc.appendChild(text);
+  }
+  for (const svg of charts) {
+    const r = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true) as SVGSVGElement;
+    clone.setAttribute("x", String(r.left - box.left)); clone.setAttribute("y", String(r.top - box.top));
+    clone.setAttribute("width", String(r.width)); clone.setAttribute("height", String(r.height));
+    doc.appendChild(clone);
+  }
+  return { markup: new XMLSerializer().serializeToString(doc), width: box.width, height: box.height };
+}
+function exportSVG(container: HTMLElement | null, fileName: string) {
+  const svg = svgMarkup(container);
+  if (svg) downloadBlob(new Blob([svg.markup], { type: "image/svg+xml" }), fileName);
+}
+function exportPNG(container: HTMLElement | null, fileName: string, scale = 2) {
+  const svg = svgMarkup(container);
+  if (!svg) return;
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = svg.width * scale; canvas.height = svg.height * scale;
+    const ctx = canvas.getContext("2d")!;
+    ctx.fillStyle = "#ffffff"; ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob(b => { if (b) downloadBlob(b, fileName); }, "image/png");
+  };
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg.markup)}`;
+}
+
+// --- Predictive validation (GoG_100_country_profiles_with_groundtruth_stepB.csv layout) ---
+// CSV/TSV parsing is shared with the Moral Topology page (gog_cd_csv.js).
+const CSV = (globalThis as any).GoGCSV;
+function numOrNaN(v?: string): number { return CSV.parseNumber(v); }
+
+interface ValidationRow {
+  country: string; year: number; label: 0 | 1;
+  prob: number; rv: number;
+  health: Health; // NaN where the file has no column, so that rule never fires
+}
+interface ValidationData {
+  rows: ValidationRow[];
+  excluded: { country: string; year: string; reason: string }[];
+  ruleColumns: (keyof Health)[]; // health columns present in the file
+}
+
+function validationRows(text: string): ValidationData {
+  const { header, rows } = CSV.parse(text) as { header: string[]; rows: string[][] };
+  const col = (name: string) => header.findIndex(h => h.toLowerCase() === name.toLowerCase());
+  const need = ["Country", "Year", "rupture_occurred"];
+  const missing = need.filter(n => col(n) < 0);
+  if (missing.length) throw new Error(`Missing column(s): ${missing.join(", ")}`);
+  const ruleColumns = HEALTH_LABELS.map(([k]) => k).filter(k => col(k) >= 0);
+  const out: ValidationData = { rows: [], excluded: [], ruleColumns };
+  for (const r of rows) {
+    const get = (name: string) => { const i = col(name); return i >= 0 ? r[i] : undefined; };
+    const country = (get("Country") ?? "").trim(), year = (get("Year") ?? "").trim();
+    const label = numOrNaN(get("rupture_occurred"));
+    let rv = numOrNaN(get("R_V_ratio"));
+    if (!Number.isFinite(rv)) { const R = numOrNaN(get("R")), V = numOrNaN(get("V_total")); if (Number.isFinite(R) && V > 0) rv = R / V; }
+    let prob = numOrNaN(get("rupture_probability"));
+    if (!Number.isFinite(prob) && Number.isFinite(rv)) prob = clamp01(1 - rv);
+    const health: Health = { L: NaN, E: NaN, K: NaN, C: NaN, B: NaN, T: NaN, P: NaN };
+    const naRules: string[] = [];
+    for (const k of ruleColumns) { const v = numOrNaN(get(k)); if (Number.isFinite(v)) health[k] = v; else naRules.push(k); }
+    const reasons: string[] = [];
+    if (label !== 0 && label !== 1) reasons.push("rupture_occurred not 0/1");
+    if (!Number.isFinite(rv)) reasons.push("R/V is NA");
+    if (!Number.isFinite(prob)) reasons.push("rupture_probability is NA");
+    if (naRules.length) reasons.push(`${naRules.join(", ")} NA`);
+    if (reasons.length) out.excluded.push({ country, year, reason: reasons.join("; ") });
+    else out.rows.push({ country, year: Number(year), label: label as 0 | 1, prob, rv, health });
+  }
+  return out;
+}
+
+// Rule count under the model, with its R/V threshold swapped for the sweep's cut-off.
+function ruleCount(r: ValidationRow, rvCut: number, m: ModelConfig) {
+  const swept = { ...m, rules: { ...m.rules, Rv: { ...m.rules.Rv, value: rvCut } } };
+  return tippingFlags(r.health, r.rv, 1, swept).count;
+}
+// Higher = shorter lead time, so it ranks like a risk score.
+function bandRisk(rv: number, m: ModelConfig) { return m.bands.cuts.length - leadTimeBand(rv, m).index; }
+
+// AUROC as the Mann–Whitney probability that a positive outranks a negative (ties count half); same code as the CV metrics.
+function auroc(scores: number[], labels: number[]): number {
+  return Util.auroc(scores, labels);
+}
+function rocCurve(scores: number[], labels: number[]) {
+  const P = labels.filter(l => l === 1).length, N = labels.length - P;
+  const cuts = Array.from(new Set(scores)).sort((a, b) => b - a);
+  const pts = [{ fpr: 0, tpr: 0 }];
+  for (const c of cuts) {
+    let tp = 0, fp = 0;
+    scores.forEach((s, i) => { if (s >= c) { if (labels[i] === 1) tp++; else fp++; } });
+    pts.push({ fpr: N ? fp / N : 0, tpr: P ? tp / P : 0 });
+  }
+  return pts;
+}
+function brierScore(probs: number[], labels: number[]) {
+  return probs.length ? sum(probs.map((p, i) => (p - labels[i]) ** 2)) / probs.length : NaN;
+}
+function reliabilityBins(probs: number[], labels: number[], bins = 10) {
+  const acc = Array.from({ length: bins }, () => ({ n: 0, p: 0, y: 0 }));
+  probs.forEach((p, i) => { const b = acc[Math.min(bins - 1, Math.floor(clamp01(p) * bins))]; b.n++; b.p += p; b.y += labels[i]; });
+  return acc.map((b, i) => ({ bin: `${i / bins}–${(i + 1) / bins}`, predicted: b.n ? round2(b.p / b.n) : null, observed: b.n ? round2(b.y / b.n) : null, n: b.n })).filter(b => b.n > 0);
+}
+function confusion(pred: boolean[], labels: number[]) {
+  let tp = 0, fp = 0, tn = 0, fn = 0;
+  pred.forEach((p, i) => { if (p) { if (labels[i] === 1) tp++; else fp++; } else { if (labels[i] === 1) fn++; else tn++; } });
+  const n = tp + fp + tn + fn;
+  return {
+    tp, fp, tn, fn,
+    sensitivity: tp + fn ? tp / (tp + fn) : NaN,
+    specificity: tn + fp ? tn / (tn + fp) : NaN,
+    precision: tp + fp ? tp / (tp + fp) : NaN,
+    accuracy: n ? (tp + tn) / n : NaN,
+  };
+}
+
+// --- Lead-time benchmarking (Benchmark_52case_country_year_map.csv layout) ---
+// Periods are quarter indices (year × 4 + quarter − 1). A year-only value ("2018", "2018.0") spans all four quarters.
+function parsePeriod(text?: string): [number, number] | null {
+  const t = (text ?? "").trim();
+  let m = t.match(/^(\d{4})\s*[-_ ]?\s*Q([1-4])$/i);
+  if (m) { const q = Number(m[1]) * 4 + Number(m[2]) - 1; return [q, q]; }
+  m = t.match(/^(\d{4})-(\d{1,2})(-\d{1,2})?$/);
+  if (m && Number(m[2]) >= 1 && Number(m[2]) <= 12) { const q = Number(m[1]) * 4 + Math.floor((Number(m[2]) - 1) / 3); return [q, q]; }
+  m = t.match(/^(\d{4})(\.0+)?$/);
+  if (m) { const q = Number(m[1]) * 4; return [q, q + 3]; }
+  return null;
+}
+function quarterLabel(q: number) { return Number.isFinite(q) ? `${Math.floor(q / 4)}Q${(q % 4) + 1}` : "—"; }
+function normCountry(name: string) {
+  return name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+interface BenchmarkTable { header: string[]; rows: string[][]; col: (...names: string[]) => number }
+function benchmarkTable(text: string): BenchmarkTable {
+  const { header, rows } = CSV.parse(text) as { header: string[]; rows: string[][] };
+  const col = (...names: string[]) => header.findIndex(h => names.some(n => h.toLowerCase() === n.toLowerCase()));
+  return { header, rows, col };
+}
+// Period from a Quarter/Date/Period column, or Year plus an optional Quarter number ("3" or "Q3").
+function rowPeriod(t: BenchmarkTable, r: string[]): [number, number] | null {
+  const year = t.col("year", "actual_year"), quarter = t.col("quarter", "actual_quarter"), date = t.col("date", "period", "event_date");
+  const qv = quarter >= 0 ? (r[quarter] ?? "").trim() : "";
+  if (qv && /^\d{4}/.test(qv)) return parsePeriod(qv);
+  if (date >= 0 && (r[date] ?? "").trim()) return parsePeriod(r[date]);
+  if (year < 0) return null;
+  const y = (r[year] ?? "").trim().replace(/\.0+$/, "");
+  return parsePeriod(qv ? `${y}Q${qv.replace(/^q/i, "")}` : y);
+}
+
+interface PanelPoint { q: number; count: number; inWindow: boolean }
+interface BenchmarkPanel {
+  series: Record<string, { name: string; points: PanelPoint[] }>; // keyed by normCountry
+  excluded: { line: string; reason: string }[];
+  ruleColumns: (keyof Health)[];
+}
+// Each panel row gives V (V_total, or per-domain scores), R (R, or repair dimensions × CapacityFactor) and the
+// health factors; tipping rules whose health column is absent never fire, as in validation. A row missing a
+// score, repair value or CapacityFactor factor that its V or R needs is excluded, never read as 0.
+function benchmarkPanel(text: string, m: ModelConfig): BenchmarkPanel {
+  const t = benchmarkTable(text);
+  const country = t.col("country", "country_norm");
+  if (country < 0) throw new Error("Panel needs a Country column");
+  const vCol = t.col("V_total", "V");
+  const domainCols = VIOL_LABELS.map(([k]) => [k, t.col(k)] as const).filter(([, i]) => i >= 0);
+  const rCol = t.col("R", "R_eff");
+  const repairCols = REPAIR_LABELS.map(([k]) => [k, t.col(k)] as const).filter(([, i]) => i >= 0);
+  const ruleColumns = HEALTH_LABELS.map(([k]) => k).filter(k => t.col(k) >= 0);
+  if (vCol < 0 && !domainCols.length) throw new Error("Panel needs V_total or per-domain score columns");
+  if (rCol < 0 && !repairCols.length) throw new Error("Panel needs R or repair-dimension columns");
+  const out: BenchmarkPanel = { series: {}, excluded: [], ruleColumns };
+  t.rows.forEach((r, i) => {
+    const name = (r[country] ?? "").trim();
+    const period = rowPeriod(t, r);
+    const health: Health = { L: NaN, E: NaN, K: NaN, C: NaN, B: NaN, T: NaN, P: NaN };
+    for (const k of ruleColumns) health[k] = numOrNaN(r[t.col(k)]);
+    const naOf = (cols: readonly (readonly [string, number])[]) => cols.filter(([, c]) => !Number.isFinite(numOrNaN(r[c]))).map(([k]) => k);
+    let V = numOrNaN(r[vCol]), vMissing: string[] = [];
+    if (vCol < 0) {
+      vMissing = naOf(domainCols);
+      V = vMissing.length ? NaN : sum(domainCols.map(([k, c]) => (m.domainWeights[k] ?? 0) * clamp01(numOrNaN(r[c]))));
+      if (m.vCap != null) V = Math.min(m.vCap, V);
+    }
+    let R = numOrNaN(r[rCol]), rMissing: string[] = [];
+    if (rCol < 0) {
+      // R_total reads a missing input as 0, so the gaps are caught here
+      rMissing = [...naOf(repairCols), ...m.capacity.filter(k => !Number.isFinite(health[k]))];
+      const rep = { ...DEFAULT_REPAIR };
+      for (const [k, c] of repairCols) rep[k] = numOrNaN(r[c]);
+      R = rMissing.length ? NaN : R_total(rep, health, m);
+    }
+    const reasons: string[] = [];
+    if (!name) reasons.push("no country");
+    if (!period) reasons.push("no readable quarter");
+    if (!Number.isFinite(V)) reasons.push(vMissing.length ? `V is NA (no ${vMissing.join(", ")})` : "V is NA");
+    if (!Number.isFinite(R)) reasons.push(rMissing.length ? `R is NA (no ${rMissing.join(", ")})` : "R is NA");
+    if (reasons.length) { out.excluded.push({ line: `row ${i + 2}${name ? ` (${name})` : ""}`, reason: reasons.join("; ") }); return; }
+    const key = normCountry(name);
+    const entry = out.series[key] ??= { name, points: [] };
+    const { count, inWindow } = tippingFlags(health, R, V, m);
+    for (let q = period![0]; q <= period![1]; q++) entry.points.push({ q, count, inWindow });
+  });
+  for (const s of Object.values(out.series)) s.points.sort((a, b) => a.q - b.q);
+  return out;
+}
+
+interface BenchmarkEvent { key: string; name: string; q: number; q1: number } // q..q1: the quarters the event may fall in
+function benchmarkEvents(text: string): BenchmarkEvent[] {
+  const t = benchmarkTable(text);
+  const country = t.col("country_norm", "country");
+  if (country < 0) throw new Error("Benchmark file needs a country_norm or Country column");
+  const out: BenchmarkEvent[] = [];
+  for (const r of t.rows) {
+    const name = (r[country] ?? "").trim(), period = rowPeriod(t, r);
+    if (name && period) out.push({ key: normCountry(name), name, q: period[0], q1: period[1] });
+  }
+  return out;
+}
+
+// Alternative-model flags: Country, a period, optional Model (defaults to the file name) and optional Flag (0/1, default 1).
+type AltFlags = Record<string, Record<string, number[]>>; // model → normCountry → flagged quarters
+function altFlagSeries(text: string, fallbackModel: string, into: AltFlags = {}): AltFlags {
+  const t = benchmarkTable(text);
+  const country = t.col("country", "country_norm"), model = t.col("model", "source"), flag = t.col("flag", "flagged");
+  if (country < 0) throw new Error("Flag file needs a Country column");
+  const out: AltFlags = JSON.parse(JSON.stringify(into));
+  for (const r of t.rows) {
+    const name = (r[country] ?? "").trim(), period = rowPeriod(t, r);
+    if (!name || !period || (flag >= 0 && numOrNaN(r[flag]) !== 1)) continue;
+    const series = (out[(model >= 0 && r[model]?.trim()) || fallbackModel] ??= {});
+    const qs = (series[normCountry(name)] ??= []);
+    for (let q = period[0]; q <= period[1]; q++) if (!qs.includes(q)) qs.push(q);
+  }
+  for (const series of Object.values(out)) for (const qs of Object.values(series)) qs.sort((a, b) => a - b);
+  return out;
+}
+
+// A flag series as runs of consecutive flagged quarters, plus the observed span.
+interface FlagEpisodes { starts: number[]; flagged: Set<number>; first: number; last: number }
+function panelEpisodes(points: PanelPoint[]): FlagEpisodes {
+  const flagged = new Set(points.filter(p => p.inWindow).map(p => p.q));
+  return {
+    starts: [...flagged].filter(q => !flagged.has(q - 1)).sort((a, b) => a - b), flagged,
+    first: points.length ? points[0].q : Infinity, last: points.length ? points[points.length - 1].q : -Infinity,
+  };
+}
+function altEpisodes(qs: number[], span: { first: number; last: number }): FlagEpisodes {
+  const flagged = new Set(qs);
+  return { starts: qs.filter(q => !flagged.has(q - 1)), flagged, first: span.first, last: span.last };
+}
+
+type BenchmarkStatus = "hit" | "miss" | "censored" | "uncovered";
+interface BenchmarkCase { country: string; event: number; eventEnd: number; covered: boolean; status: BenchmarkStatus; flag: number; lead: number }
+// A case is a hit when the series is flagged in some quarter of [event − maxLead, event]; the lead time is
+// measured from the first such quarter. A year-only event (four possible quarters) only counts flags up to its
+// first quarter, since a later one may come after the event, and its lead is taken to mid-year rather than Q1.
+// An unflagged event outside the series' span is censored, not a miss: the flag could lie in quarters the series
+// does not have. An episode that starts with no event in the following maxLead quarters is a false alarm,
+// unless those quarters run past the end of the series. Only countries in `covered` (those the panel has) are
+// scored, so every model is judged on the same cases.
+function scoreFlags(events: BenchmarkEvent[], episodes: Record<string, FlagEpisodes>, covered: Set<string>, maxLead: number) {
+  const cases: BenchmarkCase[] = events.map(e => {
+    const ep = episodes[e.key];
+    let flag = NaN;
+    if (ep) for (let q = e.q - maxLead; q <= e.q; q++) if (ep.flagged.has(q)) { flag = q; break; }
+    const hit = Number.isFinite(flag);
+    const status: BenchmarkStatus = !covered.has(e.key) ? "uncovered" : hit ? "hit"
+      : !ep || e.q > ep.last || e.q1 < ep.first ? "censored" : "miss";
+    return { country: e.name, event: e.q, eventEnd: e.q1, covered: covered.has(e.key), status, flag, lead: hit ? (e.q + e.q1) / 2 - flag : NaN };
+  });
+  let falseAlarms = 0, censored = 0;
+  for (const [key, ep] of Object.entries(episodes)) {
+    if (!covered.has(key)) continue;
+    const evs = events.filter(e => e.key === key).map(e => e.q);
+    for (const q of ep.starts) {
+      if (evs.some(e => e >= q && e <= q + maxLead)) continue;
+      if (q + maxLead > ep.last) censored++; else falseAlarms++;
+    }
+  }
+  const count = (st: BenchmarkStatus) => cases.filter(c => c.status === st).length;
+  return { cases, hits: count("hit"), misses: count("miss"), unobserved: count("censored"), falseAlarms, censored };
+}
+
+function median(values: number[]) { return quantile([...values].sort((a, b) => a - b), 0.5); }
+// Percentile bootstrap of the median; seeded so the interval is reproducible.
+function bootstrapMedian(values: number[], reps = 2000, seed = 1, level = 0.95) {
+  if (!values.length) return { median: NaN, lo: NaN, hi: NaN };
+  const rand = mulberry32(seed);
+  const meds: number[] = [];
+  for (let b = 0; b < reps; b++) meds.push(median(values.map(() => values[Math.floor(rand() * values.length)])));
+  meds.sort((a, b) => a - b);
+  return { median: median(values), lo: quantile(meds, (1 - level) / 2), hi: quantile(meds, 1 - (1 - level) / 2) };
+}
+
+function runBenchmark(panel: BenchmarkPanel, events: BenchmarkEvent[], alt: AltFlags, altModel: string, maxLead: number) {
+  const cdEpisodes: Record<string, FlagEpisodes> = {};
+  for (const [k, s] of Object.entries(panel.series)) cdEpisodes[k] = panelEpisodes(s.points);
+  const covered = new Set(Object.keys(panel.series));
+  const cd = scoreFlags(events, cdEpisodes, covered, maxLead);
+  const altSeries = alt[altModel];
+  let altScore: ReturnType<typeof scoreFlags> | null = null;
+  if (altSeries) {
+    // Alt series are judged over the panel's span so both models face the same observation window.
+    const altEps: Record<string, FlagEpisodes> = {};
+    for (const k of covered) altEps[k] = altEpisodes(altSeries[k] ?? [], cdEpisodes[k]);
+    altScore = scoreFlags(events, altEps, covered, maxLead);
+  }
+  const rows = cd.cases.map((c, i) => {
+    const a = altScore?.cases[i];
+    return {
+      country: c.country, event: c.eventEnd > c.event ? `${Math.floor(c.event / 4)} (year)` : quarterLabel(c.event), inPanel: c.covered, yearOnly: c.eventEnd > c.event,
+      cdFlag: quarterLabel(c.flag), cdLead: c.lead, cdStatus: c.status,
+      altFlag: a ? quarterLabel(a.flag) : "—", altLead: a ? a.lead : NaN, altStatus: a ? a.status : undefined,
+      advantage: a && Number.isFinite(c.lead) && Number.isFinite(a.lead) ? c.lead - a.lead : NaN,
+    };
+  });
+  const advantages = rows.map(r => r.advantage).filter(Number.isFinite);
+  return { rows, cd, alt: altScore, advantage: { n: advantages.length, ...bootstrapMedian(advantages) } };
+}
+
+// --- Fitted rupture probability (gog_cd_fit.js, shared with the Moral Topology) ---
+const Fit = (globalThis as any).GoGFit;
+interface FitCoefficient { term: string; estimate: number; se: number; lo: number; hi: number; z: number; p: number; perSD: number | null }
+interface RuptureFit {
+  version: string; features: string[]; lambda: number; n: number; events: number;
+  converged: boolean; iterations: number; logLik: number;
+  coefficients: FitCoefficient[];
+  range: Record<string, [number, number]>; // training range per feature, to flag extrapolation
+  source?: string;
+}
+const FIT_FEATURES: { key: string; label: string }[] = Fit.FEATURES;
+
+// The fit's predictors for one period, under the case's model config.
+function fitFeatures(p: PeriodInput, m: ModelConfig): Record<string, number> {
+  const V = V_total(p.violations, m), R = R_total(p.repair, p.health, m);
+  return { V_total: V, R, capacity_factor: capacityFactor(p.health, m), R_V_ratio: V > 0 ? R / V : 0, ...p.health };
+}
+function fittedProbability(fit: RuptureFit, p: PeriodInput, m: ModelConfig) {
+  const values = fitFeatures(p, m);
+  const outside = fit.features.filter(f => { const [lo, hi] = fit.range[f] ?? [-Infinity, Infinity]; return values[f] < lo || values[f] > hi; });
+  return { prob: Fit.predict(fit, values) as number, outside };
+}
+
+interface FitRow { country: string; year: string; label: 0 | 1; values: Record<string, number> }
+function fitRows(text: string): { rows: FitRow[]; available: string[]; unlabeled: number } {
+  const { header, rows } = CSV.parse(text) as { header: string[]; rows: string[][] };
+  const col = (name: string) => header.findIndex(h => h.toLowerCase() === name.toLowerCase());
+  if (col("rupture_occurred") < 0) throw new Error("Missing column: rupture_occurred");
+  const available = FIT_FEATURES.map(f => f.key).filter(k => Fit.featureColumn(header, k) >= 0);
+  const out: FitRow[] = [];
+  let unlabeled = 0;
+  for (const r of rows) {
+    const label = numOrNaN(r[col("rupture_occurred")]);
+    if (label !== 0 && label !== 1) { unlabeled++; continue; }
+    const values: Record<string, number> = {};
+    for (const k of available) values[k] = numOrNaN(r[Fit.featureColumn(header, k)]);
+    out.push({ country: r[col("Country")] ?? "", year: r[col("Year")] ?? "", label, values });
+  }
+  return { rows: out, available, unlabeled };
+}
+
+// --- Scenario store: autosave, revision history, undo/redo ---
+// The file schema, its migrations and field validation live in gog_cd_scenarios.js (shared with the Moral Topology).
+const Schema = (globalThis as any).GoGScenarios;
+const STORE_KEY = "gog-cd-playground.store";
+const BACKUP_KEY = "gog-cd-playground.store.backup"; // saved data that could not be fully read back
+const AUTHOR_KEY = "gog-cd-playground.author";
+const HISTORY_LIMIT = 200; // revisions kept per scenario
+const UNDO_LIMIT = 100;
+const COALESCE_MS = 4000; // repeated edits to the same inputs within this window form one revision / undo step
+
+interface Change { path: string; from: any; to: any }
+interface Revision {
+  at: string; // ISO time
+  author: string;
+  kind: "create" | "edit" | "import" | "undo" | "redo";
+  changes: Change[];
+  why?: string;
+}
+interface FileIssue { path: string; message: string }
+interface ImportReport {
+  source: string; added: number; updated: number; unchanged: number; rejected: number;
+  migratedFrom: number | null; errors: FileIssue[]; warnings: FileIssue[];
+  backup?: string; // the saved data as it was, when part of it could not be loaded
+}
+interface StoreState {
+  scenarios: Scenario[];
+  past: Scenario[][];
+  future: Scenario[][];
+  history: Record<string, Revision[]>;
+  last?: { key: string; at: number };
+}
+
+function leafValues(o: any, prefix = "", out: Record<string, any> = {}) {
+  if (o !== null && typeof o === "object") for (const k of Object.keys(o)) leafValues(o[k], prefix ? `${prefix}.${k}` : k, out);
+  else out[prefix] = o;
+  return out;
+}
+function diffScenario(a?: Scenario, b?: Scenario): Change[] {
+  const x = a ? leafValues(a) : {}, y = b ? leafValues(b) : {};
+  return Array.from(new Set([...Object.keys(x), ...Object.keys(y)])).filter(k => x[k] !== y[k]).map(k => ({ path: k, from: x[k], to: y[k] }));
+}
+// Appends one revision per changed scenario; an edit that repeats the previous edit's inputs soon after is folded into it.
+function logChanges(st: StoreState, after: Scenario[], kind: Revision["kind"], author: string, why?: string) {
+  const now = Date.now(), history = { ...st.history };
+  const diffs = Array.from(new Set([...st.scenarios, ...after].map(s => s.id))).map(id => {
+    const a = st.scenarios.find(s => s.id === id), b = after.find(s => s.id === id);
+    return { id, created: !a, changes: a === b ? [] : diffScenario(a, b) };
+  }).filter(d => d.changes.length);
+  const key = diffs.map(d => `${d.id}:${d.changes.map(c => c.path).join(",")}`).join(";");
+  const fold = kind === "edit" && st.last?.key === key && now - st.last.at < COALESCE_MS;
+  for (const d of diffs) {
+    const list = history[d.id] ?? [];
+    const prev = list[list.length - 1];
+    if (fold && prev && prev.author === author && prev.why === why) {
+      history[d.id] = [...list.slice(0, -1), { ...prev, at: new Date(now).toISOString(), changes: prev.changes.map(c => ({ ...c, to: d.changes.find(x => x.path === c.path)?.to ?? c.to })) }];
+    } else {
+      history[d.id] = [...list, { at: new Date(now).toISOString(), author, kind: d.created && kind === "edit" ? "create" : kind, changes: d.changes, why }].slice(-HISTORY_LIMIT);
+    }
+  }
+  return { history, fold, last: { key, at: now } };
+}
+
+// Ids already present are updated in place (only if something differs); new ids are appended.
+function mergeScenarios(existing: Scenario[], incoming: Scenario[]) {
+  const out = [...existing];
+  let added = 0, updated = 0, unchanged = 0;
+  for (const s of incoming) {
+    const i = out.findIndex(x => x.id === s.id);
+    if (i < 0) { out.push(s); added++; continue; }
+    // codings accumulate: a coder's file adds (or replaces) that coder's scores instead of dropping the others
+    const next = out[i].codings?.length || s.codings?.length ? { ...s, codings: mergeCodings(out[i].codings, s.codings) } : s;
+    if (diffScenario(out[i], next).length) { out[i] = next; updated++; }
+    else unchanged++;
+  }
+  return { scenarios: out, added, updated, unchanged };
+}
+
+function loadStore(): { state: StoreState; report: ImportReport | null } {
+  const empty = { past: [], future: [], history: {} };
+  let raw: string | null = null;
+  try { raw = localStorage.getItem(STORE_KEY); } catch { /* storage unavailable */ }
+  if (!raw) return { state: { scenarios: SEED, ...empty }, report: null };
+  const saved = raw;
+  // Anything that cannot be loaded is copied to BACKUP_KEY before the next autosave could overwrite it.
+  const keep = (report: ImportReport): ImportReport => {
+    try { localStorage.setItem(BACKUP_KEY, saved); } catch { /* the report still holds it */ }
+    return { ...report, backup: saved };
+  };
+  try {
+    const json = JSON.parse(saved);
+    const res = Schema.readFile(json);
+    const hist = Schema.readHistory(json?.history);
+    const warnings = [...res.warnings, ...hist.warnings];
+    const report: ImportReport = { source: "browser storage", added: res.scenarios.length, updated: 0, unchanged: 0, rejected: res.rejected, migratedFrom: res.migratedFrom, errors: res.errors, warnings };
+    const lost = res.rejected > 0 || !res.scenarios.length || hist.dropped > 0;
+    if (!res.scenarios.length) return { state: { scenarios: SEED, ...empty }, report: keep({ ...report, errors: [...res.errors, { path: "", message: "no case could be loaded; starting from the seed cases" }] }) };
+    return { state: { scenarios: res.scenarios, ...empty, history: hist.history }, report: lost ? keep(report) : res.errors.length || warnings.length ? report : null };
+  } catch {
+    return { state: { scenarios: SEED, ...empty }, report: keep({ source: "browser storage", added: 0, updated: 0, unchanged: 0, rejected: 0, migratedFrom: null, errors: [{ path: "", message: "saved data is not valid JSON; starting from the seed cases" }], warnings: [] }) };
+  }
+}
+
+function useScenarioStore(){
+  const [initial] = useState(loadStore);
+  const [state, setState] = useState<StoreState>(initial.state);
+  const [author, setAuthor] = useState<string>(()=>{ try{ return localStorage.getItem(AUTHOR_KEY) || ""; }catch{ return ""; } });
+  const [why, setWhy] = useState("");
+  const [saved, setSaved] = useState<{ at?: string; error?: string }>({});
+
+  // Nothing is written until the first change, so merely opening the page never replaces what was saved.
+  useEffect(()=>{
+    if (state.scenarios === initial.state.scenarios && state.history === initial.state.history) return;
+    try{
+      localStorage.setItem(STORE_KEY, JSON.stringify({ ...Schema.wrap(state.scenarios), history: state.history }));
+      setSaved({ at: new Date().toLocaleTimeString() });
+    }catch(e:any){ setSaved({ error: e?.message || "browser storage is full" }); }
+  },[state.scenarios, state.history]);
+  useEffect(()=>{ try{ localStorage.setItem(AUTHOR_KEY, author); }catch{ /* ignore */ } },[author]);
+
+  const who = author.trim() || "anonymous";
+  const commit = (next: (prev: Scenario[]) => Scenario[], kind: Revision["kind"] = "edit", note?: string) => setState(st => {
+    const after = next(st.scenarios);
+    if (after === st.scenarios) return st;
+    const { history, fold, last } = logChanges(st, after, kind, who, note ?? (why.trim() || undefined));
+    return { scenarios: after, past: fold ? st.past : [...st.past, st.scenarios].slice(-UNDO_LIMIT), future: [], history, last };
+  });
+  const undo = () => setState(st => {
+    if (!st.past.length) return st;
+    const prev = st.past[st.past.length - 1];
+    const { history } = logChanges(st, prev, "undo", who, why.trim() || undefined);
+    return { scenarios: prev, past: st.past.slice(0, -1), future: [st.scenarios, ...st.future], history };
+  });
+  const redo = () => setState(st => {
+    if (!st.future.length) return st;
+    const next = st.future[0];
+    const { history } = logChanges(st, next, "redo", who, why.trim() || undefined);
+    return { scenarios: next, past: [...st.past, st.scenarios], future: st.future.slice(1), history };
+  });
+  const adoptHistory = (extra: Record<string, Revision[]>) => setState(st => ({ ...st, history: { ...extra, ...st.history } }));
+
+  return {
+    scenarios: state.scenarios, history: state.history, commit, undo, redo, adoptHistory,
+    canUndo: state.past.length > 0, canRedo: state.future.length > 0,
+    author, setAuthor, why, setWhy, saved, startupReport: initial.report,
+  };
+}
+
+// --- Evidence, codings and inter-coder reliability ---
+// Reliability covers the 0–1 inputs; baseline D is on another scale and only enters the consensus.
+const CODED_INPUTS = SCALAR_INPUTS.filter(i => i.path !== "baselineD");
+const CODING_GROUPS: { key: string; label: string; paths: string[] }[] = [
+  ...VIOL_LABELS.map(([k,label]) => ({ key: k, label, paths: TRIPLE_FIELDS.map(f => `violations.${k}.${f}`) })),
+  { key: "repair", label: "Repair", paths: REPAIR_LABELS.map(([k]) => `repair.${k}`) },
+  { key: "health", label: "Health", paths: HEALTH_LABELS.map(([k]) => `health.${k}`) },
+];
+const ALPHA_GOOD = 0.8, ALPHA_TENTATIVE = 0.667; // Krippendorff's conventional cut-offs
+
+function setInputValue(p: PeriodInput, path: string, v: number): PeriodInput {
+  const out: any = JSON.parse(JSON.stringify(p));
+  const keys = path.split(".");
+  keys.slice(0, -1).reduce((o, k) => o[k], out)[keys[keys.length - 1]] = v;
+  return out;
+}
+function inputLabel(path: string) { return SCALAR_INPUTS.find(i => i.path === path)?.label ?? path; }
+function evidenceSummary(e?: Evidence) {
+  if (!e) return "";
+  return [...e.sources.map(src => `${src.citation}${src.date ? ` (${src.date})` : ""}`), e.rationale && `Rationale: ${e.rationale}`, e.coder && `— ${e.coder}${e.updated ? `, ${e.updated}` : ""}`].filter(Boolean).join("\n");
+}
+
+// Krippendorff's alpha, interval metric. Each unit lists the values the coders gave it; units with fewer than two values are not pairable.
+function krippendorffAlpha(units: number[][]) {
+  const us = units.map(u => u.filter(Number.isFinite)).filter(u => u.length >= 2);
+  const all = us.flat(), n = all.length;
+  if (n < 2) return NaN;
+  const ss = (xs: number[]) => { const m = sum(xs) / xs.length; return sum(xs.map(x => (x - m) ** 2)); };
+  // Σ over ordered pairs i≠j of (a_i − a_j)² = 2m Σ(a − ā)²
+  const Do = sum(us.map(u => 2 * u.length * ss(u) / (u.length - 1))) / n;
+  const De = 2 * n * ss(all) / (n * (n - 1));
+  return De > 0 ? 1 - Do / De : NaN;
+}
+// ICC(2,1): two-way random effects, absolute agreement, single rater (Shrout & Fleiss). Rows are units, columns coders; incomplete rows are dropped.
+function icc21(rows: number[][]) {
+  const X = rows.filter(r => r.every(Number.isFinite));
+  const n = X.length, k = X[0]?.length ?? 0;
+  if (n < 2 || k < 2) return { icc: NaN, n };
+  const grand = sum(X.flat()) / (n * k);
+  const rowMeans = X.map(r => sum(r) / k);
+  const colMeans = Array.from({ length: k }, (_, j) => sum(X.map(r => r[j])) / n);
+  const msr = k * sum(rowMeans.map(m => (m - grand) ** 2)) / (n - 1);
+  const msc = n * sum(colMeans.map(m => (m - grand) ** 2)) / (k - 1);
+  const mse = sum(X.flatMap((r, i) => r.map((v, j) => (v - rowMeans[i] - colMeans[j] + grand) ** 2))) / ((n - 1) * (k - 1));
+  const den = msr + (k - 1) * mse + k * (msc - mse) / n;
+  return { icc: den > 0 ? (msr - mse) / den : NaN, n };
+}
+
+interface CodedInput {
+  caseId: string; caseName: string; path: string; label: string;
+  values: Record<string, number>; // coder → value
+  mean: number; median: number; range: number; sd: number; flagged: boolean;
+}
+// Per-input spread and per-group alpha/ICC over every case with at least two codings.
+function codingReliability(cases: Scenario[], threshold: number) {
+  const coded = cases.filter(s => (s.codings?.length ?? 0) >= 2);
+  const coders = Array.from(new Set(coded.flatMap(s => s.codings!.map(c => c.coder))));
+  const inputs: CodedInput[] = coded.flatMap(s => SCALAR_INPUTS.map(({ path, label }) => {
+    const values = Object.fromEntries(s.codings!.map(c => [c.coder, inputValue(c.period, path)]));
+    const xs = Object.values(values), mean = sum(xs) / xs.length;
+    const range = Math.max(...xs) - Math.min(...xs);
+    return { caseId: s.id, caseName: s.name, path, label, values, mean, median: median(xs), range,
+      sd: Math.sqrt(sum(xs.map(x => (x - mean) ** 2)) / Math.max(1, xs.length - 1)), flagged: path !== "baselineD" && range >= threshold };
+  }));
+  const stats = (paths: string[]) => {
+    const rows = inputs.filter(r => paths.includes(r.path));
+    const { icc, n } = icc21(rows.map(r => coders.map(c => r.values[c] ?? NaN)));
+    return { alpha: krippendorffAlpha(rows.map(r => Object.values(r.values))), icc, units: rows.length, complete: n, flagged: rows.filter(r => r.flagged).length };
+  };
+  return {
+    cases: coded.length, coders, inputs,
+    groups: CODING_GROUPS.map(g => ({ key: g.key, label: g.label, ...stats(g.paths) })),
+    overall: stats(CODED_INPUTS.map(i => i.path)),
+  };
 }
-function V_total(v: ViolationDomains) {
-  const raw = sum([
-    tripleScore(v.security),
-    tripleScore(v.ruleOfLaw),
-    tripleScore(v.centerLocal),
-    tripleScore(v.narrativeGap),
-    tripleScore(v.humanitarian),
-  ]);
-  return Math.min(2, raw); // cap at 2 for comparability
+
+function mergeCodings(a: Coding[] = [], b: Coding[] = []) {
+  const out = [...a];
+  for (const c of b) {
+    const i = out.findIndex(x => x.coder === c.coder);
+    if (i < 0) out.push(c); else out[i] = c;
+  }
+  return out;
+}
+// Sources from every coder (duplicates dropped) and their rationales, signed.
+function mergeEvidence(codings: Coding[], adjudication: Record<string, Adjudication> = {}): Record<string, Evidence> {
+  const out: Record<string, Evidence> = {};
+  for (const { path } of SCALAR_INPUTS) {
+    const sources: Source[] = [], notes: string[] = [];
+    for (const c of codings) {
+      const e = c.evidence?.[path];
+      if (!e) continue;
+      for (const src of e.sources) if (!sources.some(x => x.citation === src.citation && x.url === src.url)) sources.push(src);
+      if (e.rationale) notes.push(`${c.coder}: ${e.rationale}`);
+    }
+    const adj = adjudication[path];
+    if (adj) notes.push(`Adjudicated to ${round2(adj.value)} by ${adj.by}${adj.note ? `: ${adj.note}` : ""}`);
+    if (sources.length || notes.length) out[path] = { sources, rationale: notes.join("\n") || undefined };
+  }
+  return out;
+}
+// Mean or median of the codings per input; "adjudicated" takes the adjudicator's value where one is set and the median elsewhere.
+function consensusScenario(s: Scenario, method: ConsensusMethod, id: string): Scenario {
+  const codings = s.codings ?? [];
+  let period = s.period;
+  for (const { path } of SCALAR_INPUTS) {
+    const xs = codings.map(c => inputValue(c.period, path));
+    const adj = method === "adjudicated" ? s.adjudication?.[path] : undefined;
+    period = setInputValue(period, path, adj ? adj.value : method === "mean" ? sum(xs) / xs.length : median(xs));
+  }
+  const coders = codings.map(c => c.coder);
+  return {
+    id, name: `${s.name} — consensus (${method})`,
+    note: `Consensus (${method}) of ${coders.length} codings by ${coders.join(", ")}.`,
+    period, eventDate: s.eventDate, cdFlagDate: s.cdFlagDate, altModelName: s.altModelName, altFlagDate: s.altFlagDate,
+    model: s.model, dynamics: s.dynamics,
+    evidence: mergeEvidence(codings, method === "adjudicated" ? s.adjudication : undefined),
+    consensus: { method, coders, from: s.id },
+  };
+}
+
+// --- Country analysis bundles (*_cd_ru_bundle.json) ---
+// Two key layouts are in use: Hungary writes V_components/R_components/C_triplet, Poland writes V/R/C.
+const BUNDLE_LAYOUTS: Record<BundleLayout, { V: string; R: string; C: string }> = {
+  components: { V: "V_components", R: "R_components", C: "C_triplet" },
+  short: { V: "V", R: "R", C: "C" },
+};
+const BUNDLE_V_KEYS: [keyof ViolationDomains, string][] = [
+  ["security", "Security/Rights"],
+  ["ruleOfLaw", "Rule of Law/Elections"],
+  ["centerLocal", "Center–Local"],
+  ["narrativeGap", "Narrative Legitimacy"],
+  ["humanitarian", "Services/Delivery"],
+];
+const BUNDLE_R_KEYS: [keyof RepairDims, string][] = [
+  ["ack", "Acknowledgment"],
+  ["reform", "Reform"],
+  ["comp", "Compensation"],
+  ["inclusive", "Inclusivity"],
+  ["fidelity", "Implementation"],
+];
+const BUNDLE_C_KEYS: [keyof Health, string][] = [
+  ["L", "Legitimacy"],
+  ["E", "Elite Cohesion"],
+  ["K", "Institutional Competence"],
+];
+
+// "Center–Local", "Center-Local" and "center local" all name the same domain
+function bundleKey(k: string) { return k.toLowerCase().replace(/[^a-z]/g, ""); }
+function pickBundleValue(obj: Record<string, number>, label: string) {
+  const hit = Object.keys(obj).find(k => bundleKey(k) === bundleKey(label));
+  return hit !== undefined && Number.isFinite(+obj[hit]) ? +obj[hit] : undefined;
+}
+function bundleLayoutOf(variant: any): BundleLayout | undefined {
+  if (!variant || typeof variant !== "object") return undefined;
+  if (variant.V_components && variant.R_components && variant.C_triplet) return "components";
+  if (variant.V && typeof variant.V === "object" && variant.R && typeof variant.R === "object" && variant.C && typeof variant.C === "object") return "short";
+  return undefined;
+}
+function isBundle(json: any) {
+  return !!json && typeof json === "object" && !Array.isArray(json) && Object.values(json).some(v => bundleLayoutOf(v) !== undefined);
+}
+
+// Bundles store one score per violation domain; it becomes a balanced triple (cube root each) so tripleScore reproduces it.
+function scenariosFromBundle(json: any, fileName: string): Scenario[] {
+  const group = fileName.replace(/\.json$/i, "");
+  const country = group.replace(/_cd_ru_bundle$/i, "").replace(/[_-]+/g, " ").replace(/\b\w/g, c => c.toUpperCase());
+  const out: Scenario[] = [];
+  for (const [variant, body] of Object.entries<any>(json)) {
+    const layout = bundleLayoutOf(body);
+    if (!layout) continue;
+    const keys = BUNDLE_LAYOUTS[layout];
+    const violations = { ...DEFAULT_VIOL };
+    for (const [dom, label] of BUNDLE_V_KEYS) {
+      const v = pickBundleValue(body[keys.V], label);
+      if (v !== undefined) { const c = Math.cbrt(clamp01(v)); violations[dom] = { scope: c, severity: c, salience: c }; }
+    }
+    const repair = { ...DEFAULT_REPAIR };
+    for (const [dim, label] of BUNDLE_R_KEYS) {
+      const v = pickBundleValue(body[keys.R], label);
+      if (v !== undefined) repair[dim] = clamp01(v);
+    }
+    const health = { ...DEFAULT_HEALTH };
+    for (const [f, label] of BUNDLE_C_KEYS) {
+      const v = pickBundleValue(body[keys.C], label);
+      if (v !== undefined) health[f] = clamp01(v);
+    }
+    out.push({
+      id: `${group}_${variant}`,
+      name: `${country} (${variant})`,
+      note: `Imported from ${fileName}, variant "${variant}".`,
+      period: { baselineD: Number.isFinite(body.baselineD) ? body.baselineD : 1.5, violations, repair, health },
+      bundle: { group, variant, layout },
+    });
+  }
+  return out;
+}
+
+function bundleVariant(s: Scenario, layout: BundleLayout) {
+  const keys = BUNDLE_LAYOUTS[layout];
+  const { violations, repair, health } = s.period;
+  const m = modelOf(s);
+  const V = V_total(violations, m);
+  const R_eff = R_total(repair, health, m);
+  return {
+    [keys.V]: Object.fromEntries(BUNDLE_V_KEYS.map(([dom, label]) => [label, tripleScore(violations[dom])])),
+    V_total: V,
+    [keys.R]: Object.fromEntries(BUNDLE_R_KEYS.map(([dim, label]) => [label, repair[dim]])),
+    R_mean: repairAvg(repair, m),
+    [keys.C]: Object.fromEntries(BUNDLE_C_KEYS.map(([f, label]) => [label, health[f]])),
+    C_mean: capacityFactor(health, m),
+    R_eff,
+    R_over_V: V > 0 ? R_eff / V : 0,
+    baselineD: s.period.baselineD,
+    model: modelStamp(m),
+  };
+}
+
+// Writes every scenario linked to the same bundle as the given one; an unlinked case exports as "baseline".
+function bundleFromScenarios(all: Scenario[], s: Scenario) {
+  const linked = s.bundle ? all.filter(x => x.bundle?.group === s.bundle!.group) : [s];
+  const layout = s.bundle?.layout ?? "components";
+  const json: Record<string, any> = {};
+  for (const x of linked) json[x.bundle?.variant ?? "baseline"] = bundleVariant(x, layout);
+  return { fileName: `${s.bundle?.group ?? `${s.id}_cd_ru_bundle`}.json`, json };
+}
+
+// --- Country briefs (gog_cd_report.js writes the documents, figures and zip) ---
+const Report = (globalThis as any).GoGReport;
+type BriefFormat = "latex" | "markdown";
+
+function daysBetween(a?: string, b?: string){
+  if(!a || !b) return undefined;
+  const da = new Date(a).getTime();
+  const db = new Date(b).getTime();
+  if(Number.isNaN(da) || Number.isNaN(db)) return undefined;
+  return Math.round((da - db)/(1000*60*60*24));
+}
+// "Poland (Q4 2025)" → Poland, Q4 2025; otherwise the name (or bundle stem) and the current quarter.
+function briefDefaults(s: Scenario) {
+  const m = s.name.match(/^(.*?)\s*\((Q[1-4])\s*(\d{4})\)/i);
+  if (m) return { country: m[1].trim(), period: `${m[2].toUpperCase()} ${m[3]}` };
+  const now = new Date();
+  const country = s.bundle ? s.bundle.group.replace(/_cd_ru_bundle$/i, "").replace(/[_-]+/g, " ").replace(/\b\w/g, c => c.toUpperCase()) : s.name.replace(/\s*\(.*\)\s*$/, "");
+  return { country, period: `Q${Math.floor(now.getMonth() / 3) + 1} ${now.getFullYear()}` };
 }
-function repairAvg(r: RepairDims) {
-  return (r.ack + r.reform + r.comp + r.inclusive + r.fidelity) / 5;
+// Brief wording for the capacity factors: "Institutional Competence" rather than "Capacity (K)".
+function capacityLabel(k: keyof Health) {
+  return BUNDLE_C_KEYS.find(([x]) => x === k)?.[1] ?? HEALTH_LABELS.find(([x]) => x === k)![1];
 }
-function capacityFactor(h: Health) {
-  return (h.L + h.E + h.K) / 3;
+// The "reform" variant of a bundle, or a plan the optimizer placed after the case.
+function reformOf(all: Scenario[], s: Scenario) {
+  if (s.bundle) return all.find(x => x.id !== s.id && x.bundle?.group === s.bundle!.group && x.bundle.variant.startsWith("reform"));
+  return all.find(x => x.id.startsWith(`${s.id}_reform`));
 }
-function R_total(r: RepairDims, h: Health) {
-  return repairAvg(r) * capacityFactor(h);
+function briefVariant(s: Scenario, label: string, horizon: number) {
+  const m = modelOf(s);
+  const { baselineD, violations, repair, health } = s.period;
+  const V = V_total(violations, m), R = R_total(repair, health, m), rv = V > 0 ? R / V : 0;
+  const tf = tippingFlags(health, R, V, m);
+  const sim = simulatePeriods(baselineD, periodSteps(s, horizon), m, s.dynamics);
+  return {
+    name: s.name, label, note: s.note,
+    V: { rows: BUNDLE_V_KEYS.map(([k, name]) => ({ label: name, ...violations[k], score: tripleScore(violations[k]) })), total: V },
+    R: { rows: BUNDLE_R_KEYS.map(([k, name]) => ({ label: name, value: repair[k] })), mean: repairAvg(repair, m) },
+    C: { rows: m.capacity.map(k => ({ label: capacityLabel(k), value: health[k] })), mean: capacityFactor(health, m) },
+    Reff: R, RV: rv, band: leadTimeBand(rv, m), baselineD, D: nextD(baselineD, V, R, s.dynamics),
+    flags: RULE_KEYS.map(k => ({ label: k === "Rv" ? "R/V" : HEALTH_LABELS.find(([x]) => x === k)![1], op: m.rules[k].op, threshold: m.rules[k].value, value: k === "Rv" ? rv : health[k], breached: tf.flags[k] })),
+    count: tf.count, inWindow: tf.inWindow,
+    projection: sim.rows.map(r => ({ period: r.period, D: r.D, RV: r.RdivV, rules: r.rules, inWindow: r.inWindow })),
+    firstWindow: sim.firstWindow ?? null,
+  };
+}
+function briefOf(s: Scenario, reform: Scenario | undefined, o: { country: string; period: string; author: string; horizon: number }) {
+  const m = modelOf(s);
+  const q = o.period.match(/Q([1-4])\s*(\d{4})/i);
+  const { cuts, labels } = m.bands;
+  const bands = labels.map((l, i) => i === 0 ? `below ${cuts[0].toFixed(2)}: ${l}` : i === cuts.length ? `${cuts[i - 1].toFixed(2)} and above: ${l}` : `${cuts[i - 1].toFixed(2)}–${cuts[i].toFixed(2)}: ${l}`);
+  const mode = s.timeline?.mode ?? "constant";
+  const lead = s.eventDate || s.cdFlagDate || s.altFlagDate
+    ? { eventDate: s.eventDate, cdFlagDate: s.cdFlagDate, altFlagDate: s.altFlagDate, altName: s.altModelName, cdDays: daysBetween(s.eventDate, s.cdFlagDate) ?? null, altDays: daysBetween(s.eventDate, s.altFlagDate) ?? null }
+    : null;
+  return {
+    country: o.country, period: o.period, author: o.author, note: s.note,
+    stem: s.bundle ? s.bundle.group.replace(/_cd_ru_bundle$/i, "") : o.country.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""),
+    periodKey: q ? `${q[2]}q${q[1]}` : o.period.toLowerCase().replace(/[^a-z0-9]+/g, ""),
+    generated: new Date().toISOString().slice(0, 10),
+    model: modelStamp(m), minRules: m.minRules, bands: m.bands, horizon: o.horizon,
+    modelSummary: `Five violation domains are coded 0–1 on scope, severity and salience; a domain scores their product and V_total is the weighted sum${m.vCap == null ? "" : `, capped at ${m.vCap}`}. Mean repair R over five mechanisms is scaled by capacity C, the mean of ${m.capacity.map(capacityLabel).join(", ").toLowerCase()}, giving R_eff = R × C. The R/V ratio sets the lead-time band (${bands.join("; ")}), and ${m.minRules} or more breached tipping rules open the rupture window.`,
+    projectionMode: `${mode === "constant" ? "constant inputs" : mode === "manual" ? "per-period inputs" : "interpolated keyframes"}${s.dynamics?.enabled ? ", endogenous dynamics" : ""}`,
+    variants: [briefVariant(s, "Baseline", o.horizon), ...(reform ? [briefVariant(reform, "Reform", o.horizon)] : [])],
+    leadTime: lead,
+    sources: SCALAR_INPUTS.filter(i => s.evidence?.[i.path]).map(i => {
+      const e = s.evidence![i.path];
+      return { label: i.label, value: inputValue(s.period, i.path), citations: e.sources.filter(c => c.citation.trim()), rationale: e.rationale };
+    }),
+  };
+}
+// The bundle file that sits next to main.tex; standalone cases use the Poland (V/R/C) keys.
+function briefBundle(all: Scenario[], s: Scenario, reform?: Scenario) {
+  if (s.bundle) return bundleFromScenarios(all, s).json;
+  return { baseline: bundleVariant(s, "short"), ...(reform ? { reform: bundleVariant(reform, "short") } : {}) };
+}
+
+// --- External index adapters (gog_cd_adapters.js applies the mapping recipes) ---
+const Adapters = (globalThis as any).GoGAdapters;
+const RECIPES_KEY = "gog-cd-playground.recipes";
+interface RecipeRule {
+  column: string;
+  target: string; // input path, or a whole domain ("violations.security")
+  from: [number, number] | null; // null rescales over the range observed in the file
+  flip: boolean;
+  log?: boolean;
+  weight?: number;
+}
+interface Recipe { id: string; name: string; version: number; description?: string; country: string; year?: string; rules: RecipeRule[] }
+interface AdapterRecord { country: string; year: string; line: number; values: Record<string, number>; provenance: Record<string, Provenance>; skipped: string[] }
+
+function builtinRecipes(): Recipe[] { return JSON.parse(JSON.stringify(Adapters.BUILTIN_RECIPES)); }
+function loadRecipes(): Recipe[] {
+  try{
+    const raw = localStorage.getItem(RECIPES_KEY);
+    if (raw) { const { recipes } = Adapters.readRecipes(JSON.parse(raw)); if (recipes.length) return recipes; }
+  }catch{ /* storage unavailable or unreadable: start from the built-ins */ }
+  return builtinRecipes();
 }
+function slug(text: string) { return text.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""); }
 
-function tippingFlags(h: Health, R: number, V: number) {
-  const flags = {
-    L: h.L < 0.45,
-    E: h.E < 0.60,
-    B: h.B > 0.5,
-    C: h.C > 0.35,
-    Rv: V > 0 ? R / V < 0.5 : false,
+// Inputs the recipe does not map keep the defaults; the note names the file, line and recipe.
+function scenarioFromRecord(rec: AdapterRecord, recipe: Recipe, source: string, model: ModelConfig): Scenario {
+  let period: PeriodInput = { baselineD: 1.5, violations: DEFAULT_VIOL, repair: DEFAULT_REPAIR, health: DEFAULT_HEALTH };
+  for (const [path, v] of Object.entries(rec.values)) period = setInputValue(period, path, v);
+  const mapped = Object.keys(rec.values).length;
+  return {
+    id: `${recipe.id}_${slug(rec.country)}${rec.year ? `_${slug(rec.year)}` : ""}`,
+    name: rec.year ? `${rec.country} (${rec.year})` : rec.country,
+    note: `Imported from ${source}, line ${rec.line}, with recipe "${recipe.name}" (${Adapters.fingerprint(recipe)}). ${mapped} of ${CODED_INPUTS.length} inputs mapped; the others are defaults.`,
+    period: JSON.parse(JSON.stringify(period)),
+    model,
+    provenance: rec.provenance,
   };
-  const count = Object.values(flags).filter(Boolean).length;
-  return { flags, count, inWindow: count >= 2 };
+}
+// Column names the Moral Topology picks up on its own (capacity_factor, R, rupture_probability, R_V_ratio, …).
+function topologyRow(s: Scenario, rec: AdapterRecord, recipe: Recipe) {
+  const m = modelOf(s), { violations, repair, health } = s.period;
+  const V = V_total(violations, m), R = R_total(repair, health, m), rv = V > 0 ? R / V : 0;
+  return {
+    Country: rec.country, Year: rec.year, V_total: V, R, R_V_ratio: rv, capacity_factor: capacityFactor(health, m),
+    band: leadTimeBand(rv, m).label, rupture_probability: clamp01(1 - rv), ...health,
+    recipe: recipe.id, recipe_fingerprint: Adapters.fingerprint(recipe), source_line: rec.line,
+  };
+}
+
+// --- Scenario comparison ---
+const COMPARE_COLORS = ["#4f46e5", "#f97316", "#10b981", "#dc2626", "#a855f7", "#0ea5e9", "#ca8a04", "#db2777"];
+interface CompareRow {
+  id: string; name: string; color: string;
+  V: number; R: number; capacity: number; D: number; Dend: number; rv: number; rvCut: number;
+  rules: RuleKey[]; inWindow: boolean; band: { index: number; label: string; color: string }; firstWindow?: number;
+}
+// Point values as in Debt & Flags; Dend and firstWindow come from the N-period projection.
+function compareRow(s: Scenario, horizon: number, color: string): CompareRow {
+  const m = modelOf(s), { baselineD, violations, repair, health } = s.period;
+  const V = V_total(violations, m), R = R_total(repair, health, m), rv = V > 0 ? R / V : 0;
+  const tf = tippingFlags(health, R, V, m);
+  const sim = simulatePeriods(baselineD, periodSteps(s, horizon), m, s.dynamics);
+  return {
+    id: s.id, name: s.name, color, V, R, capacity: capacityFactor(health, m), D: nextD(baselineD, V, R, s.dynamics), Dend: sim.rows[sim.rows.length - 1].D, rv, rvCut: m.rules.Rv.value,
+    rules: RULE_KEYS.filter(k => tf.flags[k]), inWindow: tf.inWindow, band: leadTimeBand(rv, m), firstWindow: sim.firstWindow,
+  };
+}
+function rvOf(p: PeriodInput, m: ModelConfig) {
+  const V = V_total(p.violations, m);
+  return V > 0 ? R_total(p.repair, p.health, m) / V : 0;
+}
+// Each input's share of the R/V gap (B − A) is the mean of swapping it into A (A → B's value) and out of B
+// (B → A's value). Shares add up to the gap when inputs act separately; what is left is interaction
+// (scope × severity × salience, repair × capacity, the V cap) plus any difference between the two models.
+function rvGapAttribution(a: Scenario, b: Scenario) {
+  const ma = modelOf(a), mb = modelOf(b);
+  const rvA = rvOf(a.period, ma), rvB = rvOf(b.period, mb);
+  const inputs = CODED_INPUTS.map(({ path, label }) => {
+    const va = inputValue(a.period, path), vb = inputValue(b.period, path);
+    const share = va === vb ? 0 : ((rvOf(setInputValue(a.period, path, vb), ma) - rvA) + (rvB - rvOf(setInputValue(b.period, path, va), mb))) / 2;
+    return { path, label, a: va, b: vb, share };
+  });
+  const groupValue = (key: string, p: PeriodInput, m: ModelConfig) =>
+    key === "repair" ? repairAvg(p.repair, m) : key === "health" ? capacityFactor(p.health, m) : tripleScore(p.violations[key as keyof ViolationDomains]);
+  const groups = CODING_GROUPS.map(g => {
+    const rows = inputs.filter(i => g.paths.includes(i.path));
+    return { key: g.key, label: g.key === "health" ? "Health (CapacityFactor)" : g.key === "repair" ? "Repair (average)" : g.label, a: groupValue(g.key, a.period, ma), b: groupValue(g.key, b.period, mb), share: sum(rows.map(r => r.share)), rows };
+  });
+  const gap = rvB - rvA;
+  return { rvA, rvB, gap, inputs, groups, interaction: gap - sum(inputs.map(i => i.share)), sameModel: modelStamp(ma) === modelStamp(mb) };
+}
+
+// --- Sending cases to the Moral Topology ---
+// The topology plots each case at (CapacityFactor, R_eff, 1 − R/V) and its projection as a 3D path, read from
+// the scenario file format plus `projections`. Links keep only what the topology uses, so they stay short.
+const TOPOLOGY_PAGE = "GoG-CD-Rupture-moralTopology.html";
+function topologyFile(list: Scenario[], horizon: number, compact = false) {
+  const r4 = (n: number) => Math.round(n * 1e4) / 1e4;
+  const cases = Object.fromEntries(list.map(s => {
+    const m = modelOf(s);
+    const rows = simulatePeriods(s.period.baselineD, periodSteps(s, horizon), m, s.dynamics).rows;
+    return [s.id, rows.map(r => ({
+      period: r.period, V: r4(r.V), R: r4(r.R), capacity: r4(capacityFactor(r.health, m)), RV: r4(r.RdivV), D: r4(r.D), inWindow: r.inWindow,
+      health: Object.fromEntries(HEALTH_LABELS.map(([k]) => [k, r4(r.health[k])])),
+    }))];
+  }));
+  const scenarios = list.map(s => compact ? { id: s.id, name: s.name, period: s.period, model: modelOf(s), dynamics: s.dynamics } : { ...s, model: modelOf(s) });
+  return Schema.wrap(scenarios, { projections: { horizon, cases } });
 }
 
 // small slider component
-const RowSlider: React.FC<{label:string,value:number,onChange:(v:number)=>void,step?:number}> = ({label,value,onChange,step=0.01}) => (
+const RowSlider: React.FC<{label:string,value:number,onChange:(v:number)=>void,step?:number,evidence?:Evidence}> = ({label,value,onChange,step=0.01,evidence}) => (
   <div className="flex items-center gap-4">
     <Label className="w-40 text-sm text-muted-foreground">{label}</Label>
     <Slider value={[value]} min={0} max={1} step={step} onValueChange={(arr)=>onChange(arr[0])} className="w-64" />
     <Input className="w-20" type="number" step={step} min={0} max={1} value={round2(value)} onChange={e=>onChange(clamp01(parseFloat(e.target.value)||0))} />
+    {evidence && <span className="text-xs text-muted-foreground whitespace-nowrap cursor-help" title={evidenceSummary(evidence)}>{evidence.sources.length} src{evidence.rationale ? " + note" : ""}</span>}
   </div>
 );
 
-const TripleEditor: React.FC<{title:string,t:Triple,onChange:(t:Triple)=>void}> = ({title,t,onChange}) => (
+// `evidence` is the case's evidence map and `path` the domain prefix, e.g. "violations.security"
+const TripleEditor: React.FC<{title:string,t:Triple,onChange:(t:Triple)=>void,evidence?:Record<string, Evidence>,path?:string}> = ({title,t,onChange,evidence,path}) => (
   <Card className="border rounded-2xl shadow-sm">
     <CardContent className="p-4 space-y-3">
       <div className="text-sm font-semibold text-muted-foreground">{title}</div>
-      <RowSlider label="Scope" value={t.scope} onChange={(v)=>onChange({...t, scope:v})} />
-      <RowSlider label="Severity" value={t.severity} onChange={(v)=>onChange({...t, severity:v})} />
-      <RowSlider label="Salience" value={t.salience} onChange={(v)=>onChange({...t, salience:v})} />
+      <RowSlider label="Scope" value={t.scope} onChange={(v)=>onChange({...t, scope:v})} evidence={evidence?.[`${path}.scope`]} />
+      <RowSlider label="Severity" value={t.severity} onChange={(v)=>onChange({...t, severity:v})} evidence={evidence?.[`${path}.severity`]} />
+      <RowSlider label="Salience" value={t.salience} onChange={(v)=>onChange({...t, salience:v})} evidence={evidence?.[`${path}.salience`]} />
       <div className="text-xs text-muted-foreground">Score: {round2(tripleScore(t))}</div>
     </CardContent>
   </Card>
 );
 
 export default function CDPlayground(){
-  const [scenarios, setScenarios] = useState<Scenario[]>(SEED);
-  const [activeId, setActiveId] = useState<string>(SEED[0].id);
-  const active = scenarios.find(s=>s.id===activeId)!;
-
-  const V = useMemo(()=>V_total(active.period.violations),[active]);
-  const Ravg = useMemo(()=>repairAvg(active.period.repair),[active]);
-  const cap = useMemo(()=>capacityFactor(active.period.health),[active]);
-  const R = useMemo(()=>R_total(active.period.repair, active.period.health),[active]);
-  const D = useMemo(()=>active.period.baselineD + V - R,[active, V, R]);
+  const store = useScenarioStore();
+  const { scenarios, commit } = store;
+  const [activeId, setActiveId] = useState<string>(scenarios[0].id);
+  const active = scenarios.find(s=>s.id===activeId) ?? scenarios[0];
+  const [importReport, setImportReport] = useState<ImportReport | null>(store.startupReport);
+
+  const [customPresets, setCustomPresets] = useState<ModelConfig[]>([]);
+  const [compareIds, setCompareIds] = useState<string[]>(()=>scenarios.slice(0, 3).map(s=>s.id)); // kept across tab switches
+  const [fit, setFit] = useState<RuptureFit | null>(null);
+  const presets: ModelConfig[] = [...Core.PRESETS, ...customPresets];
+  const model = useMemo(()=>modelOf(active),[active]);
+  const V = useMemo(()=>V_total(active.period.violations, model),[active, model]);
+  const Ravg = useMemo(()=>repairAvg(active.period.repair, model),[active, model]);
+  const cap = useMemo(()=>capacityFactor(active.period.health, model),[active, model]);
+  const R = useMemo(()=>R_total(active.period.repair, active.period.health, model),[active, model]);
+  const D = useMemo(()=>nextD(active.period.baselineD, V, R, active.dynamics),[active, V, R]);
   const rv = useMemo(()=> V>0 ? R/V : 0,[R,V]);
-  const tf = useMemo(()=>tippingFlags(active.period.health, R, V),[active, R, V]);
+  const tf = useMemo(()=>tippingFlags(active.period.health, R, V, model),[active, R, V, model]);
+  const band = useMemo(()=>leadTimeBand(rv, model),[rv, model]);
+  const fitted = useMemo(()=> fit ? fittedProbability(fit, active.period, model) : null,[fit, active, model]);
 
-  // Simple N-period projection with constant parameters
+  // N-period projection; inputs vary per period when the scenario has a timeline
   const [horizon, setHorizon] = useState(8);
-  const simData = useMemo(()=>{
-    const data:any[] = [];
-    let d = active.period.baselineD;
-    for(let t=1;t<=horizon;t++){
-      d = d + V - R;
-      data.push({ period: t, D: round2(d), V: round2(V), R: round2(R), RdivV: round2(rv) });
-    }
-    return data;
-  },[active, V, R, rv, horizon]);
+  const timelineMode: TimelineMode = active.timeline?.mode ?? "constant";
+  const dynamics = active.dynamics?.enabled ? active.dynamics : undefined;
+  const sim = useMemo(()=>simulatePeriods(active.period.baselineD, periodSteps(active, horizon), model, active.dynamics),[active, horizon, model]);
+  const simData = useMemo(()=>sim.rows.map(r=>({ period: r.period, D: round2(r.D), V: round2(r.V), R: round2(r.R), RdivV: round2(r.RdivV),
+    L: round2(r.health.L), E: round2(r.health.E), T: round2(r.health.T), P: round2(r.health.P), capacity: round2(capacityFactor(r.health, model)) })),[sim, model]);
 
   const updateActive = (mut: (s:Scenario)=>Scenario) => {
-    setScenarios(prev => prev.map(s => s.id===activeId ? mut({...s}) : s));
+    commit(prev => prev.map(s => s.id===active.id ? mut({...s}) : s));
+  };
+
+  const setTimelineMode = (mode: TimelineMode) => updateActive(s=>{
+    const base = stepOf(s.period);
+    const tl = s.timeline;
+    return { ...s, timeline: {
+      mode,
+      steps: tl?.steps.length ? tl.steps : Array.from({ length: horizon }, ()=>base),
+      keyframes: tl?.keyframes.length ? tl.keyframes : [{ at: 1, ...base }, { at: horizon, ...base }],
+    }};
+  });
+
+  // Places an optimizer plan right after its source case; bundle cases join the same bundle.
+  const addReform = (s: Scenario) => {
+    commit(prev => {
+      const i = prev.findIndex(x=>x.id===active.id);
+      const variants = new Set(prev.filter(x=>x.bundle && x.bundle.group===s.bundle?.group).map(x=>x.bundle!.variant));
+      let variant = "reform", n = 2;
+      while(variants.has(variant)) variant = `reform_${n++}`;
+      const next = s.bundle ? { ...s, bundle: { ...s.bundle, variant } } : s;
+      return [...prev.slice(0, i+1), next, ...prev.slice(i+1)];
+    });
+    setActiveId(s.id);
   };
 
   const addScenario = () => {
     const id = `case_${Date.now()}`;
     const s: Scenario = { id, name: "New Case", period: { baselineD: 1.5, violations: { ...DEFAULT_VIOL }, repair: { ...DEFAULT_REPAIR }, health: { ...DEFAULT_HEALTH } } };
-    setScenarios(prev => [...prev, s]);
+    commit(prev => [...prev, s]);
     setActiveId(id);
   };
 
   const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(scenarios, null, 2)], { type: "application/json"});
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = "cd_playground_scenarios.json"; a.click();
-    URL.revokeObjectURL(url);
+    // every case is written with the full model it was scored with, plus its revision history
+    const file = Schema.wrap(scenarios.map(s=>({ ...s, model: modelOf(s) })), { history: store.history });
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json"});
+    downloadBlob(blob, "cd_playground_scenarios.json");
+  };
+
+  const exportBundle = () => {
+    const { fileName, json } = bundleFromScenarios(scenarios, active);
+    const blob = new Blob([JSON.stringify(json, null, 2)], { type: "application/json"});
+    downloadBlob(blob, fileName);
   };
 
+  // Scenario files are migrated and validated first; valid cases merge into the list (same id = update), invalid ones are reported.
   const importJSON = (file: File) => {
     const reader = new FileReader();
     reader.onload = () => {
-      try{
-        const arr = JSON.parse(String(reader.result));
-        if(Array.isArray(arr)) setScenarios(arr);
-      }catch(e){ alert("Invalid JSON"); }
+      let json: any;
+      try{ json = JSON.parse(String(reader.result)); }
+      catch(e:any){ setImportReport({ source: file.name, added: 0, updated: 0, unchanged: 0, rejected: 0, migratedFrom: null, errors: [{ path: "", message: `not valid JSON (${e?.message || "parse error"})` }], warnings: [] }); return; }
+      const res = isBundle(json)
+        ? { scenarios: scenariosFromBundle(json, file.name), rejected: 0, migratedFrom: null, errors: [], warnings: [] }
+        : Schema.readFile(json);
+      const hist = Schema.readHistory(json?.history);
+      const merged = mergeScenarios(scenarios, res.scenarios);
+      if (merged.added || merged.updated) {
+        commit(()=>merged.scenarios, "import", `Imported from ${file.name}`);
+        store.adoptHistory(Object.fromEntries(Object.entries(hist.history).filter(([id])=>!scenarios.some(s=>s.id===id))) as Record<string, Revision[]>);
+        setActiveId(res.scenarios[0].id);
+      }
+      setImportReport({ source: file.name, added: merged.added, updated: merged.updated, unchanged: merged.unchanged, rejected: res.rejected, migratedFrom: res.migratedFrom, errors: res.errors, warnings: [...res.warnings, ...hist.warnings] });
     };
     reader.readAsText(file);
   };
 
-  return (
-    <div className="p-6 space-y-6">
-      <div className="flex items-center justify-between">
-        <div className="text-2xl font-semibold">GoG Contradiction Debt Playground</div>
-        <div className="flex items-center gap-2">
-          <Button variant="outline" onClick={addScenario}>+ New Case</Button>
+  // Cases built by a data adapter merge like an import (same id = update); skipped rows come back as warnings.
+  const importCases = (list: Scenario[], source: string, skipped: FileIssue[]) => {
+    const merged = mergeScenarios(scenarios, list);
+    if (merged.added || merged.updated) {
+      commit(()=>merged.scenarios, "import", `Imported from ${source}`);
+      setActiveId(list[0].id);
+    }
+    setImportReport({ source, added: merged.added, updated: merged.updated, unchanged: merged.unchanged, rejected: skipped.length, migratedFrom: null, errors: [], warnings: skipped });
+  };
+
+  // A coder's exported file contributes codings only; the inputs of the cases here are left as they are.
+  const loadCodings = (file: File) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let json: any;
+      try{ json = JSON.parse(String(reader.result)); }
+      catch(e:any){ setImportReport({ source: file.name, added: 0, updated: 0, unchanged: 0, rejected: 0, migratedFrom: null, errors: [{ path: "", message: `not valid JSON (${e?.message || "parse error"})` }], warnings: [] }); return; }
+      const res = Schema.readFile(json);
+      const stem = file.name.replace(/\.json$/i, "");
+      const byId: Record<string, Coding[]> = {};
+      const warnings: FileIssue[] = [...res.warnings];
+      res.scenarios.forEach((x: Scenario, i: number) => {
+        if (!scenarios.some(s=>s.id===x.id)) { warnings.push({ path: `scenarios[${i}]`, message: `no case "${x.id}" here; skipped` }); return; }
+        // a case without codings counts as one coding by whoever last edited it in that file
+        const last = (json.history?.[x.id] as Revision[] | undefined)?.slice(-1)[0]?.author;
+        byId[x.id] = x.codings?.length ? x.codings : [{ coder: last && last !== "anonymous" ? last : stem, codedAt: json.exportedAt ?? new Date().toISOString(), period: x.period, evidence: x.evidence }];
+      });
+      // applied to the latest list so several files loaded at once all land
+      const apply = (list: Scenario[]) => {
+        let changed = 0;
+        const next = list.map(s => {
+          const codings = byId[s.id] && mergeCodings(s.codings, byId[s.id]);
+          if (!codings || !diffScenario({ ...s, codings }, s).length) return s;
+          changed++;
+          return { ...s, codings };
+        });
+        return { next, changed };
+      };
+      const updated = apply(scenarios).changed;
+      if (updated) commit(prev=>{ const r = apply(prev); return r.changed ? r.next : prev; }, "import", `Codings from ${file.name}`);
+      setImportReport({ source: file.name, added: 0, updated, unchanged: Object.keys(byId).length - updated, rejected: res.rejected, migratedFrom: res.migratedFrom, errors: res.errors, warnings });
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="text-2xl font-semibold">GoG Contradiction Debt Playground</div>
+        <div className="flex items-center gap-2">
+          <Input className="w-32" placeholder="Coder" value={store.author} onChange={e=>store.setAuthor(e.target.value)} title="Recorded with every change" />
+          <Input className="w-56" placeholder="Reason for changes (optional)" value={store.why} onChange={e=>store.setWhy(e.target.value)} title="Attached to the changes you make until cleared" />
+          <Button variant="outline" disabled={!store.canUndo} onClick={store.undo}>Undo</Button>
+          <Button variant="outline" disabled={!store.canRedo} onClick={store.redo}>Redo</Button>
+          <span className={`text-xs ${store.saved.error ? "text-red-600" : "text-muted-foreground"}`}>{store.saved.error ? `Autosave failed: ${store.saved.error}` : store.saved.at ? `Saved ${store.saved.at}` : ""}</span>
+          <Button variant="outline" onClick={addScenario}>+ New Case</Button>
           <Button variant="outline" onClick={exportJSON}>Export JSON</Button>
+          <Button variant="outline" onClick={exportBundle}>Export bundle</Button>
           <label className="text-sm px-3 py-2 rounded-lg border cursor-pointer hover:bg-accent">
             Import JSON
             <input type="file" accept="application/json" className="hidden" onChange={e=>{ if(e.target.files?.[0]) importJSON(e.target.files[0]); }} />
@@ -246,9 +1766,21 @@ export default function CDPlayground(){
         </div>
       </div>
 
+      {importReport && <ImportReportCard report={importReport} onClose={()=>setImportReport(null)} />}
+
       <Tabs defaultValue="model" className="w-full">
         <TabsList>
           <TabsTrigger value="model">Model</TabsTrigger>
+          <TabsTrigger value="cases">Compare cases</TabsTrigger>
+          <TabsTrigger value="config">Model config</TabsTrigger>
+          <TabsTrigger value="uncertainty">Uncertainty</TabsTrigger>
+          <TabsTrigger value="sensitivity">Sensitivity</TabsTrigger>
+          <TabsTrigger value="optimizer">Repair path</TabsTrigger>
+          <TabsTrigger value="coding">Evidence & coders</TabsTrigger>
+          <TabsTrigger value="brief">Brief</TabsTrigger>
+          <TabsTrigger value="adapters">Import data</TabsTrigger>
+          <TabsTrigger value="validation">Validation</TabsTrigger>
+          <TabsTrigger value="calibration">Calibration</TabsTrigger>
           <TabsTrigger value="compare">Compare Models</TabsTrigger>
           <TabsTrigger value="about">About</TabsTrigger>
         </TabsList>
@@ -262,8 +1794,9 @@ export default function CDPlayground(){
                   <div className="text-sm font-semibold">Scenarios</div>
                   <div className="space-y-2 max-h-[420px] overflow-auto pr-1">
                     {scenarios.map(s=> (
-                      <Button key={s.id} variant={s.id===activeId?"default":"outline"} className="w-full justify-start" onClick={()=>setActiveId(s.id)}>
+                      <Button key={s.id} variant={s.id===active.id?"default":"outline"} className="w-full justify-start" onClick={()=>setActiveId(s.id)}>
                         {s.name}
+                        {s.bundle && <span className="ml-auto text-xs opacity-70">{s.bundle.variant}</span>}
                       </Button>
                     ))}
                   </div>
@@ -277,15 +1810,17 @@ export default function CDPlayground(){
               <Card className="rounded-2xl">
                 <CardContent className="p-4 space-y-3">
                   <div className="text-sm font-semibold">Health (0–1)</div>
-                  <RowSlider label="Legitimacy (L)" value={active.period.health.L} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, L:v}}}))} />
-                  <RowSlider label="Elite cohesion (E)" value={active.period.health.E} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, E:v}}}))} />
-                  <RowSlider label="Capacity (K)" value={active.period.health.K} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, K:v}}}))} />
-                  <RowSlider label="Cost strain (C)" value={active.period.health.C} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, C:v}}}))} />
-                  <RowSlider label="Backfire (B)" value={active.period.health.B} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, B:v}}}))} />
-                  <RowSlider label="Trust (T)" value={active.period.health.T} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, T:v}}}))} />
-                  <RowSlider label="Protest (P)" value={active.period.health.P} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, P:v}}}))} />
+                  <RowSlider label="Legitimacy (L)" value={active.period.health.L} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, L:v}}}))} evidence={active.evidence?.["health.L"]} />
+                  <RowSlider label="Elite cohesion (E)" value={active.period.health.E} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, E:v}}}))} evidence={active.evidence?.["health.E"]} />
+                  <RowSlider label="Capacity (K)" value={active.period.health.K} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, K:v}}}))} evidence={active.evidence?.["health.K"]} />
+                  <RowSlider label="Cost strain (C)" value={active.period.health.C} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, C:v}}}))} evidence={active.evidence?.["health.C"]} />
+                  <RowSlider label="Backfire (B)" value={active.period.health.B} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, B:v}}}))} evidence={active.evidence?.["health.B"]} />
+                  <RowSlider label="Trust (T)" value={active.period.health.T} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, T:v}}}))} evidence={active.evidence?.["health.T"]} />
+                  <RowSlider label="Protest (P)" value={active.period.health.P} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, health:{...s.period.health, P:v}}}))} evidence={active.evidence?.["health.P"]} />
                 </CardContent>
               </Card>
+
+              <HistoryCard revisions={store.history[active.id] ?? []} />
             </div>
 
             {/* Main column */}
@@ -295,14 +1830,14 @@ export default function CDPlayground(){
                   <CardContent className="p-4 space-y-3">
                     <div className="text-sm font-semibold mb-1">Violations (V)</div>
                     <div className="grid grid-cols-2 gap-3">
-                      <TripleEditor title="Security / rights" t={active.period.violations.security} onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, security:t}}}))} />
-                      <TripleEditor title="Rule of law / elections" t={active.period.violations.ruleOfLaw} onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, ruleOfLaw:t}}}))} />
-                      <TripleEditor title="Center–local contradictions" t={active.period.violations.centerLocal} onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, centerLocal:t}}}))} />
-                      <TripleEditor title="Narrative / facts gap" t={active.period.violations.narrativeGap} onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, narrativeGap:t}}}))} />
-                      <TripleEditor title="Humanitarian stewardship" t={active.period.violations.humanitarian} onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, humanitarian:t}}}))} />
+                      <TripleEditor title="Security / rights" t={active.period.violations.security} evidence={active.evidence} path="violations.security" onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, security:t}}}))} />
+                      <TripleEditor title="Rule of law / elections" t={active.period.violations.ruleOfLaw} evidence={active.evidence} path="violations.ruleOfLaw" onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, ruleOfLaw:t}}}))} />
+                      <TripleEditor title="Center–local contradictions" t={active.period.violations.centerLocal} evidence={active.evidence} path="violations.centerLocal" onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, centerLocal:t}}}))} />
+                      <TripleEditor title="Narrative / facts gap" t={active.period.violations.narrativeGap} evidence={active.evidence} path="violations.narrativeGap" onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, narrativeGap:t}}}))} />
+                      <TripleEditor title="Humanitarian stewardship" t={active.period.violations.humanitarian} evidence={active.evidence} path="violations.humanitarian" onChange={(t)=>updateActive(s=>({ ...s, period:{...s.period, violations:{...s.period.violations, humanitarian:t}}}))} />
                     </div>
                     <div className="flex items-center justify-between pt-2">
-                      <div className="text-xs text-muted-foreground">Raw V (sum of domain scores, capped at 2)</div>
+                      <div className="text-xs text-muted-foreground">Raw V (weighted sum of domain scores{model.vCap==null ? ", uncapped" : `, capped at ${model.vCap}`})</div>
                       <div className="text-base font-semibold">V = {round2(V)}</div>
                     </div>
                   </CardContent>
@@ -311,13 +1846,13 @@ export default function CDPlayground(){
                 <Card className="col-span-4 rounded-2xl">
                   <CardContent className="p-4 space-y-3">
                     <div className="text-sm font-semibold mb-1">Repair (R)</div>
-                    <RowSlider label="Acknowledgment" value={active.period.repair.ack} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, ack:v}}}))} />
-                    <RowSlider label="Reform" value={active.period.repair.reform} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, reform:v}}}))} />
-                    <RowSlider label="Compensation" value={active.period.repair.comp} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, comp:v}}}))} />
-                    <RowSlider label="Inclusivity" value={active.period.repair.inclusive} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, inclusive:v}}}))} />
-                    <RowSlider label="Implementation fidelity" value={active.period.repair.fidelity} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, fidelity:v}}}))} />
+                    <RowSlider label="Acknowledgment" value={active.period.repair.ack} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, ack:v}}}))} evidence={active.evidence?.["repair.ack"]} />
+                    <RowSlider label="Reform" value={active.period.repair.reform} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, reform:v}}}))} evidence={active.evidence?.["repair.reform"]} />
+                    <RowSlider label="Compensation" value={active.period.repair.comp} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, comp:v}}}))} evidence={active.evidence?.["repair.comp"]} />
+                    <RowSlider label="Inclusivity" value={active.period.repair.inclusive} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, inclusive:v}}}))} evidence={active.evidence?.["repair.inclusive"]} />
+                    <RowSlider label="Implementation fidelity" value={active.period.repair.fidelity} onChange={(v)=>updateActive(s=>({ ...s, period:{...s.period, repair:{...s.period.repair, fidelity:v}}}))} evidence={active.evidence?.["repair.fidelity"]} />
                     <div className="flex items-center justify-between text-sm"><span>Repair avg</span><span>{round2(Ravg)}</span></div>
-                    <div className="flex items-center justify-between text-sm"><span>CapacityFactor = (L+E+K)/3</span><span>{round2(cap)}</span></div>
+                    <div className="flex items-center justify-between text-sm"><span>CapacityFactor = ({model.capacity.join("+")})/{model.capacity.length}</span><span>{round2(cap)}</span></div>
                     <div className="flex items-center justify-between text-base font-semibold"><span>R = avg × Capacity</span><span>{round2(R)}</span></div>
                   </CardContent>
                 </Card>
@@ -326,15 +1861,18 @@ export default function CDPlayground(){
                   <CardContent className="p-4 space-y-3">
                     <div className="text-sm font-semibold mb-1">Debt & Flags</div>
                     <div className="flex items-center justify-between text-sm"><span>Baseline D(t-1)</span><Input className="w-24" type="number" step={0.1} value={active.period.baselineD} onChange={e=>updateActive(s=>({ ...s, period:{...s.period, baselineD: parseFloat(e.target.value)||0 } }))} /></div>
-                    <div className="flex items-center justify-between text-base font-semibold"><span>D(t) = D + V − R</span><span>{round2(D)}</span></div>
-                    <div className="flex items-center justify-between text-sm"><span>R/V ratio</span><span className={rv<0.5?"text-red-600 font-semibold":"text-emerald-600 font-semibold"}>{round2(rv)}</span></div>
+                    <div className="flex items-center justify-between text-base font-semibold"><span>{active.dynamics?.enabled ? "D(t), dynamic step" : "D(t) = D + V − R"}</span><span>{round2(D)}</span></div>
+                    <div className="flex items-center justify-between text-sm"><span>R/V ratio</span><span className={rv<model.rules.Rv.value?"text-red-600 font-semibold":"text-emerald-600 font-semibold"}>{round2(rv)}</span></div>
+                    <div className="flex items-center justify-between text-sm"><span>Lead-time band</span><span className="font-semibold" style={{ color: band.color }}>{band.label}</span></div>
+                    <div className="flex items-center justify-between text-sm"><span>P(rupture), 1 − R/V</span><span>{round2(clamp01(1 - rv))}</span></div>
+                    <div className="flex items-center justify-between text-sm"><span>P(rupture), fitted</span><span className="font-semibold">{fitted ? fmt(fitted.prob, 2) : "—"}</span></div>
+                    {!fit && <div className="text-xs text-muted-foreground">Fit a model in the Calibration tab to compare.</div>}
+                    {fitted && fitted.outside.length > 0 && <div className="text-xs text-amber-600">Outside the fitted range: {fitted.outside.join(", ")}</div>}
                     <div className="text-xs text-muted-foreground">Tipping rules breached: {tf.count} {tf.inWindow?"(Rupture window)":""}</div>
                     <div className="space-y-1 text-xs">
-                      <div className={tf.flags.L?"text-red-600":"text-muted-foreground"}>• L < 0.45</div>
-                      <div className={tf.flags.E?"text-red-600":"text-muted-foreground"}>• E < 0.60</div>
-                      <div className={tf.flags.B?"text-red-600":"text-muted-foreground"}>• B > 0.50</div>
-                      <div className={tf.flags.C?"text-red-600":"text-muted-foreground"}>• C > 0.35</div>
-                      <div className={tf.flags.Rv?"text-red-600":"text-muted-foreground"}>• R/V < 0.5</div>
+                      {RULE_KEYS.map(k=>(
+                        <div key={k} className={tf.flags[k]?"text-red-600":"text-muted-foreground"}>• {k==="Rv"?"R/V":k} {model.rules[k].op} {model.rules[k].value.toFixed(2)}</div>
+                      ))}
                     </div>
                   </CardContent>
                 </Card>
@@ -343,8 +1881,13 @@ export default function CDPlayground(){
               <Card className="rounded-2xl">
                 <CardContent className="p-4 space-y-3">
                   <div className="flex items-center justify-between">
-                    <div className="text-sm font-semibold">N-period projection (constant parameters)</div>
+                    <div className="text-sm font-semibold">N-period projection {timelineMode==="constant" ? "(constant parameters)" : timelineMode==="manual" ? "(per-period inputs)" : "(interpolated keyframes)"}{dynamics ? ", endogenous dynamics" : ""}</div>
                     <div className="flex items-center gap-3">
+                      {(["constant","manual","keyframes"] as TimelineMode[]).map(m=>(
+                        <Button key={m} size="sm" variant={timelineMode===m?"default":"outline"} onClick={()=>setTimelineMode(m)}>
+                          {m==="constant"?"Constant":m==="manual"?"Per-period":"Keyframes"}
+                        </Button>
+                      ))}
                       <Label className="text-xs text-muted-foreground">Horizon (periods)</Label>
                       <Input className="w-24" type="number" min={1} max={40} value={horizon} onChange={e=>setHorizon(Math.max(1, Math.min(40, parseInt(e.target.value)||8)))} />
                     </div>
@@ -355,21 +1898,91 @@ export default function CDPlayground(){
                         <CartesianGrid strokeDasharray="3 3" />
                         <XAxis dataKey="period" />
                         <YAxis />
+                        <YAxis yAxisId="rv" orientation="right" domain={[0, "auto"]} />
                         <Tooltip />
                         <Legend />
                         <Line type="monotone" dataKey="D" stroke="#4f46e5" strokeWidth={3} dot={false} name="Debt D" />
                         <Line type="monotone" dataKey="V" stroke="#f97316" strokeWidth={2} dot={false} name="Violations V" />
                         <Line type="monotone" dataKey="R" stroke="#10b981" strokeWidth={2} dot={false} name="Repair R" />
+                        <Line yAxisId="rv" type="monotone" dataKey="RdivV" stroke="#a855f7" strokeWidth={2} strokeDasharray="5 3" dot={false} name="R/V (right axis)" />
                         <ReferenceLine y={0} stroke="#9ca3af" />
+                        <ReferenceLine yAxisId="rv" y={model.rules.Rv.value} stroke="#a855f7" strokeDasharray="2 4" />
+                        {sim.firstWindow!==undefined && <ReferenceLine x={sim.firstWindow} stroke="#dc2626" strokeDasharray="4 2" label={{ value: "Rupture window", position: "top", fill: "#dc2626", fontSize: 11 }} />}
                       </LineChart>
                     </ResponsiveContainer>
                   </div>
+                  <div className="flex flex-wrap gap-1 text-xs">
+                    {sim.rows.map(r=>(
+                      <div key={r.period} title={`Period ${r.period}: ${r.rules} tipping rule(s) breached`} className={`w-9 text-center rounded border py-0.5 ${r.inWindow?"bg-red-50 border-red-300 text-red-700 font-semibold":"text-muted-foreground"}`}>
+                        t{r.period}<br/>{r.rules}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="text-sm">
+                    {sim.firstWindow!==undefined
+                      ? <span className="text-red-600 font-semibold">Rupture window first opens in period {sim.firstWindow}</span>
+                      : <span className="text-emerald-600 font-semibold">No rupture window within {horizon} periods</span>}
+                    <span className="text-xs text-muted-foreground ml-2">(boxes: tipping rules breached per period)</span>
+                  </div>
+                  {sim.diverged!==undefined && <div className="text-sm text-red-600">D runs away under the dynamics from period {sim.diverged}; it is held at ±{D_LIMIT.toLocaleString()} from there. Lower the compounding rate or exponent, or raise θ.</div>}
+                  <div className="text-xs text-muted-foreground">Model: {modelStamp(model)}</div>
+                  {timelineMode!=="constant" && active.timeline && (
+                    <TimelineEditor key={active.id} timeline={active.timeline} horizon={horizon} current={stepOf(active.period)} onChange={(tl)=>updateActive(s=>({ ...s, timeline: tl }))} />
+                  )}
                 </CardContent>
               </Card>
+
+              <DynamicsPanel dynamics={active.dynamics ?? DEFAULT_DYNAMICS} data={simData} onChange={(dyn)=>updateActive(s=>({ ...s, dynamics: dyn }))} />
             </div>
           </div>
         </TabsContent>
 
+        <TabsContent value="config">
+          <ModelConfigPanel
+            model={model}
+            presets={presets}
+            onChange={(m)=>updateActive(s=>({ ...s, model: m }))}
+            onSavePreset={(m)=>setCustomPresets(prev=>[...prev.filter(p=>p.id!==m.id), m])}
+            onApplyAll={(m)=>commit(prev=>prev.map(s=>({ ...s, model: m })))}
+          />
+        </TabsContent>
+
+        <TabsContent value="uncertainty">
+          <UncertaintyPanel key={active.id} scenario={active} horizon={horizon} onChange={(u)=>updateActive(s=>({ ...s, uncertainty: u }))} />
+        </TabsContent>
+
+        <TabsContent value="cases">
+          <ComparePanel scenarios={scenarios} selected={compareIds} onSelect={setCompareIds} horizon={horizon} />
+        </TabsContent>
+
+        <TabsContent value="sensitivity">
+          <SensitivityPanel scenario={active} horizon={horizon} />
+        </TabsContent>
+
+        <TabsContent value="optimizer">
+          <OptimizerPanel key={active.id} scenario={active} horizon={horizon} onCreate={addReform} />
+        </TabsContent>
+
+        <TabsContent value="coding">
+          <CodingPanel key={active.id} scenario={active} scenarios={scenarios} author={store.author} onChange={updateActive} onLoadCodings={loadCodings} onCreate={addReform} />
+        </TabsContent>
+
+        <TabsContent value="brief">
+          <ReportPanel key={active.id} scenario={active} scenarios={scenarios} horizon={horizon} author={store.author} />
+        </TabsContent>
+
+        <TabsContent value="adapters">
+          <AdapterPanel presets={presets} onImport={importCases} />
+        </TabsContent>
+
+        <TabsContent value="validation">
+          <ValidationPanel presets={presets} />
+        </TabsContent>
+
+        <TabsContent value="calibration">
+          <CalibrationPanel fit={fit} onFit={setFit} />
+        </TabsContent>
+
         <TabsContent value="compare">
           <div className="grid grid-cols-12 gap-5">
             <Card className="col-span-6 rounded-2xl">
@@ -401,27 +2014,60 @@ export default function CDPlayground(){
               <CardContent className="p-4 space-y-3">
                 <div className="text-sm font-semibold">Lead-time results</div>
                 <LeadTimeReadout eventDate={active.eventDate} cdFlagDate={active.cdFlagDate} altFlagDate={active.altFlagDate} altName={active.altModelName} />
-                <div className="text-xs text-muted-foreground">Note: This comparison is a scaffold. For rigorous testing, sync to external indices and define objective flag thresholds.</div>
+                <div className="text-xs text-muted-foreground">Single-case check from hand-entered dates. The benchmark below derives flag dates from a quarterly panel.</div>
               </CardContent>
             </Card>
           </div>
+          <div className="mt-5">
+            <BenchmarkPanel presets={presets} />
+          </div>
         </TabsContent>
 
         <TabsContent value="about">
           <Card className="rounded-2xl">
             <CardContent className="p-6 space-y-4 text-sm leading-6">
               <div className="text-base font-semibold">What this does</div>
-              <p>Interactive implementation of the GoG Contradiction Debt model. Change inputs, see V, R, D, R/V, and tipping flags update instantly. Project D across N periods with constant parameters.</p>
+              <p>Interactive implementation of the GoG Contradiction Debt model. Change inputs, see V, R, D, R/V, and tipping flags update instantly. Project D across N periods with constant parameters, or switch the projection to per-period inputs (entered by hand or interpolated between keyframes) to model escalation and reform sequences.</p>
               <div className="text-base font-semibold">How V and R are computed</div>
               <ul className="list-disc ml-6">
-                <li>V = Σ(scope × severity × salience) across domains, capped at 2.</li>
-                <li>R = average(Ack, Reform, Compensation, Inclusivity, Fidelity) × CapacityFactor.</li>
-                <li>CapacityFactor = (L + E + K) / 3.</li>
+                <li>V = Σ weight × (scope × severity × salience) across domains, {model.vCap == null ? "uncapped" : `capped at ${model.vCap}`} (weights {VIOL_LABELS.map(([k]) => model.domainWeights[k]).join(", ")}).</li>
+                <li>R = weighted average(Ack, Reform, Compensation, Inclusivity, Fidelity) × CapacityFactor.</li>
+                <li>CapacityFactor = {model.capacity.length ? `(${model.capacity.join(" + ")}) / ${model.capacity.length}` : "0 (no health factors selected)"}.</li>
               </ul>
               <div className="text-base font-semibold">Tipping rules</div>
               <ul className="list-disc ml-6">
-                <li>L &lt; 0.45, E &lt; 0.60, B &gt; 0.50, C &gt; 0.35, R/V &lt; 0.5. Two or more ⇒ rupture window.</li>
+                <li>{RULE_KEYS.map(k => `${k === "Rv" ? "R/V" : k} ${model.rules[k].op} ${model.rules[k].value.toFixed(2)}`).join(", ")}. {model.minRules} or more ⇒ rupture window.</li>
               </ul>
+              <div className="text-xs text-muted-foreground">Values above are from the active case's model: {modelStamp(model)}.</div>
+              <div className="text-base font-semibold">Endogenous dynamics</div>
+              <p>By default the projection is the linear accumulator D(t) = D(t−1) + V − R. Switch on dynamics (below the projection) to test whether unrepaired contradictions become self-reinforcing. Under dynamics D(t) = memory × D(t−1) + V − R + k × (D(t−1) − θ)^γ, where the last term applies only above the threshold θ and memory is at most 1. If compounding still makes D run away, it is held at ±{D_LIMIT.toLocaleString()} from that period and the projection says so. L, E, T and P also drift each period by the set amounts per unit of debt, protest and backfire. The drifted health feeds CapacityFactor, R and the tipping rules in the next period. The parameters are saved with the case and used by the Uncertainty, Sensitivity and Repair path tabs.</p>
+              <div className="text-base font-semibold">Model presets</div>
+              <p>Formulas, weights, the V cap, tipping thresholds and R/V lead-time bands come from <code>gog_cd_model_core.js</code>, which the Moral Topology page loads too. New cases start on the "CD briefs (Q4 2025)" preset; "GoG 100-country dataset (2023)" reproduces the CSV's uncapped V and its band column, and is the one the Moral Topology opens on for its preloaded data. Edit or save presets in Model config; each case keeps its config, exports carry it, and charts show its name, version and fingerprint.</p>
+              <div className="text-base font-semibold">Uncertainty</div>
+              <p>Give each input a uniform, triangular or normal spread around its coded value (a default plus per-input overrides). The Uncertainty tab draws that many seeded samples, runs each through the same projection and tipping rules, and reports 50%/90% fan bands for D and R/V, their distributions at a chosen period, and the probability of being in (or having entered) the rupture window at each horizon.</p>
+              <div className="text-base font-semibold">Sensitivity</div>
+              <p>The Sensitivity tab moves one input at a time by ±Δ (tornado charts for D, R/V and the tipping-rule count at a chosen period) and sweeps any one or two inputs over a range, including the derived CapacityFactor and repair average, with the R/V cut of the case's model and the rupture-window boundary marked. Plots export as PNG/SVG (the three tornadoes as one figure) and the underlying grids as CSV.</p>
+              <div className="text-base font-semibold">Repair path</div>
+              <p>The Repair path tab searches for the least-cost change that meets the chosen goals over the projection horizon: R/V at or above a target, the rupture window closed, and/or D kept under a ceiling. Cost is Σ cost × |change| over the unlocked repair, health and violation inputs; the search takes the cheapest improving step each time, then trims any overshoot. It runs in short slices between repaints, so a long horizon does not freeze the page, and can be stopped. The plan is added as a "reform" case next to the original.</p>
+              <div className="text-base font-semibold">Validation</div>
+              <p>The Validation tab loads GoG_100_country_profiles_with_groundtruth_stepB.csv (or any CSV/TSV with Country, Year, rupture_occurred and R_V_ratio or R + V_total) and scores three predictors against <code>rupture_occurred</code>: the <code>rupture_probability</code> column (ROC/AUROC, Brier score, reliability), the R/V lead-time bands, and the tipping-rule count (only the rules whose columns the file carries). R/V cut-off and rule-count sweeps show how accuracy moves. Rows with NA predictors or labels are listed as excluded.</p>
+              <div className="text-base font-semibold">Calibration</div>
+              <p>The Calibration tab fits a logistic regression of <code>rupture_occurred</code> on any of V_total, R, CapacityFactor, R/V and the health factors found in a CSV, with an optional ridge penalty. It reports coefficients with Wald 95% intervals (approximate under a penalty) and stratified k-fold cross-validated AUROC, Brier score and log loss next to the <code>1 − R/V</code> mapping. The fitted probability then appears beside <code>1 − R/V</code> in Debt & Flags, with a warning when the case lies outside the training range. V_total in the 100-country CSV is FSI-scaled, so a fit that uses it does not carry over to capped V. The model JSON can be exported and loaded in the Moral Topology as its Z axis.</p>
+              <div className="text-base font-semibold">Lead-time benchmark</div>
+              <p>Compare Models also runs a benchmark from three files: a quarterly panel of CD inputs per country (Country, Quarter such as 2019Q3 or Year + Quarter, V_total or per-domain scores, R or repair dimensions, and the health factors; a row missing any value its V or R needs, CapacityFactor factors included, is excluded rather than read as 0), the event list (Benchmark_52case_country_year_map.csv; a year-only date only counts flags up to its Q1, and its lead is measured to mid-year), and optional FSI/PITF flag series (Country, period, Model, Flag). The CD flag is the first quarter within the look-back window before an event where the tipping rules open the rupture window. Window openings with no event in the following look-back span are false alarms. Unflagged events before or after the panel's quarters are listed as not observed rather than counted as misses. The median lead-time advantage over the chosen alternative comes with a bootstrap 95% interval, and the case table exports as CSV.</p>
+              <div className="text-base font-semibold">Country bundles</div>
+              <p>Import JSON also accepts the per-country <code>*_cd_ru_bundle.json</code> files (either <code>V_components/R_components/C_triplet</code> or <code>V/R/C</code> keys). Each variant becomes a linked case; domain scores load as balanced triples. Export bundle writes the active case and its linked variants back with recomputed V_total, R_mean, C_mean, R_eff and R_over_V.</p>
+              <div className="text-base font-semibold">Saving, history and import</div>
+              <p>Cases are saved in this browser as you work and restored on reload. If saved data cannot be fully read back (a newer schema, a damaged entry), it is kept as a backup you can download and nothing is saved until you change something. Every change is logged per case: who (the Coder field), which inputs moved from what to what, when, and why (the Reason field). Repeated nudges to the same inputs within a few seconds count as one entry. Undo/Redo step through those entries. Export JSON writes a versioned file (schema <code>gog-cd-scenarios</code> v{Schema.SCHEMA_VERSION}) that includes the history. Import checks every field, migrates older files (including the earlier bare-array exports) and merges the cases by id. It lists what was added, updated, migrated or rejected and why.</p>
+              <div className="text-base font-semibold">Comparing cases</div>
+              <p>The Compare cases tab puts several cases side by side: their D projections overlaid over the horizon set in the Model tab, and a table of V, R, CapacityFactor, D(t), D at the horizon, R/V, the breached tipping rules, the lead-time band and the first rupture-window period. Click a column heading to sort, and export the table as CSV. The diff compares any two cases domain by domain and input by input. It splits the R/V gap between them into each input's share (the mean effect of swapping that input one way and the other). What the shares do not explain comes from inputs acting together, or from the two cases using different models.</p>
+              <p>Open in topology sends the selected cases to the Moral Topology page, as a link (the cases travel in the URL) or as a file. Each case appears at (CapacityFactor, R_eff, 1 − R/V), and its projection over the horizon as a 3D path next to the stylized regime trajectories. Clicking a point shows the case's full breakdown by domain, repair dimension and health factor. The file is the same scenario format as Export JSON with the projections added, so it also imports back here.</p>
+              <div className="text-base font-semibold">Evidence and coders</div>
+              <p>Every input can carry sources (citation, link, date) and a rationale; the Evidence & coders tab edits them, and the sliders show how many sources an input has (hover to read them). Several coders can score the same case independently. Each saves the inputs as their coding under their Coder name, exports JSON, and Load coder files brings the codings together, matched by case id. Blind mode hides the other coders' values until you have saved your own. Agreement is reported per violation domain, repair, health and overall as Krippendorff's α (interval) and ICC(2,1) (absolute agreement). It can cover this case or every case with two or more codings. Inputs whose coders differ by at least the chosen range are flagged. A consensus case takes the mean or the median of the codings. Adjudicated consensus uses the adjudicator's value where one is entered and the median elsewhere. The new case keeps every coder's sources and rationale.</p>
+              <div className="text-base font-semibold">Country briefs</div>
+              <p>The Brief tab writes the quarterly country brief for the active case in the layout of the hand-built PolandAnalysisQ42025 folder. The document (LaTeX <code>main.tex</code> or Markdown <code>main.md</code>) has V, R and C tables, the R/V computation and lead-time band, the tipping-flag checklist, the N-period projection, the lead-time results and, when evidence is recorded, the sources and rationale per input. It picks up a reform variant automatically (the bundle's reform case or an optimizer plan) and shows it side by side. Figures are vector PDF and SVG, named like the existing <code>poland_V_components</code>, <code>poland_C_factors</code> and <code>poland_RV_bar</code>. The zip holds the document, the figures in <code>&lt;country&gt;_cd_ru_&lt;quarter&gt;/</code> and the <code>*_cd_ru_bundle.json</code>, so the numbers always match the model.</p>
+              <div className="text-base font-semibold">Importing external indices</div>
+              <p>The Import data tab reads a local CSV export of an external index (Fragile States Index, V-Dem, ACLED counts, or the 100-country CSV) and turns every country-year into a case through a mapping recipe. Each rule maps one column to an input or to a whole violation domain (loaded as a balanced triple). It rescales the column from a fixed range, or from the range seen in the file, to 0–1, optionally after a log, and can flip the direction. Rules on the same input are averaged by weight. Recipes are saved in this browser, can be edited, duplicated and exported as JSON, and the built-ins are starting points to check against each index's codebook. Inputs a recipe does not map keep the defaults. Every imported value records its recipe, the recipe's fingerprint, the file line and the raw cells, shown in the Evidence panel. The same rows can be downloaded as a CSV the Moral Topology reads directly.</p>
               <div className="text-base font-semibold">Notes</div>
               <p>This playground is for research and teaching. Values are illustrative; please replace with your data and document sources.</p>
             </CardContent>
@@ -432,14 +2078,880 @@ export default function CDPlayground(){
   );
 }
 
+function StepEditor({step, onChange}:{step:PeriodStep, onChange:(st:PeriodStep)=>void}){
+  return (
+    <div className="grid grid-cols-12 gap-4">
+      <div className="col-span-6 grid grid-cols-2 gap-3">
+        {VIOL_LABELS.map(([k,label])=>(
+          <TripleEditor key={k} title={label} t={step.violations[k]} onChange={(t)=>onChange({ ...step, violations:{ ...step.violations, [k]:t } })} />
+        ))}
+      </div>
+      <div className="col-span-6 space-y-3">
+        <div className="text-sm font-semibold">Repair</div>
+        {REPAIR_LABELS.map(([k,label])=>(
+          <RowSlider key={k} label={label} value={step.repair[k]} onChange={(v)=>onChange({ ...step, repair:{ ...step.repair, [k]:v } })} />
+        ))}
+        <div className="text-sm font-semibold">Health</div>
+        {HEALTH_LABELS.map(([k,label])=>(
+          <RowSlider key={k} label={label} value={step.health[k]} onChange={(v)=>onChange({ ...step, health:{ ...step.health, [k]:v } })} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function TimelineEditor({timeline, horizon, current, onChange}:{timeline:Timeline, horizon:number, current:PeriodStep, onChange:(tl:Timeline)=>void}){
+  const [sel, setSel] = useState(0);
+  const manual = timeline.mode === "manual";
+  const keyframes = [...timeline.keyframes].sort((a,b)=>a.at-b.at);
+  // manual mode lists every period up to the horizon; unedited periods hold the last entered one
+  const steps = manual ? Array.from({ length: Math.max(horizon, timeline.steps.length) }, (_,i)=>timeline.steps[Math.min(i, timeline.steps.length-1)] ?? current) : [];
+  const count = manual ? Math.min(horizon, steps.length) : keyframes.length;
+  const i = Math.min(sel, count-1);
+
+  const setStep = (st: PeriodStep) => {
+    if(manual){
+      const next = steps.slice(); next[i] = st;
+      onChange({ ...timeline, steps: next });
+    } else {
+      const next = keyframes.slice(); next[i] = { ...st, at: keyframes[i].at };
+      onChange({ ...timeline, keyframes: next });
+    }
+  };
+  const setAt = (at: number) => {
+    const next = keyframes.slice(); next[i] = { ...keyframes[i], at: Math.max(1, Math.min(horizon, at)) };
+    onChange({ ...timeline, keyframes: next });
+  };
+  const addKeyframe = () => {
+    const last = keyframes[keyframes.length-1];
+    const at = Math.min(horizon, (last?.at ?? 0) + 2);
+    onChange({ ...timeline, keyframes: [...keyframes, { ...(last ?? current), at }] });
+    setSel(keyframes.length);
+  };
+  const removeKeyframe = () => {
+    if(keyframes.length <= 1) return;
+    onChange({ ...timeline, keyframes: keyframes.filter((_,j)=>j!==i) });
+    setSel(Math.max(0, i-1));
+  };
+
+  if(count <= 0) return null;
+  const step = manual ? steps[i] : keyframes[i];
+  return (
+    <div className="space-y-3 border-t pt-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs text-muted-foreground">{manual ? "Period" : "Keyframe"}</span>
+        {Array.from({ length: count }, (_,j)=>(
+          <Button key={j} size="sm" variant={j===i?"default":"outline"} onClick={()=>setSel(j)}>
+            {manual ? `t${j+1}` : `t${keyframes[j].at}`}
+          </Button>
+        ))}
+        {!manual && <Button size="sm" variant="outline" onClick={addKeyframe}>+ Keyframe</Button>}
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        {!manual && (
+          <>
+            <Label className="text-xs text-muted-foreground">At period</Label>
+            <Input className="w-20" type="number" min={1} max={horizon} value={keyframes[i].at} onChange={e=>setAt(parseInt(e.target.value)||1)} />
+            <Button size="sm" variant="outline" onClick={removeKeyframe} disabled={keyframes.length<=1}>Remove keyframe</Button>
+          </>
+        )}
+        <Button size="sm" variant="outline" onClick={()=>setStep(current)}>Copy from current inputs</Button>
+        <span className="text-xs text-muted-foreground">
+          {manual ? "Periods after the last edited one hold its values." : "Periods between keyframes are linearly interpolated; before the first and after the last they are held flat."}
+        </span>
+      </div>
+      <StepEditor step={step} onChange={setStep} />
+    </div>
+  );
+}
+
+function DistPicker({value, allowDefault, onChange}:{value?:UncertaintyDist, allowDefault?:boolean, onChange:(d?:UncertaintyDist)=>void}){
+  return (
+    <select className="border rounded-md px-2 py-1 text-xs bg-background" value={value ?? ""} onChange={e=>onChange((e.target.value || undefined) as UncertaintyDist | undefined)}>
+      {allowDefault && <option value="">default</option>}
+      <option value="uniform">uniform ±</option>
+      <option value="triangular">triangular ±</option>
+      <option value="normal">normal (SD)</option>
+    </select>
+  );
+}
+
+function UncertaintyPanel({scenario, horizon, onChange}:{scenario:Scenario, horizon:number, onChange:(u:Uncertainty)=>void}){
+  const u = scenario.uncertainty ?? DEFAULT_UNCERTAINTY;
+  const [mc, setMc] = useState<{ key: string; result: MonteCarloResult } | null>(null);
+  const [progress, setProgress] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [at, setAt] = useState(horizon);
+  const job = useRef<{ cancel: () => void } | null>(null);
+  useEffect(() => () => job.current?.cancel(), []);
+  const result = mc?.result ?? null;
+  const t = Math.min(at, result?.bands.length ?? horizon);
+  const rvCut = modelOf(scenario).rules.Rv.value;
+  // Everything the draws depend on; a result computed from other inputs is marked stale.
+  const inputsKey = JSON.stringify([scenario.period, scenario.timeline, scenario.model, scenario.dynamics, u, horizon]);
+  const stale = !!mc && mc.key !== inputsKey;
+
+  const run = () => {
+    job.current?.cancel();
+    const key = inputsKey;
+    const j = runSliced(runMonteCarlo(scenario, horizon, u), setProgress);
+    job.current = j;
+    setProgress(0); setError(null);
+    j.done.then(r => { setMc({ key, result: r }); setAt(horizon); setProgress(null); })
+      .catch((e: any) => { setProgress(null); setError(e?.message || String(e)); });
+  };
+  const setOverride = (path: string, o?: InputUncertainty) => {
+    const overrides = { ...u.overrides };
+    if(o) overrides[path] = o; else delete overrides[path];
+    onChange({ ...u, overrides });
+  };
+
+  const first = result?.bands[0];
+  return (
+    <div className="grid grid-cols-12 gap-5">
+      <Card className="col-span-4 rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="text-sm font-semibold">Input uncertainty</div>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="w-20">Default</span>
+            <DistPicker value={u.defaults.dist} onChange={(d)=>onChange({ ...u, defaults:{ ...u.defaults, dist: d ?? "triangular" } })} />
+            <Input className="w-20" type="number" step={0.01} min={0} value={u.defaults.spread} onChange={e=>onChange({ ...u, defaults:{ ...u.defaults, spread: Math.max(0, parseFloat(e.target.value)||0) } })} />
+          </div>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="w-20">Draws</span>
+            <Input className="w-24" type="number" min={100} max={20000} step={100} value={u.draws} onChange={e=>onChange({ ...u, draws: Math.max(100, Math.min(20000, parseInt(e.target.value)||2000)) })} />
+            <span>Seed</span>
+            <Input className="w-20" type="number" value={u.seed} onChange={e=>onChange({ ...u, seed: parseInt(e.target.value)||1 })} />
+          </div>
+          <div className="max-h-[420px] overflow-auto pr-1 space-y-1">
+            {SCALAR_INPUTS.map(({path,label})=>{
+              const o = u.overrides[path];
+              return (
+                <div key={path} className="flex items-center gap-2 text-xs">
+                  <span className="flex-1 truncate" title={path}>{label}</span>
+                  <span className="w-10 text-right text-muted-foreground">{round2(inputValue(scenario.period, path))}</span>
+                  <DistPicker allowDefault value={o?.dist} onChange={(d)=>setOverride(path, d ? { dist: d, spread: o?.spread ?? u.defaults.spread } : undefined)} />
+                  <Input className="w-16 h-7 text-xs" type="number" step={0.01} min={0} disabled={!o} value={o ? o.spread : u.defaults.spread} onChange={e=>o && setOverride(path, { ...o, spread: Math.max(0, parseFloat(e.target.value)||0) })} />
+                </div>
+              );
+            })}
+          </div>
+          <div className="flex items-center gap-2">
+            <Button onClick={run} disabled={progress !== null}>Run {u.draws.toLocaleString()} simulations</Button>
+            {progress !== null && <span className="text-xs text-muted-foreground">{Math.round(progress*100)}%</span>}
+          </div>
+          {error && <div className="text-xs text-red-600">Simulation failed: {error}</div>}
+          <div className="text-xs text-muted-foreground">Scores are clipped to [0,1] after each draw. With a timeline, the same draw shifts the input in every period.</div>
+        </CardContent>
+      </Card>
+
+      <div className="col-span-8 space-y-5">
+        {!result && <Card className="rounded-2xl"><CardContent className="p-6 text-sm text-muted-foreground">Set the ranges and run the simulation to see fan bands and rupture-window probabilities.</CardContent></Card>}
+        {result && first && (
+          <>
+            {stale && <Card className="rounded-2xl"><CardContent className="p-4 text-sm text-amber-600">Inputs, ranges or the horizon changed since this run; the charts below are stale. Run the simulation again to update them.</CardContent></Card>}
+            <Card className="rounded-2xl">
+              <CardContent className="p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm font-semibold">Projection fan: D (median, 50% and 90% bands)</div>
+                  <div className="text-xs text-muted-foreground">{result.draws.toLocaleString()} draws · P(rupture window now) = {Math.round(first.pWindow*100)}%</div>
+                </div>
+                <div className="h-[280px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={result.bands} margin={{ top: 10, right: 30, left: 10, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="period" />
+                      <YAxis />
+                      <Tooltip />
+                      <Legend />
+                      <Area type="monotone" dataKey="D90" stroke="none" fill="#4f46e5" fillOpacity={0.15} name="D 5–95%" />
+                      <Area type="monotone" dataKey="D50band" stroke="none" fill="#4f46e5" fillOpacity={0.3} name="D 25–75%" />
+                      <Line type="monotone" dataKey="D50" stroke="#4f46e5" strokeWidth={3} dot={false} name="D median" />
+                      <ReferenceLine y={0} stroke="#9ca3af" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+
+            <div className="grid grid-cols-2 gap-5">
+              <Card className="rounded-2xl">
+                <CardContent className="p-4 space-y-3">
+                  <div className="text-sm font-semibold">Rupture-window probability by horizon</div>
+                  <div className="h-[220px]">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={result.bands} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="period" />
+                        <YAxis domain={[0, 1]} />
+                        <Tooltip />
+                        <Legend />
+                        <Line type="stepAfter" dataKey="pWindow" stroke="#dc2626" strokeWidth={2} dot={false} name="In window at t" />
+                        <Line type="stepAfter" dataKey="pOpened" stroke="#f97316" strokeWidth={2} strokeDasharray="5 3" dot={false} name="Opened by t" />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                </CardContent>
+              </Card>
+              <Card className="rounded-2xl">
+                <CardContent className="p-4 space-y-3">
+                  <div className="text-sm font-semibold">R/V fan (median, 90% band)</div>
+                  <div className="h-[220px]">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <ComposedChart data={result.bands} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="period" />
+                        <YAxis domain={[0, "auto"]} />
+                        <Tooltip />
+                        <Area type="monotone" dataKey="RV90" stroke="none" fill="#a855f7" fillOpacity={0.2} name="R/V 5–95%" />
+                        <Line type="monotone" dataKey="RV50" stroke="#a855f7" strokeWidth={2} dot={false} name="R/V median" />
+                        <ReferenceLine y={rvCut} stroke="#dc2626" strokeDasharray="4 2" />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+
+            <Card className="rounded-2xl">
+              <CardContent className="p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm font-semibold">Distributions at period {t}</div>
+                  <div className="flex items-center gap-2">
+                    <Label className="text-xs text-muted-foreground">Period</Label>
+                    <Input className="w-20" type="number" min={1} max={result.bands.length} value={t} onChange={e=>setAt(Math.max(1, parseInt(e.target.value)||1))} />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-5">
+                  {([["D", result.D[t-1], "#4f46e5"], ["R/V", result.RV[t-1], "#a855f7"]] as [string, number[], string][]).map(([name, vals, color])=>(
+                    <div key={name}>
+                      <div className="text-xs text-muted-foreground">{name}: 5% {round2(quantile(vals, 0.05))} · median {round2(quantile(vals, 0.5))} · 95% {round2(quantile(vals, 0.95))}</div>
+                      <div className="h-[180px]">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <BarChart data={histogram(vals)} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                            <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} padding={{ left: 8, right: 8 }} tickFormatter={(v:number)=>String(round2(v))} />
+                            <YAxis tickFormatter={(v)=>`${Math.round(v*100)}%`} />
+                            <Tooltip labelFormatter={(v:number)=>round2(v)} formatter={(v:number)=>`${(v*100).toFixed(1)}%`} />
+                            <Bar dataKey="share" fill={color} name={`${name} share of draws`} />
+                            {name==="R/V" && <ReferenceLine x={rvCut} stroke="#dc2626" ifOverflow="extendDomain" />}
+                          </BarChart>
+                        </ResponsiveContainer>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div className="text-sm">P(in rupture window at period {t}) = <span className="font-semibold">{Math.round(result.bands[t-1].pWindow*100)}%</span> · P(window opened by period {t}) = <span className="font-semibold">{Math.round(result.bands[t-1].pOpened*100)}%</span></div>
+              </CardContent>
+            </Card>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ExportButtons({target, name, rows}:{target:React.RefObject<HTMLDivElement>, name:string, rows:()=>Record<string, any>[]}){
+  return (
+    <div className="flex gap-1">
+      <Button size="sm" variant="outline" onClick={()=>exportPNG(target.current, `${name}.png`)}>PNG</Button>
+      <Button size="sm" variant="outline" onClick={()=>exportSVG(target.current, `${name}.svg`)}>SVG</Button>
+      <Button size="sm" variant="outline" onClick={()=>downloadBlob(new Blob([toCSV(rows())], { type: "text/csv" }), `${name}.csv`)}>CSV</Button>
+    </div>
+  );
+}
+
+function InputPicker({value, onChange}:{value:string, onChange:(path:string)=>void}){
+  return (
+    <select className="border rounded-md px-2 py-1 text-sm bg-background max-w-[220px]" value={value} onChange={e=>onChange(e.target.value)}>
+      {SWEEP_INPUTS.map(i=>(<option key={i.path} value={i.path}>{i.label}</option>))}
+    </select>
+  );
+}
+
+// R/V colour ramp: red below the model's R/V rule, through white at the cut, to green at R ≥ V.
+function rvColor(rv: number, cut: number) {
+  const t = Math.max(0, Math.min(1, rv)), c0 = Math.max(1e-3, Math.min(1 - 1e-3, cut));
+  const mix = (a: number[], b: number[], w: number) => a.map((x, i) => Math.round(x + (b[i] - x) * w));
+  const c = t < c0 ? mix([220, 38, 38], [248, 250, 252], t / c0) : mix([248, 250, 252], [5, 150, 105], (t - c0) / (1 - c0));
+  return `rgb(${c.join(",")})`;
+}
+
+function SweepHeatmap({grid, xLabel, yLabel, rvCut}:{grid:ReturnType<typeof sweep2D>, xLabel:string, yLabel:string, rvCut:number}){
+  const W = 560, H = 420, L = 60, B = 50, T = 10, R = 20;
+  const n = grid.xs.length, cw = (W - L - R) / n, ch = (H - T - B) / grid.ys.length;
+  const X = (i: number) => L + i * cw, Y = (j: number) => H - B - (j + 1) * ch;
+  const edges: JSX.Element[] = [];
+  // staircase boundaries between cells that fall on different sides of R/V = cut / the rupture window
+  grid.cells.forEach((row, j) => row.forEach((c, i) => {
+    const right = row[i+1], up = grid.cells[j+1]?.[i];
+    if (right && (c.RV < rvCut) !== (right.RV < rvCut)) edges.push(<line key={`rv-r${i}-${j}`} x1={X(i+1)} x2={X(i+1)} y1={Y(j)} y2={Y(j)+ch} stroke="#111827" strokeWidth={2} />);
+    if (up && (c.RV < rvCut) !== (up.RV < rvCut)) edges.push(<line key={`rv-u${i}-${j}`} x1={X(i)} x2={X(i)+cw} y1={Y(j)} y2={Y(j)} stroke="#111827" strokeWidth={2} />);
+    if (right && c.inWindow !== right.inWindow) edges.push(<line key={`w-r${i}-${j}`} x1={X(i+1)} x2={X(i+1)} y1={Y(j)} y2={Y(j)+ch} stroke="#7c3aed" strokeWidth={2} strokeDasharray="4 2" />);
+    if (up && c.inWindow !== up.inWindow) edges.push(<line key={`w-u${i}-${j}`} x1={X(i)} x2={X(i)+cw} y1={Y(j)} y2={Y(j)} stroke="#7c3aed" strokeWidth={2} strokeDasharray="4 2" />);
+  }));
+  const ticks = [0, Math.floor((n-1)/2), n-1];
+  return (
+    <svg width={W} height={H} viewBox={`0 0 ${W} ${H}`} fontFamily="sans-serif" fontSize={11}>
+      {grid.cells.map((row, j) => row.map((c, i) => (
+        <rect key={`${i}-${j}`} x={X(i)} y={Y(j)} width={cw + 0.5} height={ch + 0.5} fill={rvColor(c.RV, rvCut)}>
+          <title>{`${xLabel} ${round2(grid.xs[i])}, ${yLabel} ${round2(grid.ys[j])}: R/V ${round2(c.RV)}, D ${round2(c.D)}, rules ${c.rules}`}</title>
+        </rect>
+      )))}
+      {edges}
+      {ticks.map(i=>(<text key={`x${i}`} x={X(i) + cw/2} y={H - B + 16} textAnchor="middle">{round2(grid.xs[i])}</text>))}
+      {ticks.map(j=>(<text key={`y${j}`} x={L - 6} y={Y(j) + ch/2 + 4} textAnchor="end">{round2(grid.ys[j])}</text>))}
+      <text x={L + (W - L - R)/2} y={H - 12} textAnchor="middle" fontWeight="bold">{xLabel}</text>
+      <text x={14} y={T + (H - T - B)/2} textAnchor="middle" fontWeight="bold" transform={`rotate(-90 14 ${T + (H - T - B)/2})`}>{yLabel}</text>
+    </svg>
+  );
+}
+
+function SensitivityPanel({scenario, horizon}:{scenario:Scenario, horizon:number}){
+  const model = modelOf(scenario);
+  const [t, setT] = useState(1);
+  const [dScore, setDScore] = useState(0.1);
+  const [dBaseline, setDBaseline] = useState(0.5);
+  const [x1, setX1] = useState("derived.capacity");
+  const [x2, setX2] = useState("derived.repairAvg");
+  const [n2, setN2] = useState(25);
+  const period = Math.max(1, Math.min(horizon, t));
+  const tornadoRef = useRef<HTMLDivElement>(null);
+  const sweepRef = useRef<HTMLDivElement>(null);
+  const heatRef = useRef<HTMLDivElement>(null);
+
+  const tor = useMemo(()=>tornado(scenario, horizon, period, dScore, dBaseline),[scenario, horizon, period, dScore, dBaseline]);
+  const metrics: [keyof SensitivityPoint, string, string][] = [["D", `D(t=${period})`, "#4f46e5"], ["RV", "R/V", "#a855f7"], ["rules", "Tipping rules", "#dc2626"]];
+  const tornadoData = (k: "D" | "RV" | "rules") => tor.rows
+    .map(r=>{ const a = r.low[k] as number, b = r.high[k] as number; return { label: r.label, range: [round2(Math.min(a, b)), round2(Math.max(a, b))], swing: Math.abs(b - a) }; })
+    .filter(r=>r.swing > 1e-9).sort((a,b)=>b.swing-a.swing).slice(0, 12);
+
+  const r1 = sweepRange(scenario, x1), r2 = sweepRange(scenario, x2);
+  const line = useMemo(()=>sweep1D(scenario, horizon, period, x1, r1, 41),[scenario, horizon, period, x1]);
+  const grid = useMemo(()=>sweep2D(scenario, horizon, period, x1, r1, x2, r2, n2),[scenario, horizon, period, x1, x2, n2]);
+  const baseX = sweepBase(scenario, x1, model);
+
+  return (
+    <div className="space-y-5">
+      <Card className="rounded-2xl">
+        <CardContent className="p-4 flex flex-wrap items-center gap-4 text-sm">
+          <Label className="text-xs text-muted-foreground">Read at period</Label>
+          <Input className="w-20" type="number" min={1} max={horizon} value={period} onChange={e=>setT(parseInt(e.target.value)||1)} />
+          <Label className="text-xs text-muted-foreground">Tornado ±Δ (scores)</Label>
+          <Input className="w-20" type="number" step={0.05} min={0} max={1} value={dScore} onChange={e=>setDScore(clamp01(parseFloat(e.target.value)||0))} />
+          <Label className="text-xs text-muted-foreground">±Δ baseline D</Label>
+          <Input className="w-20" type="number" step={0.1} min={0} value={dBaseline} onChange={e=>setDBaseline(Math.max(0, parseFloat(e.target.value)||0))} />
+          <span className="text-xs text-muted-foreground ml-auto">Baseline at t={period}: D {round2(tor.base.D)} · R/V {round2(tor.base.RV)} · rules {tor.base.rules} · {modelStamp(model)}</span>
+        </CardContent>
+      </Card>
+
+      <Card className="rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <div className="text-sm font-semibold">One-at-a-time tornado (top 12 inputs by swing)</div>
+            <ExportButtons target={tornadoRef} name={`${scenario.id}_tornado_t${period}`} rows={()=>tor.rows.map(r=>({ input: r.label, value: round2(r.value), low: round2(r.lo), high: round2(r.hi), D_low: r.low.D, D_high: r.high.D, RV_low: r.low.RV, RV_high: r.high.RV, rules_low: r.low.rules, rules_high: r.high.rules }))} />
+          </div>
+          <div ref={tornadoRef} className="grid grid-cols-3 gap-4">
+            {metrics.map(([k, name, color])=>(
+              <div key={k} className="h-[360px]">
+                <div className="text-xs text-muted-foreground text-center" data-export-title>{name} (baseline {round2(tor.base[k] as number)})</div>
+                <ResponsiveContainer width="100%" height="95%">
+                  <BarChart data={tornadoData(k as "D" | "RV" | "rules")} layout="vertical" margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" domain={["auto", "auto"]} />
+                    <YAxis type="category" dataKey="label" width={130} tick={{ fontSize: 10 }} />
+                    <Tooltip />
+                    <Bar dataKey="range" fill={color} name={`${name} at −Δ / +Δ`} />
+                    <ReferenceLine x={round2(tor.base[k] as number)} stroke="#111827" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-12 gap-5">
+        <Card className="col-span-5 rounded-2xl">
+          <CardContent className="p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm font-semibold flex items-center gap-2">1-D sweep <InputPicker value={x1} onChange={setX1} /></div>
+              <ExportButtons target={sweepRef} name={`${scenario.id}_sweep_${x1.replace(/\./g, "-")}`} rows={()=>line.map(r=>({ [x1]: r.x, D: r.D, RV: r.RV, rules: r.rules, inWindow: r.inWindow }))} />
+            </div>
+            <div ref={sweepRef} className="h-[360px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={line} margin={{ top: 10, right: 30, left: 0, bottom: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" type="number" domain={r1} label={{ value: sweepLabel(x1), position: "insideBottom", offset: -5, fontSize: 11 }} />
+                  <YAxis yAxisId="rv" domain={[0, "auto"]} />
+                  <YAxis yAxisId="rules" orientation="right" domain={[0, RULE_KEYS.length]} allowDecimals={false} />
+                  <Tooltip />
+                  <Legend />
+                  <Line yAxisId="rv" type="monotone" dataKey="RV" stroke="#a855f7" strokeWidth={2} dot={false} name="R/V" />
+                  <Line yAxisId="rules" type="stepAfter" dataKey="rules" stroke="#dc2626" strokeWidth={2} dot={false} name="Tipping rules (right)" />
+                  <ReferenceLine yAxisId="rv" y={model.rules.Rv.value} stroke="#111827" strokeDasharray="4 2" label={{ value: `R/V = ${model.rules.Rv.value}`, fontSize: 10, position: "insideTopRight" }} />
+                  <ReferenceLine yAxisId="rules" y={model.minRules} stroke="#7c3aed" strokeDasharray="4 2" label={{ value: "rupture window", fontSize: 10, position: "insideBottomRight" }} />
+                  <ReferenceLine yAxisId="rv" x={round2(baseX)} stroke="#9ca3af" label={{ value: "current", fontSize: 10, position: "top" }} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card className="col-span-7 rounded-2xl">
+          <CardContent className="p-4 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="text-sm font-semibold flex items-center gap-2">2-D sweep: R/V over <InputPicker value={x1} onChange={setX1} /> × <InputPicker value={x2} onChange={setX2} /></div>
+              <div className="flex items-center gap-2">
+                <Label className="text-xs text-muted-foreground">Grid</Label>
+                <Input className="w-16" type="number" min={5} max={60} value={n2} onChange={e=>setN2(Math.max(5, Math.min(60, parseInt(e.target.value)||25)))} />
+                <ExportButtons target={heatRef} name={`${scenario.id}_sweep2d_${x1.replace(/\./g, "-")}_${x2.replace(/\./g, "-")}`} rows={()=>grid.cells.flatMap((row,j)=>row.map((c,i)=>({ [x1]: round2(grid.xs[i]), [x2]: round2(grid.ys[j]), D: c.D, RV: c.RV, rules: c.rules, inWindow: c.inWindow })))} />
+              </div>
+            </div>
+            <div ref={heatRef}><SweepHeatmap grid={grid} xLabel={sweepLabel(x1)} yLabel={sweepLabel(x2)} rvCut={model.rules.Rv.value} /></div>
+            <div className="text-xs text-muted-foreground">Solid line: R/V = {model.rules.Rv.value}. Dashed violet: rupture-window boundary (≥ {model.minRules} rules). Red → white → green follows R/V from 0 through {model.rules.Rv.value} to 1.</div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+function OptimizerPanel({scenario, horizon, onCreate}:{scenario:Scenario, horizon:number, onCreate:(s:Scenario)=>void}){
+  const model = modelOf(scenario);
+  const [useRv, setUseRv] = useState(true);
+  const [rvTarget, setRvTarget] = useState(model.rules.Rv.value);
+  const [useWindow, setUseWindow] = useState(true);
+  const [useCeiling, setUseCeiling] = useState(false);
+  const [ceiling, setCeiling] = useState(round2(scenario.period.baselineD));
+  const [locked, setLocked] = useState<Record<string, boolean>>({});
+  const [cost, setCost] = useState<Record<string, number>>({});
+  const [result, setResult] = useState<OptimizerResult | null>(null);
+  const [progress, setProgress] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const job = useRef<{ cancel: () => void } | null>(null);
+  useEffect(() => () => job.current?.cancel(), []);
+
+  const goal: OptimizerGoal = { rv: useRv ? rvTarget : undefined, clearWindow: useWindow, dCeiling: useCeiling ? ceiling : undefined };
+  const groups: [string, string][] = [["repair.", "Repair"], ["health.", "Health"], ["violations.", "Violations"]];
+  const lockGroup = (prefix: string, on: boolean) => setLocked(prev => ({ ...prev, ...Object.fromEntries(OPT_INPUTS.filter(i=>i.path.startsWith(prefix)).map(i=>[i.path, on])) }));
+  const before = useMemo(()=>simulatePeriods(scenario.period.baselineD, periodSteps(scenario, horizon), model, scenario.dynamics),[scenario, horizon, model]);
+  const after = useMemo(()=>{
+    if(!result) return null;
+    const s = applyDelta(scenario, result.delta);
+    return simulatePeriods(s.period.baselineD, periodSteps(s, horizon), model, s.dynamics);
+  },[result, scenario, horizon, model]);
+  const summary = (sim: ReturnType<typeof simulatePeriods>) => `min R/V ${round2(Math.min(...sim.rows.map(r=>r.RdivV)))} · max rules ${Math.max(...sim.rows.map(r=>r.rules))} · max D ${round2(Math.max(...sim.rows.map(r=>r.D)))}${sim.firstWindow!==undefined ? ` · window opens t${sim.firstWindow}` : " · no window"}`;
+
+  const search = () => {
+    job.current?.cancel();
+    const j = runSliced(optimizeRepairPath(scenario, horizon, goal, locked, cost), setProgress);
+    job.current = j;
+    setProgress(0); setError(null);
+    j.done.then(r => { setResult(r); setProgress(null); })
+      .catch((e: any) => { setProgress(null); setError(e?.message || String(e)); });
+  };
+  const stop = () => { job.current?.cancel(); job.current = null; setProgress(null); };
+  const create = () => {
+    if(!result) return;
+    const next = applyDelta(scenario, result.delta);
+    onCreate({
+      ...next,
+      id: `${scenario.id}_reform_${Date.now()}`,
+      name: `${scenario.name} — reform (optimizer)`,
+      note: `Least-change plan from "${scenario.name}" (cost ${round2(result.totalCost)}): ${result.changes.map(c=>`${c.label} ${round2(c.before)}→${round2(c.after)}`).join("; ")}.`,
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-12 gap-5">
+      <Card className="col-span-5 rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="text-sm font-semibold">Goal (every period to t={horizon})</div>
+          <div className="flex items-center gap-2 text-sm">
+            <Switch checked={useRv} onCheckedChange={setUseRv} /><span className="flex-1">R/V at least</span>
+            <Input className="w-20" type="number" step={0.05} min={0} value={rvTarget} disabled={!useRv} onChange={e=>setRvTarget(Math.max(0, parseFloat(e.target.value)||0))} />
+          </div>
+          <div className="flex items-center gap-2 text-sm">
+            <Switch checked={useWindow} onCheckedChange={setUseWindow} /><span className="flex-1">Clear the rupture window (&lt; {model.minRules} rules)</span>
+          </div>
+          <div className="flex items-center gap-2 text-sm">
+            <Switch checked={useCeiling} onCheckedChange={setUseCeiling} /><span className="flex-1">Keep D at most</span>
+            <Input className="w-20" type="number" step={0.1} value={ceiling} disabled={!useCeiling} onChange={e=>setCeiling(parseFloat(e.target.value)||0)} />
+          </div>
+          <div className="text-sm font-semibold pt-2">Changeable inputs and cost per unit</div>
+          <div className="flex gap-2">
+            {groups.map(([prefix, name])=>(
+              <Button key={prefix} size="sm" variant="outline" onClick={()=>lockGroup(prefix, !OPT_INPUTS.filter(i=>i.path.startsWith(prefix)).every(i=>locked[i.path]))}>
+                {OPT_INPUTS.filter(i=>i.path.startsWith(prefix)).every(i=>locked[i.path]) ? `Unlock ${name}` : `Lock ${name}`}
+              </Button>
+            ))}
+          </div>
+          <div className="max-h-[360px] overflow-auto pr-1 space-y-1">
+            {OPT_INPUTS.map(({path,label})=>(
+              <div key={path} className={`flex items-center gap-2 text-xs ${locked[path]?"opacity-50":""}`}>
+                <input type="checkbox" title="Locked" checked={!!locked[path]} onChange={e=>setLocked(prev=>({ ...prev, [path]: e.target.checked }))} />
+                <span className="flex-1 truncate" title={path}>{label}</span>
+                <span className="w-10 text-right text-muted-foreground">{round2(inputValue(scenario.period, path))}</span>
+                <Input className="w-16 h-7 text-xs" type="number" step={0.5} min={0} value={cost[path] ?? 1} disabled={!!locked[path]} onChange={e=>setCost(prev=>({ ...prev, [path]: Math.max(0, parseFloat(e.target.value)||0) }))} />
+              </div>
+            ))}
+          </div>
+          <div className="text-xs text-muted-foreground">Ticked inputs are locked. Cost weights the size of a change; raise it for inputs that are hard to move.</div>
+          <div className="flex items-center gap-2">
+            <Button onClick={search} disabled={progress !== null || (!useRv && !useWindow && !useCeiling)}>Find least-change plan</Button>
+            {progress !== null && <><span className="text-xs text-muted-foreground">Searching… {Math.round(progress*100)}% of the shortfall closed</span><Button size="sm" variant="outline" onClick={stop}>Stop</Button></>}
+          </div>
+          {error && <div className="text-xs text-red-600">Search failed: {error}</div>}
+        </CardContent>
+      </Card>
+
+      <Card className="col-span-7 rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="text-sm font-semibold">Plan</div>
+          <div className="text-xs text-muted-foreground">Now: {summary(before)}</div>
+          {!result && <div className="text-sm text-muted-foreground">Set a goal and run the search.</div>}
+          {result && after && (
+            <>
+              <div className="text-xs text-muted-foreground">With plan: {summary(after)}</div>
+              <div className={`text-sm font-semibold ${result.met?"text-emerald-600":"text-red-600"}`}>
+                {result.met
+                  ? result.changes.length ? `Goal met at total cost ${round2(result.totalCost)}` : "Goal already met; nothing to change"
+                  : `Goal not reachable with the unlocked inputs (remaining shortfall ${round2(result.shortfall)}); the partial plan is shown`}
+              </div>
+              <table className="w-full text-xs border">
+                <thead className="text-muted-foreground"><tr><th className="border text-left px-1">Input</th><th className="border">Before</th><th className="border">After</th><th className="border">Δ</th><th className="border">Cost</th></tr></thead>
+                <tbody>
+                  {result.changes.map(c=>(
+                    <tr key={c.path}>
+                      <td className="border px-1">{c.label}</td>
+                      <td className="border text-center">{round2(c.before)}</td>
+                      <td className="border text-center font-semibold">{round2(c.after)}</td>
+                      <td className={`border text-center ${c.after>c.before?"text-emerald-700":"text-red-600"}`}>{c.after>c.before?"+":""}{round2(c.after-c.before)}</td>
+                      <td className="border text-center">{round2(c.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {result.changes.length > 0 && <Button onClick={create}>Add as reform case</Button>}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function fmt(n: number, d = 3) { return Number.isFinite(n) ? n.toFixed(d) : "—"; }
+
+function NumberField({label, value, onChange, step=0.05, className="w-20"}:{label:string, value:number, onChange:(v:number)=>void, step?:number, className?:string}){
+  return (
+    <div className="flex items-center justify-between gap-2 text-sm">
+      <span className="text-muted-foreground">{label}</span>
+      <Input className={className} type="number" step={step} value={value} onChange={e=>{ const v = parseFloat(e.target.value); if(Number.isFinite(v)) onChange(v); }} />
+    </div>
+  );
+}
+
+function ModelConfigPanel({model, presets, onChange, onSavePreset, onApplyAll}:{model:ModelConfig, presets:ModelConfig[], onChange:(m:ModelConfig)=>void, onSavePreset:(m:ModelConfig)=>void, onApplyAll:(m:ModelConfig)=>void}){
+  const [presetName, setPresetName] = useState("");
+  const set = (patch: Partial<ModelConfig>) => onChange({ ...model, ...patch });
+  const setBands = (patch: Partial<ModelConfig["bands"]>) => set({ bands: { ...model.bands, ...patch } });
+  const savePreset = () => {
+    const name = presetName.trim() || `${model.name} (custom)`;
+    const m = { ...model, id: `custom_${name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`, name };
+    onSavePreset(m); onChange(m); setPresetName("");
+  };
+  return (
+    <div className="grid grid-cols-12 gap-5">
+      <Card className="col-span-4 rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="text-sm font-semibold">Preset</div>
+          <select className="w-full border rounded-md px-2 py-2 text-sm bg-background" value={presets.some(p=>p.id===model.id) ? model.id : ""} onChange={e=>{ const p = presets.find(x=>x.id===e.target.value); if(p) onChange(JSON.parse(JSON.stringify(p))); }}>
+            {!presets.some(p=>p.id===model.id) && <option value="">{model.name}</option>}
+            {presets.map(p=>(<option key={p.id} value={p.id}>{p.name} v{p.version}</option>))}
+          </select>
+          <div className="text-xs text-muted-foreground">Active case is scored with: <span className="font-mono">{modelStamp(model)}</span></div>
+          <Label className="text-xs text-muted-foreground">Save current settings as preset</Label>
+          <div className="flex gap-2">
+            <Input placeholder="Preset name" value={presetName} onChange={e=>setPresetName(e.target.value)} />
+            <Button variant="outline" onClick={savePreset}>Save</Button>
+          </div>
+          <Button variant="outline" className="w-full" onClick={()=>onApplyAll(model)}>Apply to all cases</Button>
+          <div className="text-xs text-muted-foreground">Settings are stored on the case and written with Export JSON, so every figure can be traced to the model that produced it.</div>
+        </CardContent>
+      </Card>
+
+      <Card className="col-span-4 rounded-2xl">
+        <CardContent className="p-4 space-y-2">
+          <div className="text-sm font-semibold">Violations (V)</div>
+          {VIOL_LABELS.map(([k,label])=>(
+            <NumberField key={k} label={`${label} weight`} value={model.domainWeights[k]} onChange={(v)=>set({ domainWeights:{ ...model.domainWeights, [k]: Math.max(0, v) } })} />
+          ))}
+          <div className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-muted-foreground">Cap V</span>
+            <Switch checked={model.vCap!=null} onCheckedChange={(on:boolean)=>set({ vCap: on ? 2 : null })} />
+            <Input className="w-20" type="number" step={0.1} disabled={model.vCap==null} value={model.vCap ?? ""} onChange={e=>{ const v = parseFloat(e.target.value); if(Number.isFinite(v)) set({ vCap: Math.max(0, v) }); }} />
+          </div>
+          <div className="text-sm font-semibold pt-2">Repair (R)</div>
+          {REPAIR_LABELS.map(([k,label])=>(
+            <NumberField key={k} label={`${label} weight`} value={model.repairWeights[k]} onChange={(v)=>set({ repairWeights:{ ...model.repairWeights, [k]: Math.max(0, v) } })} />
+          ))}
+          <div className="text-sm font-semibold pt-2">CapacityFactor averages</div>
+          <div className="flex flex-wrap gap-3 text-sm">
+            {HEALTH_LABELS.map(([k])=>(
+              <label key={k} className="flex items-center gap-1">
+                <input type="checkbox" checked={model.capacity.includes(k)} onChange={e=>set({ capacity: e.target.checked ? HEALTH_LABELS.map(([h])=>h).filter(h=>h===k || model.capacity.includes(h)) : model.capacity.filter(h=>h!==k) })} />
+                {k}
+              </label>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="col-span-4 rounded-2xl">
+        <CardContent className="p-4 space-y-2">
+          <div className="text-sm font-semibold">Tipping rules</div>
+          {RULE_KEYS.map(k=>(
+            <div key={k} className="flex items-center justify-between gap-2 text-sm">
+              <span className="w-10">{k==="Rv"?"R/V":k}</span>
+              <select className="border rounded-md px-2 py-1 bg-background" value={model.rules[k].op} onChange={e=>set({ rules:{ ...model.rules, [k]:{ ...model.rules[k], op: e.target.value as TippingRule["op"] } } })}>
+                <option value="<">&lt;</option>
+                <option value=">">&gt;</option>
+              </select>
+              <Input className="w-20" type="number" step={0.05} value={model.rules[k].value} onChange={e=>{ const v = parseFloat(e.target.value); if(Number.isFinite(v)) set({ rules:{ ...model.rules, [k]:{ ...model.rules[k], value: v } } }); }} />
+            </div>
+          ))}
+          <NumberField label="Rules for rupture window ≥" step={1} value={model.minRules} onChange={(v)=>set({ minRules: Math.max(1, Math.min(RULE_KEYS.length, Math.round(v))) })} />
+          <div className="text-sm font-semibold pt-2">Lead-time bands (R/V)</div>
+          {model.bands.labels.map((label,i)=>(
+            <div key={i} className="flex items-center gap-2 text-sm">
+              <span className="w-3 h-3 rounded-full" style={{ background: model.bands.colors[i] }} />
+              <Input className="flex-1" value={label} onChange={e=>setBands({ labels: model.bands.labels.map((l,j)=>j===i ? e.target.value : l) })} />
+              {i < model.bands.cuts.length
+                ? <Input className="w-20" type="number" step={0.05} value={model.bands.cuts[i]} onChange={e=>{ const v = parseFloat(e.target.value); if(Number.isFinite(v)) setBands({ cuts: model.bands.cuts.map((c,j)=>j===i ? v : c) }); }} />
+                : <span className="w-20 text-xs text-muted-foreground">and above</span>}
+            </div>
+          ))}
+          <div className="text-xs text-muted-foreground">Each cut is the upper R/V bound of its band; keep them increasing.</div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function ConfusionTable({title, c}:{title:string, c:ReturnType<typeof confusion>}){
+  return (
+    <div className="space-y-1 text-xs">
+      <div className="font-semibold text-sm">{title}</div>
+      <table className="w-full border text-center">
+        <thead><tr className="text-muted-foreground"><th></th><th className="border px-1">Occurred</th><th className="border px-1">Not</th></tr></thead>
+        <tbody>
+          <tr><td className="border px-1 text-muted-foreground">Flagged</td><td className="border px-1 font-semibold text-emerald-700">{c.tp}</td><td className="border px-1 text-red-600">{c.fp}</td></tr>
+          <tr><td className="border px-1 text-muted-foreground">Not flagged</td><td className="border px-1 text-red-600">{c.fn}</td><td className="border px-1">{c.tn}</td></tr>
+        </tbody>
+      </table>
+      <div className="text-muted-foreground">Sens {fmt(c.sensitivity, 2)} · Spec {fmt(c.specificity, 2)} · Prec {fmt(c.precision, 2)} · Acc {fmt(c.accuracy, 2)}</div>
+    </div>
+  );
+}
+
+function ValidationPanel({presets}:{presets:ModelConfig[]}){
+  const [data, setData] = useState<ValidationData | null>(null);
+  const [fileName, setFileName] = useState("");
+  const [model, setModel] = useState<ModelConfig>(presets[0]);
+  const [probCut, setProbCut] = useState(0.5);
+  const [rvCut, setRvCut] = useState(model.rules.Rv.value);
+  const [minRules, setMinRules] = useState(model.minRules);
+  const pickModel = (id: string) => {
+    const m = presets.find(p=>p.id===id) ?? presets[0];
+    setModel(m); setRvCut(m.rules.Rv.value); setMinRules(m.minRules);
+  };
+  const ruleKeys = RULE_KEYS.filter(k=>k==="Rv" || data?.ruleColumns.includes(k as keyof Health));
+
+  const load = (file: File) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try{ setData(validationRows(String(reader.result))); setFileName(file.name); }
+      catch(e:any){ alert(e?.message || "Could not read CSV"); }
+    };
+    reader.readAsText(file);
+  };
+
+  const m = useMemo(()=>{
+    if(!data || !data.rows.length) return null;
+    const labels = data.rows.map(r=>r.label);
+    const probs = data.rows.map(r=>r.prob);
+    const bands = data.rows.map(r=>bandRisk(r.rv, model));
+    const rules = data.rows.map(r=>ruleCount(r, rvCut, model));
+    const maxRules = ruleKeys.length;
+    const rocProb = rocCurve(probs, labels), rocBand = rocCurve(bands, labels), rocRules = rocCurve(rules, labels);
+    const roc = [
+      ...rocProb.map(p=>({ fpr: round2(p.fpr), prob: round2(p.tpr) })),
+      ...rocBand.map(p=>({ fpr: round2(p.fpr), band: round2(p.tpr) })),
+      ...rocRules.map(p=>({ fpr: round2(p.fpr), rules: round2(p.tpr) })),
+      { fpr: 0, chance: 0 }, { fpr: 1, chance: 1 },
+    ].sort((a,b)=>a.fpr-b.fpr);
+    const rvSweep = Array.from({ length: 30 }, (_, i)=>{
+      const cut = round2((i + 1) * 0.05);
+      const c = confusion(data.rows.map(r=>r.rv < cut), labels);
+      return { cut, sensitivity: round2(c.sensitivity), specificity: round2(c.specificity), accuracy: round2(c.accuracy), youden: round2(c.sensitivity + c.specificity - 1) };
+    });
+    const ruleSweep = Array.from({ length: maxRules }, (_, i)=>({ k: i + 1, ...confusion(rules.map(n=>n >= i + 1), labels) }));
+    return {
+      n: labels.length, positives: sum(labels), maxRules,
+      auc: { prob: auroc(probs, labels), band: auroc(bands, labels), rules: auroc(rules, labels) },
+      brier: brierScore(probs, labels),
+      brierBase: brierScore(labels.map(()=>sum(labels)/labels.length), labels),
+      reliability: reliabilityBins(probs, labels),
+      roc, rvSweep, ruleSweep,
+      cProb: confusion(probs.map(p=>p >= probCut), labels),
+      cRv: confusion(data.rows.map(r=>r.rv < rvCut), labels),
+      cRules: confusion(rules.map(n=>n >= minRules), labels),
+    };
+  },[data, model, probCut, rvCut, minRules]);
+
+  return (
+    <div className="space-y-5">
+      <Card className="rounded-2xl">
+        <CardContent className="p-4 flex flex-wrap items-center gap-4">
+          <label className="text-sm px-3 py-2 rounded-lg border cursor-pointer hover:bg-accent">
+            Load CSV
+            <input type="file" accept=".csv,.tsv,text/csv,text/tab-separated-values" className="hidden" onChange={e=>{ if(e.target.files?.[0]) load(e.target.files[0]); }} />
+          </label>
+          <span className="text-sm text-muted-foreground">{fileName || "e.g. GoG_100_country_profiles_with_groundtruth_stepB.csv"}</span>
+          <div className="flex items-center gap-2 ml-auto">
+            <Label className="text-xs text-muted-foreground">Model</Label>
+            <select className="border rounded-md px-2 py-1 text-sm bg-background" value={model.id} onChange={e=>pickModel(e.target.value)}>
+              {presets.map(p=>(<option key={p.id} value={p.id}>{p.name}</option>))}
+            </select>
+            <Label className="text-xs text-muted-foreground">P cut-off</Label>
+            <Input className="w-20" type="number" step={0.05} min={0} max={1} value={probCut} onChange={e=>setProbCut(clamp01(parseFloat(e.target.value)||0))} />
+            <Label className="text-xs text-muted-foreground">R/V cut-off</Label>
+            <Input className="w-20" type="number" step={0.05} min={0} max={2} value={rvCut} onChange={e=>setRvCut(Math.max(0, parseFloat(e.target.value)||0))} />
+            <Label className="text-xs text-muted-foreground">Rules ≥</Label>
+            <Input className="w-16" type="number" min={1} max={5} value={minRules} onChange={e=>setMinRules(Math.max(1, Math.min(5, parseInt(e.target.value)||2)))} />
+          </div>
+        </CardContent>
+      </Card>
+
+      {data && (
+        <Card className="rounded-2xl">
+          <CardContent className="p-4 text-sm space-y-1">
+            <div><span className="font-semibold">{data.rows.length}</span> rows scored ({m?.positives ?? 0} ruptures) · <span className={data.excluded.length?"text-amber-600 font-semibold":""}>{data.excluded.length} excluded</span> · tipping rules evaluable: {ruleKeys.map(k=>k==="Rv"?"R/V":k).join(", ")}</div>
+            {ruleKeys.length < RULE_KEYS.length && <div className="text-xs text-muted-foreground">The file has no {RULE_KEYS.filter(k=>!ruleKeys.includes(k)).join("/")} column(s); those rules are treated as not breached, so the rule count tops out at {ruleKeys.length}.</div>}
+            <div className="text-xs text-muted-foreground">Bands and rules: {modelStamp(model)}</div>
+            {data.excluded.length > 0 && (
+              <details className="text-xs">
+                <summary className="cursor-pointer">Excluded rows</summary>
+                <ul className="list-disc ml-6">
+                  {data.excluded.map((x,i)=>(<li key={i}>{x.country} ({x.year}): {x.reason}</li>))}
+                </ul>
+              </details>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {m && (
+        <>
+          <div className="grid grid-cols-12 gap-5">
+            <Card className="col-span-6 rounded-2xl">
+              <CardContent className="p-4 space-y-3">
+                <div className="text-sm font-semibold">ROC curves</div>
+                <div className="text-xs text-muted-foreground">AUROC — rupture_probability {fmt(m.auc.prob)} · R/V band {fmt(m.auc.band)} · rule count {fmt(m.auc.rules)}</div>
+                <div className="h-[280px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={m.roc} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="fpr" type="number" domain={[0, 1]} label={{ value: "False-positive rate", position: "insideBottom", offset: -2, fontSize: 11 }} />
+                      <YAxis domain={[0, 1]} />
+                      <Tooltip />
+                      <Legend />
+                      <Line type="linear" dataKey="prob" stroke="#4f46e5" strokeWidth={2} dot={false} connectNulls name="rupture_probability" />
+                      <Line type="linear" dataKey="band" stroke="#f97316" strokeWidth={2} dot={false} connectNulls name="R/V band" />
+                      <Line type="linear" dataKey="rules" stroke="#dc2626" strokeWidth={2} dot={false} connectNulls name="Rule count" />
+                      <Line type="linear" dataKey="chance" stroke="#9ca3af" strokeDasharray="4 4" dot={false} connectNulls name="Chance" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+            <Card className="col-span-6 rounded-2xl">
+              <CardContent className="p-4 space-y-3">
+                <div className="text-sm font-semibold">Reliability: rupture_probability</div>
+                <div className="text-xs text-muted-foreground">Brier score {fmt(m.brier)} (base-rate reference {fmt(m.brierBase)})</div>
+                <div className="h-[280px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={m.reliability} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="predicted" type="number" domain={[0, 1]} label={{ value: "Mean predicted", position: "insideBottom", offset: -2, fontSize: 11 }} />
+                      <YAxis domain={[0, 1]} />
+                      <Tooltip />
+                      <Line type="linear" dataKey="observed" stroke="#4f46e5" strokeWidth={2} name="Observed rate" />
+                      <ReferenceLine segment={[{ x: 0, y: 0 }, { x: 1, y: 1 }]} stroke="#9ca3af" strokeDasharray="4 4" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+                <div className="text-xs text-muted-foreground">Bins: {m.reliability.map(b=>`${b.bin} (n=${b.n})`).join(" · ")}</div>
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card className="rounded-2xl">
+            <CardContent className="p-4 grid grid-cols-3 gap-6">
+              <ConfusionTable title={`rupture_probability ≥ ${probCut}`} c={m.cProb} />
+              <ConfusionTable title={`R/V < ${rvCut}`} c={m.cRv} />
+              <ConfusionTable title={`Tipping rules ≥ ${minRules} (R/V rule at ${rvCut})`} c={m.cRules} />
+            </CardContent>
+          </Card>
+
+          <div className="grid grid-cols-12 gap-5">
+            <Card className="col-span-7 rounded-2xl">
+              <CardContent className="p-4 space-y-3">
+                <div className="text-sm font-semibold">R/V cut-off sweep (flag if R/V &lt; cut-off)</div>
+                <div className="h-[260px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={m.rvSweep} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="cut" />
+                      <YAxis domain={[-1, 1]} />
+                      <Tooltip />
+                      <Legend />
+                      <Line type="monotone" dataKey="sensitivity" stroke="#10b981" strokeWidth={2} dot={false} name="Sensitivity" />
+                      <Line type="monotone" dataKey="specificity" stroke="#4f46e5" strokeWidth={2} dot={false} name="Specificity" />
+                      <Line type="monotone" dataKey="accuracy" stroke="#f97316" strokeWidth={2} dot={false} name="Accuracy" />
+                      <Line type="monotone" dataKey="youden" stroke="#dc2626" strokeWidth={2} strokeDasharray="5 3" dot={false} name="Youden J" />
+                      <ReferenceLine x={rvCut} stroke="#9ca3af" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+            <Card className="col-span-5 rounded-2xl">
+              <CardContent className="p-4 space-y-3">
+                <div className="text-sm font-semibold">Rule-count sweep (flag if ≥ k rules)</div>
+                <table className="w-full text-xs text-center border">
+                  <thead className="text-muted-foreground"><tr><th className="border">k</th><th className="border">TP</th><th className="border">FP</th><th className="border">FN</th><th className="border">TN</th><th className="border">Sens</th><th className="border">Spec</th><th className="border">Acc</th></tr></thead>
+                  <tbody>
+                    {m.ruleSweep.map(r=>(
+                      <tr key={r.k} className={r.k===minRules?"font-semibold":""}>
+                        <td className="border">{r.k}</td><td className="border">{r.tp}</td><td className="border">{r.fp}</td><td className="border">{r.fn}</td><td className="border">{r.tn}</td>
+                        <td className="border">{fmt(r.sensitivity, 2)}</td><td className="border">{fmt(r.specificity, 2)}</td><td className="border">{fmt(r.accuracy, 2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="text-xs text-muted-foreground">k above {m.maxRules} cannot fire with the columns in this file.</div>
+              </CardContent>
+            </Card>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
 function LeadTimeReadout({eventDate, cdFlagDate, altFlagDate, altName}:{eventDate?:string, cdFlagDate?:string, altFlagDate?:string, altName?:string}){
-  function daysBetween(a?:string,b?:string){
-    if(!a || !b) return undefined;
-    const da = new Date(a).getTime();
-    const db = new Date(b).getTime();
-    if(Number.isNaN(da) || Number.isNaN(db)) return undefined;
-    return Math.round((da - db)/(1000*60*60*24));
-  }
   const leadCD = daysBetween(eventDate, cdFlagDate);
   const leadAlt = daysBetween(eventDate, altFlagDate);
   return (
@@ -461,3 +2973,1097 @@ function LeadTimeReadout({eventDate, cdFlagDate, altFlagDate, altName}:{eventDat
     </div>
   );
 }
+
+function CsvFileButton({label, onFile}:{label:string, onFile:(f:File)=>void}){
+  return (
+    <label className="text-sm px-3 py-2 rounded-lg border cursor-pointer hover:bg-accent">
+      {label}
+      <input type="file" accept=".csv,.tsv,text/csv,text/tab-separated-values" className="hidden" onChange={e=>{ if(e.target.files?.[0]) onFile(e.target.files[0]); e.target.value=""; }} />
+    </label>
+  );
+}
+
+function BenchmarkScore({title, s}:{title:string, s:ReturnType<typeof scoreFlags>}){
+  return (
+    <div className="space-y-1">
+      <div className="font-semibold">{title}</div>
+      <div className="flex justify-between"><span>Hits</span><span className="font-semibold">{s.hits}</span></div>
+      <div className="flex justify-between"><span>Misses</span><span className="font-semibold">{s.misses}</span></div>
+      <div className="flex justify-between"><span>False alarms</span><span className="font-semibold">{s.falseAlarms}</span></div>
+      <div className="flex justify-between text-xs text-muted-foreground"><span>Events outside the panel span (not scored)</span><span>{s.unobserved}</span></div>
+      <div className="flex justify-between text-xs text-muted-foreground"><span>Openings too recent to judge</span><span>{s.censored}</span></div>
+    </div>
+  );
+}
+
+function leadCell(lead: number, status?: BenchmarkStatus) {
+  if (status === "censored") return "not observed";
+  return fmt(lead, Number.isInteger(lead) ? 0 : 1);
+}
+
+function BenchmarkPanel({presets}:{presets:ModelConfig[]}){
+  const [panelText, setPanelText] = useState<{ name: string; text: string } | null>(null);
+  const [events, setEvents] = useState<{ name: string; rows: BenchmarkEvent[] } | null>(null);
+  const [alt, setAlt] = useState<{ names: string[]; flags: AltFlags }>({ names: [], flags: {} });
+  const [altModel, setAltModel] = useState("");
+  const [model, setModel] = useState<ModelConfig>(presets[0]);
+  const [maxLead, setMaxLead] = useState(12);
+
+  const read = (file: File, onText: (text: string) => void) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try{ onText(String(reader.result)); }
+      catch(e:any){ alert(e?.message || "Could not read CSV"); }
+    };
+    reader.readAsText(file);
+  };
+  const loadPanel = (file: File) => read(file, text=>{ benchmarkPanel(text, model); setPanelText({ name: file.name, text }); });
+  const loadEvents = (file: File) => read(file, text=>setEvents({ name: file.name, rows: benchmarkEvents(text) }));
+  const loadAlt = (file: File) => read(file, text=>{
+    const flags = altFlagSeries(text, file.name.replace(/\.[^.]+$/, ""), alt.flags);
+    setAlt({ names: [...alt.names, file.name], flags });
+    if (!altModel || !flags[altModel]) setAltModel(Object.keys(flags)[0] ?? "");
+  });
+
+  const panel = useMemo(()=>{
+    if(!panelText) return null;
+    try{ return benchmarkPanel(panelText.text, model); }
+    catch{ return null; }
+  },[panelText, model]);
+  const result = useMemo(()=> panel && events ? runBenchmark(panel, events.rows, alt.flags, altModel, maxLead) : null, [panel, events, alt, altModel, maxLead]);
+  const altName = altModel || "Alt model";
+
+  const exportRows = () => result!.rows.map(r=>({
+    country: r.country, event_quarter: r.event, event_year_only: r.yearOnly ? 1 : 0, in_panel: r.inPanel ? 1 : 0,
+    cd_status: r.cdStatus, cd_flag_quarter: r.cdFlag, cd_lead_quarters: Number.isFinite(r.cdLead) ? r.cdLead : "",
+    alt_model: altModel, alt_status: r.altStatus ?? "", alt_flag_quarter: r.altFlag, alt_lead_quarters: Number.isFinite(r.altLead) ? r.altLead : "",
+    lead_advantage_quarters: Number.isFinite(r.advantage) ? r.advantage : "",
+    model: modelStamp(model), max_lead_quarters: maxLead,
+  }));
+  return (
+    <Card className="rounded-2xl">
+      <CardContent className="p-4 space-y-4">
+        <div className="text-sm font-semibold">Lead-time benchmark</div>
+        <div className="flex flex-wrap items-center gap-3">
+          <CsvFileButton label="Load panel" onFile={loadPanel} />
+          <span className="text-xs text-muted-foreground">{panelText?.name || "quarterly CD inputs per country"}</span>
+          <CsvFileButton label="Load events" onFile={loadEvents} />
+          <span className="text-xs text-muted-foreground">{events ? `${events.name} (${events.rows.length} events)` : "e.g. Benchmark_52case_country_year_map.csv"}</span>
+          <CsvFileButton label="Add alt-model flags" onFile={loadAlt} />
+          <span className="text-xs text-muted-foreground">{alt.names.length ? alt.names.join(", ") : "FSI / PITF flag series (optional)"}</span>
+          {alt.names.length > 0 && <Button size="sm" variant="ghost" onClick={()=>{ setAlt({ names: [], flags: {} }); setAltModel(""); }}>Clear flags</Button>}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Label className="text-xs text-muted-foreground">Model</Label>
+          <select className="border rounded-md px-2 py-1 text-sm bg-background" value={model.id} onChange={e=>setModel(presets.find(p=>p.id===e.target.value) ?? presets[0])}>
+            {presets.map(p=>(<option key={p.id} value={p.id}>{p.name}</option>))}
+          </select>
+          <Label className="text-xs text-muted-foreground">Look-back (quarters)</Label>
+          <Input className="w-20" type="number" min={1} max={40} value={maxLead} onChange={e=>setMaxLead(Math.max(1, Math.min(40, parseInt(e.target.value)||12)))} />
+          <Label className="text-xs text-muted-foreground">Compare with</Label>
+          <select className="border rounded-md px-2 py-1 text-sm bg-background" value={altModel} onChange={e=>setAltModel(e.target.value)} disabled={!Object.keys(alt.flags).length}>
+            {!Object.keys(alt.flags).length && <option value="">—</option>}
+            {Object.keys(alt.flags).map(k=>(<option key={k} value={k}>{k}</option>))}
+          </select>
+          {result && <Button size="sm" variant="outline" className="ml-auto" onClick={()=>downloadBlob(new Blob([toCSV(exportRows())], { type: "text/csv" }), `cd_leadtime_benchmark_${altModel || "cd"}.csv`)}>Export CSV</Button>}
+        </div>
+
+        {panel && (
+          <div className="text-xs text-muted-foreground space-y-1">
+            <div>{Object.keys(panel.series).length} countries in panel · rules evaluable: {RULE_KEYS.filter(k=>k==="Rv" || panel.ruleColumns.includes(k as keyof Health)).map(k=>k==="Rv"?"R/V":k).join(", ")} · {modelStamp(model)}</div>
+            {panel.excluded.length > 0 && (
+              <details>
+                <summary className="cursor-pointer text-amber-600">{panel.excluded.length} panel row(s) excluded</summary>
+                <ul className="list-disc ml-6">{panel.excluded.map((x,i)=>(<li key={i}>{x.line}: {x.reason}</li>))}</ul>
+              </details>
+            )}
+          </div>
+        )}
+
+        {result && (
+          <>
+            <div className="grid grid-cols-3 gap-6 text-sm">
+              <BenchmarkScore title="CD (tipping rules)" s={result.cd} />
+              {result.alt ? <BenchmarkScore title={altName} s={result.alt} /> : <div className="text-xs text-muted-foreground">Add an FSI/PITF flag file to compare.</div>}
+              <div className="space-y-1">
+                <div className="font-semibold">Lead-time advantage (CD − {altName})</div>
+                <div className="flex justify-between"><span>Median (quarters)</span><span className={"font-semibold " + (result.advantage.median > 0 ? "text-emerald-600" : result.advantage.median < 0 ? "text-red-600" : "")}>{fmt(result.advantage.median, 1)}</span></div>
+                <div className="flex justify-between"><span>Bootstrap 95% CI</span><span>{fmt(result.advantage.lo, 1)} – {fmt(result.advantage.hi, 1)}</span></div>
+                <div className="text-xs text-muted-foreground">Over the {result.advantage.n} case(s) both models flagged.</div>
+              </div>
+            </div>
+            <div className="max-h-[360px] overflow-auto">
+              <table className="w-full text-xs text-center border">
+                <thead className="text-muted-foreground"><tr><th className="border">Country</th><th className="border">Event</th><th className="border">CD flag</th><th className="border">CD lead (q)</th><th className="border">{altName} flag</th><th className="border">{altName} lead (q)</th><th className="border">Advantage (q)</th></tr></thead>
+                <tbody>
+                  {result.rows.map((r,i)=>(
+                    <tr key={i} className={r.inPanel ? "" : "text-muted-foreground"}>
+                      <td className="border text-left px-2">{r.country}{r.inPanel ? "" : " (not in panel)"}</td><td className="border">{r.event}</td>
+                      <td className="border">{r.cdFlag}</td><td className="border">{leadCell(r.cdLead, r.cdStatus)}</td>
+                      <td className="border">{r.altFlag}</td><td className="border">{leadCell(r.altLead, r.altStatus)}</td>
+                      <td className="border">{leadCell(r.advantage)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function CalibrationPanel({fit, onFit}:{fit:RuptureFit|null, onFit:(f:RuptureFit|null)=>void}){
+  const [data, setData] = useState<ReturnType<typeof fitRows> | null>(null);
+  const [fileName, setFileName] = useState("");
+  const [features, setFeatures] = useState<string[]>([]);
+  const [penalized, setPenalized] = useState(true);
+  const [lambda, setLambda] = useState(1);
+  const [folds, setFolds] = useState(5);
+
+  const load = (file: File) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try{
+        const d = fitRows(String(reader.result));
+        setData(d); setFileName(file.name); setFeatures(d.available);
+      }
+      catch(e:any){ alert(e?.message || "Could not read CSV"); }
+    };
+    reader.readAsText(file);
+  };
+  const loadModel = (file: File) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try{
+        const json = JSON.parse(String(reader.result));
+        if(!Array.isArray(json.features) || !Array.isArray(json.coefficients)) throw new Error("Not a fitted model file");
+        onFit(json);
+      }catch(e:any){ alert(e?.message || "Invalid JSON"); }
+    };
+    reader.readAsText(file);
+  };
+
+  const result = useMemo(()=>{
+    if(!data || !features.length) return null;
+    const rows = data.rows.filter(r=>features.every(f=>Number.isFinite(r.values[f])));
+    const X = rows.map(r=>features.map(f=>r.values[f])), y = rows.map(r=>r.label);
+    const opts = { features, lambda: penalized ? lambda : 0 };
+    try{
+      const model: RuptureFit = { ...Fit.fitLogistic(X, y, opts), source: fileName };
+      const cv = Fit.crossValidate(X, y, opts, folds, 1);
+      const rvRows = rows.filter(r=>Number.isFinite(r.values.R_V_ratio));
+      const baseline = rvRows.length ? Fit.metrics(rvRows.map(r=>clamp01(1 - r.values.R_V_ratio)), rvRows.map(r=>r.label)) : null;
+      return { model, cv, baseline, dropped: data.rows.length - rows.length, error: "" };
+    }catch(e:any){
+      return { model: null, cv: null, baseline: null, dropped: data.rows.length - rows.length, error: e?.message || "Fit failed" };
+    }
+  },[data, features, penalized, lambda, folds, fileName]);
+
+  const exportModel = (m: RuptureFit) => downloadBlob(new Blob([JSON.stringify(m, null, 2)], { type: "application/json" }), "cd_rupture_fit.json");
+  const perf = (title: string, x: any) => (
+    <tr><td className="border text-left px-2">{title}</td><td className="border">{fmt(x?.auroc)}</td><td className="border">{fmt(x?.brier)}</td><td className="border">{fmt(x?.logLoss)}</td><td className="border">{fmt(x?.accuracy, 2)}</td></tr>
+  );
+
+  return (
+    <div className="space-y-5">
+      <Card className="rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="text-sm px-3 py-2 rounded-lg border cursor-pointer hover:bg-accent">
+              Load CSV
+              <input type="file" accept=".csv,.tsv,text/csv,text/tab-separated-values" className="hidden" onChange={e=>{ if(e.target.files?.[0]) load(e.target.files[0]); }} />
+            </label>
+            <span className="text-sm text-muted-foreground">{fileName || "e.g. GoG_100_country_profiles_with_groundtruth_stepB.csv"}</span>
+            <div className="flex items-center gap-2 ml-auto">
+              <Switch checked={penalized} onCheckedChange={setPenalized} />
+              <Label className="text-xs text-muted-foreground">Ridge λ</Label>
+              <Input className="w-20" type="number" step={0.1} min={0} value={lambda} disabled={!penalized} onChange={e=>setLambda(Math.max(0, parseFloat(e.target.value)||0))} />
+              <Label className="text-xs text-muted-foreground">CV folds</Label>
+              <Input className="w-16" type="number" min={2} max={20} value={folds} onChange={e=>setFolds(Math.max(2, Math.min(20, parseInt(e.target.value)||5)))} />
+            </div>
+          </div>
+          {data && (
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+              <span className="text-xs text-muted-foreground">Predictors:</span>
+              {FIT_FEATURES.filter(f=>data.available.includes(f.key)).map(f=>(
+                <label key={f.key} className="flex items-center gap-1">
+                  <input type="checkbox" checked={features.includes(f.key)} onChange={e=>setFeatures(e.target.checked ? FIT_FEATURES.map(x=>x.key).filter(k=>k===f.key || features.includes(k)) : features.filter(k=>k!==f.key))} />
+                  {f.label}
+                </label>
+              ))}
+            </div>
+          )}
+          {data && <div className="text-xs text-muted-foreground">{data.rows.length} labelled rows{data.unlabeled ? ` (${data.unlabeled} without a 0/1 rupture_occurred skipped)` : ""}{result?.dropped ? ` · ${result.dropped} with an NA predictor left out` : ""}</div>}
+        </CardContent>
+      </Card>
+
+      {result?.error && <Card className="rounded-2xl"><CardContent className="p-4 text-sm text-red-600">{result.error}</CardContent></Card>}
+
+      {result?.model && (
+        <div className="grid grid-cols-12 gap-5">
+          <Card className="col-span-7 rounded-2xl">
+            <CardContent className="p-4 space-y-3">
+              <div className="text-sm font-semibold">Coefficients (log-odds per unit)</div>
+              <table className="w-full text-xs text-center border">
+                <thead className="text-muted-foreground"><tr><th className="border">Term</th><th className="border">Estimate</th><th className="border">SE</th><th className="border">95% CI</th><th className="border">p</th><th className="border">Per SD</th></tr></thead>
+                <tbody>
+                  {result.model.coefficients.map(c=>(
+                    <tr key={c.term}>
+                      <td className="border text-left px-2">{c.term}</td><td className="border">{fmt(c.estimate)}</td><td className="border">{fmt(c.se)}</td>
+                      <td className="border">{fmt(c.lo)} – {fmt(c.hi)}</td><td className="border">{fmt(c.p)}</td><td className="border">{c.perSD==null ? "" : fmt(c.perSD)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-muted-foreground">n = {result.model.n}, ruptures = {result.model.events}, log-likelihood {fmt(result.model.logLik)}, {result.model.converged ? `converged in ${result.model.iterations} iterations` : "did not converge (the predictors may separate the outcomes; add a ridge penalty)"}.{result.model.lambda > 0 ? " Intervals ignore the shrinkage, so treat them as approximate." : ""}</div>
+              {result.model.events < 10 && <div className="text-xs text-amber-600">Only {result.model.events} rupture(s): estimates and cross-validated scores are very unstable.</div>}
+            </CardContent>
+          </Card>
+          <Card className="col-span-5 rounded-2xl">
+            <CardContent className="p-4 space-y-3">
+              <div className="text-sm font-semibold">Out-of-sample performance ({result.cv.folds}-fold CV)</div>
+              <table className="w-full text-xs text-center border">
+                <thead className="text-muted-foreground"><tr><th className="border">Predictor</th><th className="border">AUROC</th><th className="border">Brier</th><th className="border">Log loss</th><th className="border">Acc @0.5</th></tr></thead>
+                <tbody>
+                  {perf("Fitted (cross-validated)", result.cv)}
+                  {result.baseline && perf("1 − R/V (no fitting)", result.baseline)}
+                </tbody>
+              </table>
+              {result.cv.failed > 0 && <div className="text-xs text-amber-600">{result.cv.failed} fold(s) could not be fitted and are left out.</div>}
+              <div className="flex flex-wrap gap-2">
+                <Button size="sm" onClick={()=>onFit(result.model)}>Use in Debt & Flags</Button>
+                <Button size="sm" variant="outline" onClick={()=>exportModel(result.model!)}>Export model JSON</Button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      )}
+
+      <Card className="rounded-2xl">
+        <CardContent className="p-4 flex flex-wrap items-center gap-3 text-sm">
+          <span className="font-semibold">In use:</span>
+          <span className="text-muted-foreground">{fit ? `${fit.features.join(" + ")}${fit.lambda ? `, ridge λ=${fit.lambda}` : ""} (n=${fit.n}${fit.source ? `, ${fit.source}` : ""})` : "none"}</span>
+          <label className="text-sm px-3 py-2 rounded-lg border cursor-pointer hover:bg-accent ml-auto">
+            Load model JSON
+            <input type="file" accept="application/json,.json" className="hidden" onChange={e=>{ if(e.target.files?.[0]) loadModel(e.target.files[0]); }} />
+          </label>
+          {fit && <Button size="sm" variant="ghost" onClick={()=>onFit(null)}>Clear</Button>}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function DynamicsPanel({dynamics, data, onChange}:{dynamics:Dynamics, data:Record<string, number>[], onChange:(d:Dynamics)=>void}){
+  const set = (patch: Partial<Dynamics>) => onChange({ ...dynamics, ...patch });
+  const setFeedback = (k: FeedbackKey, src: "debt" | "protest" | "backfire", v: number) =>
+    set({ feedback: { ...dynamics.feedback, [k]: { ...dynamics.feedback[k], [src]: v } } });
+  return (
+    <Card className="rounded-2xl">
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-semibold">Endogenous dynamics</div>
+          <div className="flex items-center gap-2">
+            <Label className="text-xs text-muted-foreground">{dynamics.enabled ? "On" : "Off (linear accumulator)"}</Label>
+            <Switch checked={dynamics.enabled} onCheckedChange={(v:boolean)=>set({ enabled: v })} />
+          </div>
+        </div>
+        {dynamics.enabled && (
+          <div className="grid grid-cols-12 gap-5">
+            <div className="col-span-4 space-y-2">
+              <NumberField label="Memory (carry-over of D)" value={dynamics.memory} step={0.05} onChange={v=>set({ memory: Math.max(0, Math.min(1, v)) })} />
+              <NumberField label="Compounding threshold θ" value={dynamics.threshold} step={0.25} onChange={v=>set({ threshold: v })} />
+              <NumberField label="Compounding rate k" value={dynamics.compounding} step={0.05} onChange={v=>set({ compounding: Math.max(0, v) })} />
+              <NumberField label="Exponent γ" value={dynamics.exponent} step={0.1} onChange={v=>set({ exponent: Math.max(0.1, v) })} />
+              <div className="text-xs text-muted-foreground">D(t) = memory·D(t−1) + V − R + k·(D(t−1) − θ)^γ above θ. Memory runs 0–1; D is held at ±{D_LIMIT.toLocaleString()} if it runs away.</div>
+              <Button size="sm" variant="ghost" onClick={()=>onChange({ ...DEFAULT_DYNAMICS, enabled: true })}>Reset to defaults</Button>
+            </div>
+            <div className="col-span-4 space-y-2">
+              <table className="w-full text-xs text-center">
+                <thead className="text-muted-foreground"><tr><th className="text-left">Δ per period</th><th>per unit D</th><th>per unit P</th><th>per unit B</th></tr></thead>
+                <tbody>
+                  {FEEDBACK_KEYS.map(k=>(
+                    <tr key={k}>
+                      <td className="text-left">{HEALTH_LABELS.find(([h])=>h===k)![1]}</td>
+                      {(["debt","protest","backfire"] as const).map(src=>(
+                        <td key={src}><Input className="w-20 h-7 text-xs" type="number" step={0.005} value={dynamics.feedback[k][src]} onChange={e=>{ const v = parseFloat(e.target.value); if(Number.isFinite(v)) setFeedback(k, src, v); }} /></td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-muted-foreground">Negative values erode a factor, positive values raise it. The drift accumulates over periods and is added to the coded health, clamped to 0–1.</div>
+            </div>
+            <div className="col-span-4 h-[220px]">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={data} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="period" />
+                  <YAxis domain={[0, 1]} />
+                  <Tooltip />
+                  <Legend />
+                  <Line type="monotone" dataKey="L" stroke="#4f46e5" dot={false} />
+                  <Line type="monotone" dataKey="E" stroke="#0ea5e9" dot={false} />
+                  <Line type="monotone" dataKey="T" stroke="#10b981" dot={false} />
+                  <Line type="monotone" dataKey="P" stroke="#dc2626" dot={false} />
+                  <Line type="monotone" dataKey="capacity" stroke="#6b7280" strokeDasharray="5 3" dot={false} name="CapacityFactor" />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function ImportReportCard({report, onClose}:{report:ImportReport, onClose:()=>void}){
+  const bad = report.errors.length > 0 || !!report.backup;
+  return (
+    <Card className={`rounded-2xl ${bad ? "border-amber-400" : ""}`}>
+      <CardContent className="p-4 space-y-2 text-sm">
+        <div className="flex items-center justify-between">
+          <div>
+            <span className="font-semibold">{report.source}:</span> {report.added} added · {report.updated} updated · {report.unchanged} unchanged
+            {report.rejected > 0 && <span className="text-red-600 font-semibold"> · {report.rejected} rejected</span>}
+            {report.migratedFrom != null && <span className="text-muted-foreground"> · migrated from schema v{report.migratedFrom} to v{Schema.SCHEMA_VERSION}</span>}
+          </div>
+          <Button size="sm" variant="ghost" onClick={onClose}>Dismiss</Button>
+        </div>
+        {report.errors.length > 0 && (
+          <details open className="text-xs">
+            <summary className="cursor-pointer text-red-600">{report.errors.length} error(s); the affected cases were not imported</summary>
+            <ul className="list-disc ml-6">{report.errors.map((e,i)=>(<li key={i}><code>{e.path || "(file)"}</code>: {e.message}</li>))}</ul>
+          </details>
+        )}
+        {report.warnings.length > 0 && (
+          <details className="text-xs">
+            <summary className="cursor-pointer text-amber-600">{report.warnings.length} warning(s): fields repaired, rows skipped or revisions dropped</summary>
+            <ul className="list-disc ml-6">{report.warnings.map((w,i)=>(<li key={i}><code>{w.path}</code>: {w.message}</li>))}</ul>
+          </details>
+        )}
+        {report.backup && (
+          <div className="flex items-center justify-between gap-3 text-xs text-amber-600">
+            <span>The saved data as it was is kept under <code>{BACKUP_KEY}</code> in browser storage, and autosave waits for your first change. Download it to repair it or import it into a newer version.</span>
+            <Button size="sm" variant="outline" onClick={()=>downloadBlob(new Blob([report.backup!], { type: "application/json" }), "gog-cd-store-backup.json")}>Download saved data</Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function HistoryCard({revisions}:{revisions:Revision[]}){
+  const show = (v: any) => v === undefined ? "—" : typeof v === "number" ? String(round2(v)) : JSON.stringify(v);
+  return (
+    <Card className="rounded-2xl">
+      <CardContent className="p-4 space-y-2">
+        <div className="text-sm font-semibold">History ({revisions.length})</div>
+        {!revisions.length && <div className="text-xs text-muted-foreground">No changes recorded for this case yet.</div>}
+        <div className="space-y-2 max-h-[320px] overflow-auto pr-1">
+          {[...revisions].reverse().map((r,i)=>(
+            <div key={i} className="text-xs border-b pb-1">
+              <div className="flex justify-between"><span className="font-semibold">{r.author} · {r.kind}</span><span className="text-muted-foreground">{new Date(r.at).toLocaleString()}</span></div>
+              {r.why && <div className="italic text-muted-foreground">“{r.why}”</div>}
+              <ul className="ml-3">
+                {r.changes.slice(0, 4).map(c=>(<li key={c.path}><code>{c.path}</code> {show(c.from)} → {show(c.to)}</li>))}
+                {r.changes.length > 4 && <li className="text-muted-foreground">… and {r.changes.length - 4} more</li>}
+              </ul>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function EvidenceEditor({scenario, author, onChange}:{scenario:Scenario, author:string, onChange:(mut:(s:Scenario)=>Scenario)=>void}){
+  const [path, setPath] = useState(SCALAR_INPUTS[0].path);
+  const e: Evidence = scenario.evidence?.[path] ?? { sources: [] };
+  const prov = scenario.provenance?.[path];
+  const documented = SCALAR_INPUTS.filter(i => scenario.evidence?.[i.path]).length;
+  // Every edit is stamped with the coder; an entry with no sources and no rationale is removed.
+  const save = (next: Evidence) => onChange(s => {
+    const ev = { ...(s.evidence ?? {}) };
+    if (!next.sources.length && !next.rationale) delete ev[path];
+    else ev[path] = { ...next, coder: author.trim() || "anonymous", updated: new Date().toISOString().slice(0, 10) };
+    return { ...s, evidence: ev };
+  });
+  const setSource = (i: number, patch: Partial<Source>) => save({ ...e, sources: e.sources.map((src, j) => j === i ? { ...src, ...patch } : src) });
+
+  return (
+    <Card className="col-span-5 rounded-2xl">
+      <CardContent className="p-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-semibold">Evidence</div>
+          <span className="text-xs text-muted-foreground">{documented} of {SCALAR_INPUTS.length} inputs documented</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <select className="border rounded-md px-2 py-1 text-sm bg-background flex-1" value={path} onChange={ev=>setPath(ev.target.value)}>
+            {SCALAR_INPUTS.map(i=>(<option key={i.path} value={i.path}>{scenario.evidence?.[i.path] ? "● " : "○ "}{i.label}</option>))}
+          </select>
+          <span className="text-sm font-semibold w-12 text-right">{round2(inputValue(scenario.period, path))}</span>
+        </div>
+        {e.sources.map((src, i)=>(
+          <div key={i} className="grid grid-cols-12 gap-2">
+            <Input className="col-span-12" placeholder="Citation (author, title, outlet)" value={src.citation} onChange={ev=>setSource(i, { citation: ev.target.value })} />
+            <Input className="col-span-6" placeholder="URL" value={src.url ?? ""} onChange={ev=>setSource(i, { url: ev.target.value || undefined })} />
+            <Input className="col-span-4" placeholder="YYYY-MM-DD" value={src.date ?? ""} onChange={ev=>setSource(i, { date: ev.target.value || undefined })} />
+            <Button className="col-span-2" size="sm" variant="ghost" onClick={()=>save({ ...e, sources: e.sources.filter((_, j)=>j!==i) })}>Remove</Button>
+          </div>
+        ))}
+        <Button size="sm" variant="outline" onClick={()=>save({ ...e, sources: [...e.sources, { citation: "" }] })}>+ Source</Button>
+        <Label className="text-xs text-muted-foreground">Rationale</Label>
+        <Textarea placeholder="Why this value? What would move it?" value={e.rationale ?? ""} onChange={ev=>save({ ...e, rationale: ev.target.value || undefined })} />
+        {e.coder && <div className="text-xs text-muted-foreground">Last edited by {e.coder}{e.updated ? ` on ${e.updated}` : ""}</div>}
+        {prov && (
+          <div className="text-xs text-muted-foreground border rounded-md p-2 space-y-1">
+            <div>Imported from {prov.source || "a data file"}, line {prov.line}, by recipe "{prov.recipe}" ({prov.fingerprint}).</div>
+            {prov.columns.map((c, i)=>(<div key={i}>{c.column} = {c.raw} → {round2(c.value)}</div>))}
+            {Math.abs(inputValue(scenario.period, path) - prov.value) > 1e-9 && <div className="text-amber-600">Edited since the import (imported value {round2(prov.value)}).</div>}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function alphaClass(a: number) {
+  return !Number.isFinite(a) ? "text-muted-foreground" : a >= ALPHA_GOOD ? "text-emerald-600 font-semibold" : a >= ALPHA_TENTATIVE ? "text-amber-600" : "text-red-600 font-semibold";
+}
+
+function CodingPanel({scenario, scenarios, author, onChange, onLoadCodings, onCreate}:{scenario:Scenario, scenarios:Scenario[], author:string, onChange:(mut:(s:Scenario)=>Scenario)=>void, onLoadCodings:(file:File)=>void, onCreate:(s:Scenario)=>void}){
+  const [pooled, setPooled] = useState(false);
+  const [threshold, setThreshold] = useState(0.2);
+  const [blind, setBlind] = useState(true);
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const [method, setMethod] = useState<ConsensusMethod>("median");
+  const m = modelOf(scenario);
+  const codings = scenario.codings ?? [];
+  const me = author.trim();
+  const hidden = blind && !codings.some(c => c.coder === me);
+
+  const stats = useMemo(()=>codingReliability(pooled ? scenarios : [scenario], threshold),[pooled, scenarios, scenario, threshold]);
+  const own = useMemo(()=>codingReliability([scenario], threshold),[scenario, threshold]);
+  const rows = own.inputs.filter(r => !flaggedOnly || r.flagged);
+  const unadjudicated = own.inputs.filter(r => r.flagged && !scenario.adjudication?.[r.path]).length;
+
+  const saveCoding = () => onChange(s => ({ ...s, codings: mergeCodings(s.codings, [{ coder: me, codedAt: new Date().toISOString(), period: s.period, evidence: s.evidence }]) }));
+  const adjudicate = (path: string, v: string) => onChange(s => {
+    const adj = { ...(s.adjudication ?? {}) };
+    if (v.trim() === "") delete adj[path];
+    else adj[path] = { ...adj[path], value: path === "baselineD" ? parseFloat(v) || 0 : clamp01(parseFloat(v) || 0), by: me || "anonymous" };
+    return { ...s, adjudication: adj };
+  });
+  const createConsensus = () => {
+    let id = `${scenario.id}_consensus_${method}`, n = 2;
+    while (scenarios.some(s => s.id === id)) id = `${scenario.id}_consensus_${method}_${n++}`;
+    onCreate(consensusScenario(scenario, method, id));
+  };
+  const exportCSV = () => downloadBlob(new Blob([toCSV(stats.inputs.map(r => ({
+    case: r.caseName, input: r.path, ...Object.fromEntries(stats.coders.map(c => [c, r.values[c] ?? ""])),
+    mean: round2(r.mean), median: round2(r.median), range: round2(r.range), sd: round2(r.sd), flagged: r.flagged ? 1 : 0,
+  })))], { type: "text/csv" }), "cd_coder_agreement.csv");
+
+  return (
+    <div className="space-y-5">
+      <div className="grid grid-cols-12 gap-5">
+        <EvidenceEditor scenario={scenario} author={author} onChange={onChange} />
+
+        <Card className="col-span-7 rounded-2xl">
+          <CardContent className="p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-semibold">Codings of {scenario.name} ({codings.length})</div>
+              <div className="flex items-center gap-2">
+                <Switch checked={blind} onCheckedChange={setBlind} />
+                <Label className="text-xs text-muted-foreground">Blind until I have coded</Label>
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <Button size="sm" disabled={!me} onClick={saveCoding}>{codings.some(c=>c.coder===me) ? `Update ${me}'s coding` : me ? `Save current inputs as ${me}'s coding` : "Enter a coder name to save a coding"}</Button>
+              <label className="text-sm px-3 py-2 rounded-lg border cursor-pointer hover:bg-accent">
+                Load coder files
+                <input type="file" accept="application/json" multiple className="hidden" onChange={e=>{ Array.from(e.target.files ?? []).forEach(onLoadCodings); e.target.value = ""; }} />
+              </label>
+            </div>
+            {!codings.length && <div className="text-xs text-muted-foreground">Each coder scores the case in their own copy, saves it as their coding and exports JSON; load those files here to combine them. Cases are matched by id.</div>}
+            {codings.length > 0 && (
+              <table className="w-full text-xs text-center border">
+                <thead><tr><th className="border text-left px-2">Coder</th><th className="border">Coded</th><th className="border">V</th><th className="border">R</th><th className="border">R/V</th><th className="border">Evidence</th><th className="border"></th></tr></thead>
+                <tbody>
+                  {codings.map(c=>{
+                    const cv = V_total(c.period.violations, m), cr = R_total(c.period.repair, c.period.health, m);
+                    const masked = hidden && c.coder !== me;
+                    return (
+                      <tr key={c.coder}>
+                        <td className="border text-left px-2">{c.coder}</td>
+                        <td className="border">{new Date(c.codedAt).toLocaleDateString()}</td>
+                        <td className="border">{masked ? "•••" : round2(cv)}</td>
+                        <td className="border">{masked ? "•••" : round2(cr)}</td>
+                        <td className="border">{masked ? "•••" : round2(cv > 0 ? cr / cv : 0)}</td>
+                        <td className="border">{Object.keys(c.evidence ?? {}).length}</td>
+                        <td className="border whitespace-nowrap">
+                          <Button size="sm" variant="ghost" disabled={masked} onClick={()=>onChange(s=>({ ...s, period: c.period, evidence: c.evidence }))}>Load</Button>
+                          <Button size="sm" variant="ghost" onClick={()=>onChange(s=>({ ...s, codings: (s.codings ?? []).filter(x=>x.coder!==c.coder) }))}>Remove</Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card className="rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="flex flex-wrap items-center gap-4">
+            <div className="text-sm font-semibold">Inter-coder reliability</div>
+            <select className="border rounded-md px-2 py-1 text-sm bg-background" value={pooled ? "all" : "case"} onChange={e=>setPooled(e.target.value==="all")}>
+              <option value="case">This case</option>
+              <option value="all">All cases with 2+ codings</option>
+            </select>
+            <NumberField label="Flag if range ≥" value={threshold} step={0.05} onChange={v=>setThreshold(Math.max(0, v))} />
+            <Button size="sm" variant="outline" className="ml-auto" disabled={!stats.inputs.length || hidden} onClick={exportCSV}>Export CSV</Button>
+          </div>
+          {!stats.cases ? <div className="text-sm text-muted-foreground">Needs at least two codings{pooled ? " of some case" : " of this case"}.</div>
+          : hidden ? <div className="text-sm text-muted-foreground">Hidden until {me || "you"} save{me ? "s" : ""} a coding (blind mode).</div>
+          : (
+            <>
+              <table className="w-full text-xs text-center border">
+                <thead><tr><th className="border text-left px-2">Domain</th><th className="border">Inputs</th><th className="border">Krippendorff's α (interval)</th><th className="border">ICC(2,1)</th><th className="border">Flagged</th></tr></thead>
+                <tbody>
+                  {[...stats.groups, { key: "overall", label: "Overall", ...stats.overall }].map(g=>(
+                    <tr key={g.key} className={g.key==="overall" ? "font-semibold" : ""}>
+                      <td className="border text-left px-2">{g.label}</td>
+                      <td className="border">{g.units}</td>
+                      <td className={`border ${alphaClass(g.alpha)}`}>{fmt(g.alpha, 2)}</td>
+                      <td className={`border ${alphaClass(g.icc)}`}>{fmt(g.icc, 2)}{g.complete < g.units ? ` (${g.complete} complete)` : ""}</td>
+                      <td className={`border ${g.flagged ? "text-red-600" : ""}`}>{g.flagged}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-muted-foreground">{stats.coders.length} coders over {stats.cases} case(s). α ≥ {ALPHA_GOOD} is conventionally reliable, {ALPHA_TENTATIVE}–{ALPHA_GOOD} tentative. With a handful of inputs per domain (and little spread among them) both statistics are unstable; "—" means no variation to compare against. ICC uses only inputs scored by every coder.</div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {own.inputs.length > 0 && !hidden && (
+        <Card className="rounded-2xl">
+          <CardContent className="p-4 space-y-3">
+            <div className="flex flex-wrap items-center gap-4">
+              <div className="text-sm font-semibold">Inputs of {scenario.name}</div>
+              <div className="flex items-center gap-2">
+                <Switch checked={flaggedOnly} onCheckedChange={setFlaggedOnly} />
+                <Label className="text-xs text-muted-foreground">Flagged only ({own.inputs.filter(r=>r.flagged).length})</Label>
+              </div>
+              <div className="flex items-center gap-2 ml-auto">
+                <Label className="text-xs text-muted-foreground">Consensus</Label>
+                <select className="border rounded-md px-2 py-1 text-sm bg-background" value={method} onChange={e=>setMethod(e.target.value as ConsensusMethod)}>
+                  <option value="mean">Mean</option>
+                  <option value="median">Median</option>
+                  <option value="adjudicated">Adjudicated (median elsewhere)</option>
+                </select>
+                <Button size="sm" onClick={createConsensus}>Create consensus case</Button>
+              </div>
+            </div>
+            {method==="adjudicated" && unadjudicated > 0 && <div className="text-xs text-amber-600">{unadjudicated} flagged input(s) have no adjudicated value; the median is used for them.</div>}
+            <div className="max-h-[480px] overflow-auto">
+              <table className="w-full text-xs text-center border">
+                <thead><tr><th className="border text-left px-2">Input</th>{own.coders.map(c=>(<th key={c} className="border">{c}</th>))}<th className="border">Mean</th><th className="border">Median</th><th className="border">Range</th><th className="border">Adjudicated</th></tr></thead>
+                <tbody>
+                  {rows.map(r=>(
+                    <tr key={r.path} className={r.flagged ? "bg-red-50" : ""}>
+                      <td className="border text-left px-2" title={codings.map(c=>evidenceSummary(c.evidence?.[r.path]) && `${c.coder}:\n${evidenceSummary(c.evidence?.[r.path])}`).filter(Boolean).join("\n\n")}>{r.label}</td>
+                      {own.coders.map(c=>(<td key={c} className="border">{fmt(r.values[c], 2)}</td>))}
+                      <td className="border">{fmt(r.mean, 2)}</td>
+                      <td className="border">{fmt(r.median, 2)}</td>
+                      <td className={`border ${r.flagged ? "text-red-600 font-semibold" : ""}`}>{fmt(r.range, 2)}</td>
+                      <td className="border"><Input className="h-7 w-20 mx-auto text-xs" type="number" step={0.05} placeholder="—" value={scenario.adjudication?.[r.path]?.value ?? ""} onChange={e=>adjudicate(r.path, e.target.value)} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-xs text-muted-foreground">Hover an input to read each coder's sources and rationale. The consensus case carries the merged evidence and, for adjudicated inputs, who set the value.</div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
+
+function ReportPanel({scenario, scenarios, horizon, author}:{scenario:Scenario, scenarios:Scenario[], horizon:number, author:string}){
+  const defaults = briefDefaults(scenario);
+  const [country, setCountry] = useState(defaults.country);
+  const [period, setPeriod] = useState(defaults.period);
+  const [by, setBy] = useState(author);
+  const [format, setFormat] = useState<BriefFormat>("latex");
+  const [reformId, setReformId] = useState(reformOf(scenarios, scenario)?.id ?? "");
+  const [figure, setFigure] = useState("V");
+  const reform = scenarios.find(s=>s.id===reformId && s.id!==scenario.id);
+
+  const brief = useMemo(()=>briefOf(scenario, reform, { country, period, author: by, horizon }),[scenario, reform, country, period, by, horizon]);
+  const built = useMemo(()=>Report.buildBrief(brief, format, briefBundle(scenarios, scenario, reform)),[brief, format, scenarios, scenario, reform]);
+  const doc: string = built.files[0].data;
+  const svgs: Record<string, string> = useMemo(()=>Object.fromEntries(Object.entries(built.figures).map(([k, fig])=>[k, Report.toSVG(fig)])),[built]);
+
+  const downloadZip = () => {
+    const { fileName, bytes } = Report.briefZip(brief, format, briefBundle(scenarios, scenario, reform));
+    downloadBlob(new Blob([bytes], { type: "application/zip" }), fileName);
+  };
+  const downloadDoc = () => downloadBlob(new Blob([doc], { type: "text/plain" }), built.files[0].name);
+
+  return (
+    <div className="grid grid-cols-12 gap-5">
+      <Card className="col-span-4 rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="text-sm font-semibold">Country brief</div>
+          <Label className="text-xs text-muted-foreground">Country</Label>
+          <Input value={country} onChange={e=>setCountry(e.target.value)} />
+          <Label className="text-xs text-muted-foreground">Quarter</Label>
+          <Input placeholder="Q4 2025" value={period} onChange={e=>setPeriod(e.target.value)} />
+          <Label className="text-xs text-muted-foreground">Author</Label>
+          <Input value={by} onChange={e=>setBy(e.target.value)} />
+          <Label className="text-xs text-muted-foreground">Reform / what-if variant</Label>
+          <select className="border rounded-md px-2 py-1 text-sm bg-background w-full" value={reform ? reformId : ""} onChange={e=>setReformId(e.target.value)}>
+            <option value="">None (baseline only)</option>
+            {scenarios.filter(s=>s.id!==scenario.id).map(s=>(<option key={s.id} value={s.id}>{s.name}</option>))}
+          </select>
+          <Label className="text-xs text-muted-foreground">Format</Label>
+          <div className="flex gap-2">
+            <Button size="sm" variant={format==="latex"?"default":"outline"} onClick={()=>setFormat("latex")}>LaTeX</Button>
+            <Button size="sm" variant={format==="markdown"?"default":"outline"} onClick={()=>setFormat("markdown")}>Markdown</Button>
+          </div>
+          <div className="flex gap-2 pt-2">
+            <Button onClick={downloadZip}>Download {Report.layout(brief).folder}.zip</Button>
+            <Button variant="outline" onClick={downloadDoc}>{built.files[0].name}</Button>
+          </div>
+          <div className="text-xs text-muted-foreground">
+            The zip holds {built.files[0].name}, the figures in <code>{Report.layout(brief).figDir}/</code> as PDF (used by LaTeX) and SVG (used by Markdown), and {Report.layout(brief).bundle}.
+            Projection over {horizon} periods as set in the Model tab. Model: {brief.model}.
+          </div>
+          {!brief.sources.length && <div className="text-xs text-amber-600">No evidence is recorded for this case; the brief will have no sources section.</div>}
+        </CardContent>
+      </Card>
+
+      <div className="col-span-8 space-y-5">
+        <Card className="rounded-2xl">
+          <CardContent className="p-4 space-y-3">
+            <div className="flex flex-wrap gap-2">
+              {[["V","V components"],["R","R components"],["C","C factors"],["RV","R/V bar"],["projection","Projection"]].map(([k, label])=>(
+                <Button key={k} size="sm" variant={figure===k?"default":"outline"} onClick={()=>setFigure(k)}>{label}</Button>
+              ))}
+            </div>
+            <img className="w-full max-w-[640px] border rounded-lg" alt={figure} src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgs[figure])}`} />
+          </CardContent>
+        </Card>
+        <Card className="rounded-2xl">
+          <CardContent className="p-4 space-y-2">
+            <div className="text-sm font-semibold">{built.files[0].name}</div>
+            <pre className="text-xs bg-muted rounded-lg p-3 max-h-[480px] overflow-auto whitespace-pre-wrap">{doc}</pre>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+function AdapterPanel({presets, onImport}:{presets:ModelConfig[], onImport:(list:Scenario[], source:string, skipped:FileIssue[])=>void}){
+  const [recipes, setRecipes] = useState<Recipe[]>(loadRecipes);
+  const [recipeId, setRecipeId] = useState(recipes[0]?.id ?? "");
+  const [file, setFile] = useState<{ name: string; table: any } | null>(null);
+  const [presetId, setPresetId] = useState(Core.DEFAULT_PRESET_ID);
+  const [year, setYear] = useState("");
+  const recipe = recipes.find(r=>r.id===recipeId) ?? recipes[0];
+  const model = presets.find(p=>p.id===presetId) ?? DEFAULT_MODEL;
+
+  useEffect(()=>{ try{ localStorage.setItem(RECIPES_KEY, JSON.stringify({ recipes })); }catch{ /* ignore */ } },[recipes]);
+
+  const load = (f: File) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const table = CSV.parse(String(reader.result));
+      if (!table.header.length) { alert("The file has no header row"); return; }
+      setFile({ name: f.name, table }); setYear("");
+    };
+    reader.readAsText(f);
+  };
+  const loadRecipeFile = (f: File) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try{
+        const { recipes: incoming, errors } = Adapters.readRecipes(JSON.parse(String(reader.result)));
+        if (incoming.length) { setRecipes(prev=>[...prev.filter(r=>!incoming.some((x: Recipe)=>x.id===r.id)), ...incoming]); setRecipeId(incoming[0].id); }
+        if (errors.length) alert(errors.map((e: FileIssue)=>`${e.path}: ${e.message}`).join("\n"));
+      }catch(e:any){ alert(e?.message || "Invalid JSON"); }
+    };
+    reader.readAsText(f);
+  };
+
+  const update = (patch: Partial<Recipe>) => setRecipes(prev=>prev.map(r=>r.id===recipe.id ? { ...r, ...patch } : r));
+  const setRule = (i: number, patch: Partial<RecipeRule>) => update({ rules: recipe.rules.map((r, j)=>j===i ? { ...r, ...patch } : r) });
+  const copyRecipe = (base?: Recipe) => {
+    const src: Recipe = base ?? { id: "recipe", name: "New recipe", version: Adapters.RECIPE_VERSION, country: "Country", year: "Year", rules: [{ column: "", target: Adapters.TARGETS[0].path, from: null, flip: false }] };
+    let id = base ? `${src.id}_copy` : src.id, n = 2;
+    while (recipes.some(r=>r.id===id)) id = `${base ? `${src.id}_copy` : src.id}_${n++}`;
+    setRecipes(prev=>[...prev, { ...JSON.parse(JSON.stringify(src)), id, name: base ? `${src.name} (copy)` : src.name }]);
+    setRecipeId(id);
+  };
+  const removeRecipe = () => {
+    const rest = recipes.filter(r=>r.id!==recipe.id);
+    setRecipes(rest.length ? rest : builtinRecipes());
+    setRecipeId((rest[0] ?? builtinRecipes()[0]).id);
+  };
+  // Built-ins come back as shipped; recipes of your own are kept.
+  const restoreBuiltins = () => setRecipes(prev=>[...builtinRecipes(), ...prev.filter(r=>!Adapters.BUILTIN_RECIPES.some((b: Recipe)=>b.id===r.id))]);
+  const exportRecipes = () => downloadBlob(new Blob([JSON.stringify({ recipes }, null, 2)], { type: "application/json" }), "cd_adapter_recipes.json");
+
+  const errors: FileIssue[] = recipe ? Adapters.validateRecipe(recipe) : [];
+  const result = useMemo(()=>{
+    if (!file || !recipe || errors.length) return null;
+    return Adapters.applyRecipe(file.table, recipe, { parseNumber: CSV.parseNumber, source: file.name });
+  },[file, recipe, errors.length]);
+  const years: string[] = result ? [...new Set<string>(result.records.map((r: AdapterRecord)=>r.year))].sort() : [];
+  const records: AdapterRecord[] = useMemo(()=>result ? result.records.filter((r: AdapterRecord)=>!year || r.year===year) : [],[result, year]);
+  const cases = useMemo(()=>records.map(r=>({ rec: r, s: scenarioFromRecord(r, recipe, file!.name, model) })),[records, recipe, file, model]);
+  const skipped: FileIssue[] = result ? result.rejected.map((r: any)=>({ path: r.where, message: r.reasons.join("; ") })) : [];
+
+  const addCases = () => onImport(cases.map(c=>c.s), `${file!.name} (${recipe.name})`, skipped);
+  const downloadTopology = () => downloadBlob(new Blob([toCSV(cases.map(c=>topologyRow(c.s, c.rec, recipe)))], { type: "text/csv" }), `${file!.name.replace(/\.[^.]+$/, "")}_${recipe.id}_topology.csv`);
+  const columns: string[] = file?.table.header ?? [];
+
+  return (
+    <div className="grid grid-cols-12 gap-5">
+      <Card className="col-span-4 rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="text-sm font-semibold">Source and recipe</div>
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="text-sm px-3 py-2 rounded-lg border cursor-pointer hover:bg-accent">
+              Load CSV
+              <input type="file" accept=".csv,.tsv,text/csv,text/tab-separated-values" className="hidden" onChange={e=>{ if(e.target.files?.[0]) load(e.target.files[0]); }} />
+            </label>
+            {file && <span className="text-xs text-muted-foreground">{file.name}: {file.table.rows.length} rows{file.table.errors.length ? `, ${file.table.errors.length} unreadable` : ""}</span>}
+          </div>
+          <Label className="text-xs text-muted-foreground">Recipe</Label>
+          <select className="border rounded-md px-2 py-1 text-sm bg-background w-full" value={recipe?.id ?? ""} onChange={e=>setRecipeId(e.target.value)}>
+            {recipes.map(r=>(<option key={r.id} value={r.id}>{r.name}</option>))}
+          </select>
+          <div className="flex flex-wrap gap-2">
+            <Button size="sm" variant="outline" onClick={()=>copyRecipe()}>New</Button>
+            <Button size="sm" variant="outline" disabled={!recipe} onClick={()=>copyRecipe(recipe)}>Duplicate</Button>
+            <Button size="sm" variant="outline" disabled={!recipe} onClick={removeRecipe}>Delete</Button>
+            <Button size="sm" variant="outline" onClick={restoreBuiltins}>Restore built-ins</Button>
+            <Button size="sm" variant="outline" onClick={exportRecipes}>Export recipes</Button>
+            <label className="text-sm px-3 py-1 rounded-lg border cursor-pointer hover:bg-accent">
+              Import recipes
+              <input type="file" accept="application/json" className="hidden" onChange={e=>{ if(e.target.files?.[0]) loadRecipeFile(e.target.files[0]); }} />
+            </label>
+          </div>
+          {recipe && <>
+            <Label className="text-xs text-muted-foreground">Name</Label>
+            <Input value={recipe.name} onChange={e=>update({ name: e.target.value })} />
+            <Label className="text-xs text-muted-foreground">Description</Label>
+            <Textarea value={recipe.description ?? ""} onChange={e=>update({ description: e.target.value || undefined })} />
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-1"><Label className="text-xs text-muted-foreground">Country column</Label><Input list="adapter-columns" value={recipe.country} onChange={e=>update({ country: e.target.value })} /></div>
+              <div className="space-y-1"><Label className="text-xs text-muted-foreground">Year column</Label><Input list="adapter-columns" value={recipe.year ?? ""} onChange={e=>update({ year: e.target.value || undefined })} /></div>
+            </div>
+            <div className="text-xs text-muted-foreground">Fingerprint {Adapters.fingerprint(recipe)}</div>
+          </>}
+          <Label className="text-xs text-muted-foreground">Model for the new cases</Label>
+          <select className="border rounded-md px-2 py-1 text-sm bg-background w-full" value={presetId} onChange={e=>setPresetId(e.target.value)}>
+            {presets.map(p=>(<option key={p.id} value={p.id}>{p.name}</option>))}
+          </select>
+          {years.length > 1 && <>
+            <Label className="text-xs text-muted-foreground">Year</Label>
+            <select className="border rounded-md px-2 py-1 text-sm bg-background w-full" value={year} onChange={e=>setYear(e.target.value)}>
+              <option value="">All years ({result.records.length} rows)</option>
+              {years.map(y=>(<option key={y} value={y}>{y}</option>))}
+            </select>
+          </>}
+          <div className="flex flex-wrap gap-2 pt-2">
+            <Button disabled={!cases.length} onClick={addCases}>Add {cases.length} case{cases.length===1?"":"s"}</Button>
+            <Button variant="outline" disabled={!cases.length} onClick={downloadTopology}>Download topology CSV</Button>
+          </div>
+          <div className="text-xs text-muted-foreground">Case ids are recipe_country_year, so importing again updates the same cases.</div>
+          <datalist id="adapter-columns">{columns.map(c=>(<option key={c} value={c} />))}</datalist>
+        </CardContent>
+      </Card>
+
+      <div className="col-span-8 space-y-5">
+        {recipe && (
+          <Card className="rounded-2xl">
+            <CardContent className="p-4 space-y-3">
+              <div className="text-sm font-semibold">Rules</div>
+              <table className="w-full text-xs text-center border">
+                <thead><tr className="bg-muted">
+                  <th className="border px-2 text-left">Column</th><th className="border px-2 text-left">Target</th><th className="border px-2">Fixed range</th>
+                  <th className="border px-2">From</th><th className="border px-2">To</th><th className="border px-2">Log</th><th className="border px-2">Flip</th><th className="border px-2">Weight</th><th className="border"></th>
+                </tr></thead>
+                <tbody>
+                  {recipe.rules.map((r, i)=>{
+                    const observed: [number, number] | undefined = result?.ranges[`${r.column}${r.log ? " (log)" : ""}`];
+                    return (
+                      <tr key={i} className={result?.missingColumns.includes(r.column) ? "bg-amber-50" : ""}>
+                        <td className="border px-1"><Input className="h-7 text-xs" list="adapter-columns" value={r.column} onChange={e=>setRule(i, { column: e.target.value })} /></td>
+                        <td className="border px-1">
+                          <select className="border rounded-md px-1 py-1 text-xs bg-background w-full" value={r.target} onChange={e=>setRule(i, { target: e.target.value })}>
+                            {Adapters.TARGETS.map((t: { path: string; label: string })=>(<option key={t.path} value={t.path}>{t.label}</option>))}
+                          </select>
+                        </td>
+                        <td className="border"><Switch checked={!!r.from} onCheckedChange={(on: boolean)=>setRule(i, { from: on ? [0, 1] : null })} /></td>
+                        {r.from ? <>
+                          <td className="border px-1"><Input className="h-7 w-20 text-xs" type="number" value={r.from[0]} onChange={e=>setRule(i, { from: [parseFloat(e.target.value) || 0, r.from![1]] })} /></td>
+                          <td className="border px-1"><Input className="h-7 w-20 text-xs" type="number" value={r.from[1]} onChange={e=>setRule(i, { from: [r.from![0], parseFloat(e.target.value) || 0] })} /></td>
+                        </> : <td className="border text-muted-foreground" colSpan={2}>{observed ? `observed ${fmt(observed[0], 2)}–${fmt(observed[1], 2)}` : "observed"}</td>}
+                        <td className="border"><input type="checkbox" checked={!!r.log} onChange={e=>setRule(i, { log: e.target.checked || undefined })} /></td>
+                        <td className="border"><input type="checkbox" checked={r.flip} onChange={e=>setRule(i, { flip: e.target.checked })} /></td>
+                        <td className="border px-1"><Input className="h-7 w-16 text-xs" type="number" step={0.1} value={r.weight ?? 1} onChange={e=>setRule(i, { weight: parseFloat(e.target.value) || undefined })} /></td>
+                        <td className="border"><Button size="sm" variant="ghost" onClick={()=>update({ rules: recipe.rules.filter((_, j)=>j!==i) })}>Remove</Button></td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <Button size="sm" variant="outline" onClick={()=>update({ rules: [...recipe.rules, { column: "", target: Adapters.TARGETS[0].path, from: null, flip: false }] })}>+ Rule</Button>
+              <div className="text-xs text-muted-foreground">Values are rescaled from the range to 0–1 and clamped; Flip turns higher-is-better into higher-is-worse. A domain target sets scope, severity and salience to the cube root of the score unless they have rules of their own.</div>
+              {errors.map((e, i)=>(<div key={i} className="text-xs text-red-600">{e.path}: {e.message}</div>))}
+              {result?.missingColumns.length > 0 && <div className="text-xs text-amber-600">Not in {file!.name}: {result.missingColumns.join(", ")}</div>}
+            </CardContent>
+          </Card>
+        )}
+
+        <Card className="rounded-2xl">
+          <CardContent className="p-4 space-y-3">
+            <div className="text-sm font-semibold">Preview</div>
+            {!file && <div className="text-xs text-muted-foreground">Load a CSV export to see the cases the recipe produces.</div>}
+            {cases.length > 0 && (
+              <div className="max-h-[420px] overflow-auto">
+                <table className="w-full text-xs text-center border">
+                  <thead><tr className="bg-muted"><th className="border px-2 text-left">Country</th><th className="border px-2">Year</th><th className="border px-2">Line</th><th className="border px-2">Inputs mapped</th><th className="border px-2">V</th><th className="border px-2">R</th><th className="border px-2">R/V</th><th className="border px-2">Band</th></tr></thead>
+                  <tbody>
+                    {cases.map(({ rec, s })=>{
+                      const row = topologyRow(s, rec, recipe);
+                      return (
+                        <tr key={s.id} title={rec.skipped.join("\n")}>
+                          <td className="border px-2 text-left">{rec.country}</td><td className="border">{rec.year}</td><td className="border">{rec.line}</td>
+                          <td className="border">{Object.keys(rec.values).length}/{CODED_INPUTS.length}{rec.skipped.length ? " *" : ""}</td>
+                          <td className="border">{round2(row.V_total)}</td><td className="border">{round2(row.R)}</td><td className="border">{round2(row.R_V_ratio)}</td><td className="border">{row.band}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {cases.some(c=>c.rec.skipped.length) && <div className="text-xs text-muted-foreground">* some cells were empty or not numbers (hover the row); those rules were left out for that row.</div>}
+            {skipped.length > 0 && (
+              <div className="space-y-1">
+                <div className="text-xs font-semibold">Rows skipped ({skipped.length})</div>
+                {skipped.slice(0, 20).map((e, i)=>(<div key={i} className="text-xs text-amber-600">{e.path}: {e.message}</div>))}
+                {skipped.length > 20 && <div className="text-xs text-muted-foreground">…and {skipped.length - 20} more (listed in the import report)</div>}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+type CompareSortKey = "name" | "V" | "R" | "capacity" | "D" | "Dend" | "rv" | "rules" | "band" | "firstWindow";
+const COMPARE_COLUMNS: [CompareSortKey, string][] = [
+  ["name", "Case"], ["V", "V"], ["R", "R"], ["capacity", "CapacityFactor"], ["D", "D(t)"], ["Dend", "D at horizon"],
+  ["rv", "R/V"], ["rules", "Rules breached"], ["band", "Lead-time band"], ["firstWindow", "First window"],
+];
+function compareSortValue(r: CompareRow, key: CompareSortKey): number | string {
+  if (key === "name") return r.name.toLowerCase();
+  if (key === "rules") return r.rules.length;
+  if (key === "band") return r.band.index;
+  if (key === "firstWindow") return r.firstWindow ?? Infinity;
+  return r[key];
+}
+
+function ComparePanel({scenarios, selected, onSelect, horizon}:{scenarios:Scenario[], selected:string[], onSelect:(ids:string[])=>void, horizon:number}){
+  const chosen = useMemo(()=>scenarios.filter(s=>selected.includes(s.id)),[scenarios, selected]);
+  const [sort, setSort] = useState<{ key: CompareSortKey; asc: boolean }>({ key: "rv", asc: true });
+  const [aId, setAId] = useState("");
+  const [bId, setBId] = useState("");
+  const [showAll, setShowAll] = useState(false);
+  const toggle = (id: string) => onSelect(selected.includes(id) ? selected.filter(x=>x!==id) : [...selected, id]);
+
+  const rows = useMemo(()=>chosen.map((s, i)=>compareRow(s, horizon, COMPARE_COLORS[i % COMPARE_COLORS.length])),[chosen, horizon]);
+  const sorted = useMemo(()=>[...rows].sort((x, y)=>{
+    const a = compareSortValue(x, sort.key), b = compareSortValue(y, sort.key);
+    return (a < b ? -1 : a > b ? 1 : 0) * (sort.asc ? 1 : -1);
+  }),[rows, sort]);
+  const projection = useMemo(()=>{
+    const sims = chosen.map(s=>simulatePeriods(s.period.baselineD, periodSteps(s, horizon), modelOf(s), s.dynamics).rows);
+    return Array.from({ length: horizon }, (_, t)=>({ period: t + 1, ...Object.fromEntries(chosen.map((s, i)=>[s.id, round2(sims[i][t].D)])) }));
+  },[chosen, horizon]);
+
+  // Diff defaults to the first two selected cases (e.g. baseline and reform).
+  const a = scenarios.find(s=>s.id===aId) ?? chosen[0];
+  const b = scenarios.find(s=>s.id===bId && s.id!==a?.id) ?? chosen.find(s=>s.id!==a?.id);
+  const diff = useMemo(()=>a && b ? rvGapAttribution(a, b) : null,[a, b]);
+  const maxShare = diff ? Math.max(1e-9, ...diff.inputs.map(i=>Math.abs(i.share))) : 1;
+  const drivers = diff ? [...diff.inputs].filter(i=>Math.abs(i.share) > 1e-6).sort((x, y)=>Math.abs(y.share) - Math.abs(x.share)).slice(0, 3) : [];
+  const shareBar = (v: number) => (
+    <div className="flex items-center gap-2">
+      <div className="w-24 h-2 bg-muted rounded"><div className="h-2 rounded" style={{ width: `${Math.min(100, Math.abs(v) / maxShare * 100)}%`, background: v >= 0 ? "#10b981" : "#dc2626" }} /></div>
+      <span className="w-14 text-right">{v >= 0 ? "+" : ""}{fmt(v)}</span>
+    </div>
+  );
+
+  const openTopology = () => {
+    const link = Schema.toLink(topologyFile(chosen, horizon, true));
+    if (link.length > 1_000_000) { alert("Too many cases for a link; download the file and open it in the topology instead."); return; }
+    window.open(`${TOPOLOGY_PAGE}#${link}`, "_blank");
+  };
+  const downloadTopology = () => downloadBlob(new Blob([JSON.stringify(topologyFile(chosen, horizon), null, 2)], { type: "application/json" }), "cd_topology_cases.json");
+  const exportRows = () => sorted.map(r=>({ case: r.name, id: r.id, V: r.V, R: r.R, capacity_factor: r.capacity, D: r.D, D_horizon: r.Dend, R_V_ratio: r.rv, rules_breached: r.rules.map(k=>k==="Rv"?"R/V":k).join(" "), rupture_window: r.inWindow ? 1 : 0, band: r.band.label, first_window: r.firstWindow ?? "" }));
+
+  return (
+    <div className="grid grid-cols-12 gap-5">
+      <Card className="col-span-3 rounded-2xl">
+        <CardContent className="p-4 space-y-3">
+          <div className="text-sm font-semibold">Cases to compare</div>
+          <div className="flex gap-2">
+            <Button size="sm" variant="outline" onClick={()=>onSelect(scenarios.map(s=>s.id))}>All</Button>
+            <Button size="sm" variant="outline" onClick={()=>onSelect([])}>None</Button>
+          </div>
+          <div className="space-y-1 max-h-[560px] overflow-auto pr-1">
+            {scenarios.map(s=>{
+              const i = chosen.findIndex(c=>c.id===s.id);
+              return (
+                <label key={s.id} className="flex items-center gap-2 text-sm cursor-pointer">
+                  <input type="checkbox" checked={i >= 0} onChange={()=>toggle(s.id)} />
+                  <span className="inline-block w-3 h-3 rounded-full" style={{ background: i >= 0 ? COMPARE_COLORS[i % COMPARE_COLORS.length] : "transparent" }} />
+                  <span className="truncate">{s.name}</span>
+                </label>
+              );
+            })}
+          </div>
+          <div className="text-xs text-muted-foreground">Projections over {horizon} periods (set in the Model tab), each case with its own model, timeline and dynamics.</div>
+          <div className="text-sm font-semibold pt-2">Moral Topology</div>
+          <div className="flex flex-wrap gap-2">
+            <Button size="sm" variant="outline" disabled={!chosen.length} onClick={openTopology}>Open in topology</Button>
+            <Button size="sm" variant="outline" disabled={!chosen.length} onClick={downloadTopology}>Download file</Button>
+          </div>
+          <div className="text-xs text-muted-foreground">Plots the selected cases as points at (CapacityFactor, R_eff, 1 − R/V) with their projections as paths. The link opens {TOPOLOGY_PAGE} from the same folder; the file loads there under Playground scenarios.</div>
+        </CardContent>
+      </Card>
+
+      <div className="col-span-9 space-y-5">
+        <Card className="rounded-2xl">
+          <CardContent className="p-4 space-y-3">
+            <div className="text-sm font-semibold">Debt D over the projection</div>
+            {!chosen.length ? <div className="text-xs text-muted-foreground">Select cases on the left.</div> : (
+              <div className="h-[320px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={projection} margin={{ top: 10, right: 30, left: 10, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="period" />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    {rows.map(r=>(<Line key={r.id} type="monotone" dataKey={r.id} name={r.name} stroke={r.color} strokeWidth={2} dot={false} />))}
+                    <ReferenceLine y={0} stroke="#9ca3af" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {rows.length > 0 && (
+          <Card className="rounded-2xl">
+            <CardContent className="p-4 space-y-3">
+              <div className="flex items-center justify-between">
+                <div className="text-sm font-semibold">Ranking</div>
+                <Button size="sm" variant="outline" onClick={()=>downloadBlob(new Blob([toCSV(exportRows())], { type: "text/csv" }), "cd_case_comparison.csv")}>Export CSV</Button>
+              </div>
+              <table className="w-full text-xs text-center border">
+                <thead><tr className="bg-muted">
+                  {COMPARE_COLUMNS.map(([key, label])=>(
+                    <th key={key} className={`border px-2 cursor-pointer select-none ${key==="name" ? "text-left" : ""}`} onClick={()=>setSort(s=>({ key, asc: s.key===key ? !s.asc : true }))}>
+                      {label}{sort.key===key ? (sort.asc ? " ▲" : " ▼") : ""}
+                    </th>
+                  ))}
+                </tr></thead>
+                <tbody>
+                  {sorted.map(r=>(
+                    <tr key={r.id}>
+                      <td className="border px-2 text-left"><span className="inline-block w-2 h-2 rounded-full mr-2" style={{ background: r.color }} />{r.name}</td>
+                      <td className="border">{round2(r.V)}</td><td className="border">{round2(r.R)}</td><td className="border">{round2(r.capacity)}</td>
+                      <td className="border">{round2(r.D)}</td><td className="border">{round2(r.Dend)}</td>
+                      <td className={`border ${r.rv < r.rvCut ? "text-red-600 font-semibold" : "text-emerald-600 font-semibold"}`}>{round2(r.rv)}</td>
+                      <td className={`border ${r.inWindow ? "text-red-600 font-semibold" : ""}`}>{r.rules.length}{r.rules.length ? ` (${r.rules.map(k=>k==="Rv"?"R/V":k).join(", ")})` : ""}</td>
+                      <td className="border font-semibold" style={{ color: r.band.color }}>{r.band.label}</td>
+                      <td className="border">{r.firstWindow ?? "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-xs text-muted-foreground">Rule counts in red open the rupture window now; "First window" is the first projected period in which it is open.</div>
+            </CardContent>
+          </Card>
+        )}
+
+        <Card className="rounded-2xl">
+          <CardContent className="p-4 space-y-3">
+            <div className="text-sm font-semibold">What drives the R/V gap</div>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span>From</span>
+              <select className="border rounded-md px-2 py-1 text-sm bg-background" value={a?.id ?? ""} onChange={e=>setAId(e.target.value)}>
+                {scenarios.map(s=>(<option key={s.id} value={s.id}>{s.name}</option>))}
+              </select>
+              <span>to</span>
+              <select className="border rounded-md px-2 py-1 text-sm bg-background" value={b?.id ?? ""} onChange={e=>setBId(e.target.value)}>
+                {scenarios.filter(s=>s.id!==a?.id).map(s=>(<option key={s.id} value={s.id}>{s.name}</option>))}
+              </select>
+              <label className="flex items-center gap-1 text-xs text-muted-foreground ml-auto"><input type="checkbox" checked={showAll} onChange={e=>setShowAll(e.target.checked)} /> Show unchanged inputs</label>
+            </div>
+            {!diff ? <div className="text-xs text-muted-foreground">Needs two cases.</div> : <>
+              <div className="text-sm">
+                R/V {fmt(diff.rvA)} → {fmt(diff.rvB)} (gap <span className={diff.gap >= 0 ? "text-emerald-600 font-semibold" : "text-red-600 font-semibold"}>{diff.gap >= 0 ? "+" : ""}{fmt(diff.gap)}</span>)
+                {drivers.length > 0 && <span className="text-muted-foreground">. Largest drivers: {drivers.map(d=>`${d.label} (${d.share >= 0 ? "+" : ""}${fmt(d.share)})`).join(", ")}.</span>}
+              </div>
+              {!diff.sameModel && <div className="text-xs text-amber-600">The two cases use different models, so part of the gap comes from the model rather than the inputs.</div>}
+              <table className="w-full text-xs text-center border">
+                <thead><tr className="bg-muted"><th className="border px-2 text-left">Domain / input</th><th className="border px-2">{a!.name}</th><th className="border px-2">{b!.name}</th><th className="border px-2">Change</th><th className="border px-2">Share of R/V gap</th></tr></thead>
+                <tbody>
+                  {diff.groups.map(g=>{
+                    const shown = g.rows.filter(r=>showAll || r.a !== r.b);
+                    return (
+                      <React.Fragment key={g.key}>
+                        <tr className="bg-muted/50 font-semibold">
+                          <td className="border px-2 text-left">{g.label}</td><td className="border">{fmt(g.a)}</td><td className="border">{fmt(g.b)}</td>
+                          <td className="border">{g.b - g.a >= 0 ? "+" : ""}{fmt(g.b - g.a)}</td><td className="border px-2">{shareBar(g.share)}</td>
+                        </tr>
+                        {shown.map(r=>(
+                          <tr key={r.path} className={drivers.some(d=>d.path===r.path) ? "bg-amber-50" : ""}>
+                            <td className="border px-2 pl-6 text-left">{r.label}</td><td className="border">{round2(r.a)}</td><td className="border">{round2(r.b)}</td>
+                            <td className="border">{r.b - r.a >= 0 ? "+" : ""}{round2(r.b - r.a)}</td><td className="border px-2">{shareBar(r.share)}</td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    );
+                  })}
+                  <tr><td className="border px-2 text-left text-muted-foreground" colSpan={4}>Interaction between inputs{diff.sameModel ? "" : " and model differences"}</td><td className="border px-2">{shareBar(diff.interaction)}</td></tr>
+                </tbody>
+              </table>
+              <div className="text-xs text-muted-foreground">R/V from each case's period inputs (the Model tab values). Domain rows give the domain score, the repair average and CapacityFactor; health factors outside CapacityFactor do not move R/V.</div>
+            </>}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+/* ===================== GoG × Contradiction Debt — external index adapters =====================
+ * Mapping recipes that turn a local CSV export of an external index (fragility, democracy, protest
+ * events, …) into CD inputs for every country-year. Shared by the playground (import "./gog_cd_adapters.js")
+ * and usable from Node; registers `GoGAdapters`. Tables come from GoGCSV.parse.
+ *
+ * A recipe names the country and year columns and lists rules: column → target input, with a linear
+ * rescale from [lo, hi] to 0–1 (the observed range when lo/hi are left out), an optional log1p before
+ * rescaling and an optional direction flip. Several rules on one target are averaged by weight. A target
+ * can also be a whole violation domain ("violations.security"); its 0–1 score is split into a balanced
+ * triple (cube root), as the bundle import does. Every produced value carries its provenance: recipe id
+ * and fingerprint, file line, the value written and the raw cells it came from.
+ */
+(function (root, factory) {
+  const util = typeof module === "object" && module.exports ? require("./gog_cd_util.js") : root.GoGUtil;
+  const api = factory(util);
+  root.GoGAdapters = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : self, function (Util) {
+  "use strict";
+
+  const RECIPE_VERSION = 1;
+  const DOMAINS = [["security", "Security / rights"], ["ruleOfLaw", "Rule of law / elections"], ["centerLocal", "Center–local"], ["narrativeGap", "Narrative / facts gap"], ["humanitarian", "Humanitarian stewardship"]];
+  const TRIPLE = ["scope", "severity", "salience"];
+  const REPAIR = [["ack", "Acknowledgment"], ["reform", "Reform"], ["comp", "Compensation"], ["inclusive", "Inclusivity"], ["fidelity", "Implementation fidelity"]];
+  const HEALTH = [["L", "Legitimacy (L)"], ["E", "Elite cohesion (E)"], ["K", "Capacity (K)"], ["C", "Cost strain (C)"], ["B", "Backfire (B)"], ["T", "Trust (T)"], ["P", "Protest (P)"]];
+
+  const TARGETS = [
+    ...DOMAINS.flatMap(([d, label]) => [{ path: `violations.${d}`, label: `${label} · domain score` }, ...TRIPLE.map(f => ({ path: `violations.${d}.${f}`, label: `${label} · ${f}` }))]),
+    ...REPAIR.map(([k, label]) => ({ path: `repair.${k}`, label: `Repair · ${label}` })),
+    ...HEALTH.map(([k, label]) => ({ path: `health.${k}`, label: `Health · ${label}` })),
+  ];
+
+  // Starting points, not calibrated mappings: column names follow the public exports, and each rule
+  // should be checked against the coding manual before the output is used.
+  const BUILTIN_RECIPES = [
+    {
+      id: "gog100-total", name: "GoG 100-country CSV: Total → domains", version: RECIPE_VERSION,
+      description: "Spreads the FSI-style Total (0–120) evenly over the five domains and sets L, E and K to capacity_factor (GoG_100_country_profiles_with_groundtruth_stepB.csv). With equal weights V_total comes out as Total / 24, half the file's FSI-scaled V_total, which 0–1 triples cannot reach.",
+      country: "Country", year: "Year",
+      rules: [
+        ...DOMAINS.map(([d]) => ({ column: "Total", target: `violations.${d}`, from: [0, 120], flip: false })),
+        ...["L", "E", "K"].map(k => ({ column: "capacity_factor", target: `health.${k}`, from: [0, 1], flip: false })),
+      ],
+    },
+    {
+      id: "fsi-indicators", name: "Fragile States Index (indicators)", version: RECIPE_VERSION,
+      description: "FSI indicators run 0–10 with higher = more fragile: they map onto violation severity/scope directly and onto health factors flipped.",
+      country: "Country", year: "Year",
+      rules: [
+        { column: "C1: Security Apparatus", target: "violations.security.severity", from: [0, 10], flip: false },
+        { column: "P3: Human Rights", target: "violations.security.scope", from: [0, 10], flip: false },
+        { column: "P3: Human Rights", target: "violations.ruleOfLaw.severity", from: [0, 10], flip: false },
+        { column: "C3: Group Grievance", target: "violations.centerLocal.severity", from: [0, 10], flip: false },
+        { column: "P2: Public Services", target: "violations.humanitarian.severity", from: [0, 10], flip: false },
+        { column: "S1: Demographic Pressures", target: "violations.humanitarian.scope", from: [0, 10], flip: false },
+        { column: "P1: State Legitimacy", target: "health.L", from: [0, 10], flip: true },
+        { column: "C2: Factionalized Elites", target: "health.E", from: [0, 10], flip: true },
+        { column: "E1: Economy", target: "health.C", from: [0, 10], flip: false },
+      ],
+    },
+    {
+      id: "vdem-indices", name: "V-Dem (country-year indices)", version: RECIPE_VERSION,
+      description: "V-Dem high-level indices are 0–1 with higher = more democratic, so violation targets are flipped.",
+      country: "country_name", year: "year",
+      rules: [
+        { column: "v2x_rule", target: "violations.ruleOfLaw.scope", from: [0, 1], flip: true },
+        { column: "v2x_libdem", target: "violations.ruleOfLaw.severity", from: [0, 1], flip: true },
+        { column: "v2x_civlib", target: "violations.security.scope", from: [0, 1], flip: true },
+        { column: "v2x_freexp_altinf", target: "violations.narrativeGap.severity", from: [0, 1], flip: true },
+        { column: "v2x_corr", target: "health.T", from: [0, 1], flip: true },
+      ],
+    },
+    {
+      id: "acled-annual", name: "ACLED (annual country counts)", version: RECIPE_VERSION,
+      description: "Event counts are skewed, so they are log-scaled and rescaled to the range observed in the file.",
+      country: "Country", year: "Year",
+      rules: [
+        { column: "Protests", target: "health.P", from: null, log: true, flip: false },
+        { column: "Riots", target: "health.P", from: null, log: true, flip: false, weight: 0.5 },
+        { column: "Fatalities", target: "violations.security.severity", from: null, log: true, flip: false },
+        { column: "Violence against civilians", target: "violations.security.salience", from: null, log: true, flip: false },
+      ],
+    },
+  ];
+
+  function clamp01(n) { return Math.max(0, Math.min(1, n)); }
+  function clone(o) { return JSON.parse(JSON.stringify(o)); }
+  function targetLabel(path) { const t = TARGETS.find(x => x.path === path); return t ? t.label : path; }
+
+  // Changes whenever a rule or column changes.
+  function fingerprint(recipe) {
+    return Util.fnv1a(JSON.stringify([recipe.country, recipe.year, recipe.rules.map(r => [r.column, r.target, r.from || null, !!r.flip, !!r.log, r.weight == null ? 1 : r.weight])]));
+  }
+
+  function validateRecipe(r) {
+    const errors = [];
+    if (!r || typeof r !== "object") return [{ path: "", message: "expected a recipe object" }];
+    if (typeof r.id !== "string" || !r.id) errors.push({ path: "id", message: "missing" });
+    if (typeof r.name !== "string" || !r.name) errors.push({ path: "name", message: "missing" });
+    if (typeof r.country !== "string" || !r.country) errors.push({ path: "country", message: "name the country column" });
+    if (r.year !== undefined && typeof r.year !== "string") errors.push({ path: "year", message: "expected a column name" });
+    if (!Array.isArray(r.rules) || !r.rules.length) { errors.push({ path: "rules", message: "expected at least one rule" }); return errors; }
+    r.rules.forEach((rule, i) => {
+      const at = `rules[${i}]`;
+      if (!rule || typeof rule.column !== "string" || !rule.column) errors.push({ path: `${at}.column`, message: "missing" });
+      if (!rule || !TARGETS.some(t => t.path === rule.target)) errors.push({ path: `${at}.target`, message: `unknown target ${JSON.stringify(rule && rule.target)}` });
+      if (rule && rule.from != null && !(Array.isArray(rule.from) && rule.from.length === 2 && rule.from.every(Number.isFinite) && rule.from[0] !== rule.from[1])) errors.push({ path: `${at}.from`, message: "expected [lo, hi] with lo ≠ hi, or nothing for the observed range" });
+      if (rule && rule.weight != null && !(rule.weight > 0)) errors.push({ path: `${at}.weight`, message: "expected a number > 0" });
+    });
+    return errors;
+  }
+
+  /**
+   * @param {{ header: string[], rows: string[][], lines: number[] }} table from GoGCSV.parse
+   * @param {object} recipe
+   * @param {{ parseNumber: (v: string) => number, source?: string }} opts parseNumber from GoGCSV
+   * @returns {{ records: { country: string, year: string, line: number, values: Record<string, number>,
+   *   provenance: Record<string, object> }[], rejected: { line: number, where: string, reasons: string[] }[],
+   *   missingColumns: string[], ranges: Record<string, [number, number]>, fingerprint: string }}
+   */
+  function applyRecipe(table, recipe, opts) {
+    const num = opts.parseNumber, fp = fingerprint(recipe);
+    const col = name => table.header.findIndex(h => h.trim().toLowerCase() === String(name).trim().toLowerCase());
+    const ci = col(recipe.country), yi = recipe.year ? col(recipe.year) : -1;
+    const missingColumns = [recipe.country, ...(recipe.year ? [recipe.year] : []), ...recipe.rules.map(r => r.column)]
+      .filter((c, i, all) => all.indexOf(c) === i && col(c) < 0);
+    const rules = recipe.rules.map(r => ({ ...r, index: col(r.column), weight: r.weight == null ? 1 : r.weight }));
+    const pre = (r, x) => (r.log ? Math.log1p(Math.max(0, x)) : x);
+
+    // Observed ranges (after log) for rules without fixed bounds.
+    const ranges = {};
+    for (const r of rules) {
+      if (r.from || r.index < 0) continue;
+      const xs = table.rows.map(cols => pre(r, num(cols[r.index]))).filter(Number.isFinite);
+      if (xs.length) ranges[`${r.column}${r.log ? " (log)" : ""}`] = [Math.min(...xs), Math.max(...xs)];
+    }
+    const bounds = r => r.from ? (r.log ? r.from.map(v => Math.log1p(Math.max(0, v))) : r.from) : ranges[`${r.column}${r.log ? " (log)" : ""}`];
+
+    const records = [], rejected = [], seen = new Set();
+    table.rows.forEach((cols, i) => {
+      const line = table.lines[i];
+      const country = ci >= 0 ? String(cols[ci] || "").trim() : "";
+      const year = yi >= 0 ? String(cols[yi] || "").trim() : "";
+      const where = `line ${line}${country ? ` — ${country}${year ? ` (${year})` : ""}` : ""}`;
+      if (!country) { rejected.push({ line, where, reasons: [`${recipe.country} is empty`] }); return; }
+      const key = `${country.toLowerCase()}|${year}`;
+      if (seen.has(key)) { rejected.push({ line, where, reasons: ["duplicate country-year; first row kept"] }); return; }
+
+      const acc = {}, skipped = [];
+      for (const r of rules) {
+        if (r.index < 0) continue;
+        const raw = num(cols[r.index]);
+        const b = bounds(r);
+        if (!Number.isFinite(raw) || !b) { skipped.push(`${r.column} is ${cols[r.index] == null || String(cols[r.index]).trim() === "" ? "empty" : `"${String(cols[r.index]).trim()}"`}`); continue; }
+        let v = b[1] === b[0] ? 0.5 : clamp01((pre(r, raw) - b[0]) / (b[1] - b[0]));
+        if (r.flip) v = 1 - v;
+        const a = acc[r.target] || (acc[r.target] = { sum: 0, w: 0, columns: [] });
+        a.sum += r.weight * v; a.w += r.weight;
+        a.columns.push({ column: r.column, raw, value: v });
+      }
+      const values = {}, provenance = {};
+      const put = (path, value, columns) => {
+        values[path] = value;
+        provenance[path] = { recipe: recipe.id, fingerprint: fp, source: opts.source || "", line, value, columns };
+      };
+      for (const target of Object.keys(acc)) {
+        const { sum, w, columns } = acc[target], v = sum / w;
+        if (target.split(".").length === 2 && target.startsWith("violations.")) {
+          // a domain score becomes a balanced triple; fields mapped individually take precedence
+          for (const f of TRIPLE) if (!acc[`${target}.${f}`]) put(`${target}.${f}`, Math.cbrt(v), columns);
+        } else put(target, v, columns);
+      }
+      if (!Object.keys(values).length) { rejected.push({ line, where, reasons: skipped.length ? skipped : ["no mapped columns"] }); return; }
+      seen.add(key);
+      records.push({ country, year, line, values, provenance, skipped });
+    });
+    return { records, rejected, missingColumns, ranges, fingerprint: fp };
+  }
+
+  // Recipe files are { recipes: [...] } or a single recipe; invalid recipes are reported, not thrown.
+  function readRecipes(json) {
+    const list = Array.isArray(json && json.recipes) ? json.recipes : json && json.rules ? [json] : null;
+    if (!list) return { recipes: [], errors: [{ path: "", message: "expected a recipe or { recipes: [...] }" }] };
+    const recipes = [], errors = [];
+    list.forEach((r, i) => {
+      const errs = validateRecipe(r);
+      if (errs.length) errors.push(...errs.map(e => ({ path: `recipes[${i}].${e.path}`, message: e.message })));
+      else recipes.push({ ...clone(r), version: RECIPE_VERSION });
+    });
+    return { recipes, errors };
+  }
+
+  return { RECIPE_VERSION, TARGETS, BUILTIN_RECIPES, targetLabel, fingerprint, validateRecipe, applyRecipe, readRecipes };
+});
@@ -0,0 +1,98 @@
+/* ===================== GoG × Contradiction Debt — CSV/TSV reader =====================
+ * RFC 4180 parsing shared by the playground (import "./gog_cd_csv.js") and the Moral Topology
+ * (<script src="gog_cd_csv.js">); registers `GoGCSV` on the global object like gog_cd_model_core.js.
+ *
+ * Quoted fields may contain the delimiter, line breaks and doubled quotes. The delimiter (comma, tab
+ * or semicolon) is detected from the header unless given. Problems are collected in `errors` with the
+ * line they start on instead of being thrown, so callers can report them next to rejected rows.
+ */
+(function (root, factory) {
+  const api = factory();
+  root.GoGCSV = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : self, function () {
+  "use strict";
+
+  const DELIMITERS = [",", "\t", ";"];
+
+  // Most frequent candidate in the first record, ignoring anything inside quotes.
+  function detectDelimiter(text) {
+    const counts = { ",": 0, "\t": 0, ";": 0 };
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '"') quoted = !quoted;
+      else if (!quoted && (ch === "\n" || ch === "\r")) break;
+      else if (!quoted && ch in counts) counts[ch]++;
+    }
+    return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ",");
+  }
+
+  /**
+   * @returns {{ header: string[], rows: string[][], lines: number[], errors: {line:number, message:string}[], delimiter: string }}
+   *   `lines[i]` is the 1-based line on which data row i starts.
+   */
+  function parse(text, opts) {
+    text = String(text || "").replace(/^\uFEFF/, "");
+    const delimiter = (opts && opts.delimiter) || detectDelimiter(text);
+    const records = [], starts = [], errors = [];
+    let row = [], field = "", quoted = false, afterQuote = false;
+    let line = 1, start = 1;
+
+    const endField = () => { row.push(field); field = ""; afterQuote = false; };
+    const endRecord = () => {
+      endField();
+      if (!(row.length === 1 && row[0].trim() === "")) { records.push(row); starts.push(start); }
+      row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"') {
+          if (text[i + 1] === '"') { field += '"'; i++; }
+          else { quoted = false; afterQuote = true; }
+        } else {
+          if (ch === "\n") line++;
+          field += ch;
+        }
+        continue;
+      }
+      if (ch === delimiter) endField();
+      else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        endRecord();
+        line++;
+        start = line;
+      } else if (ch === '"' && field === "" && !afterQuote) quoted = true;
+      else {
+        if (afterQuote) errors.push({ line, message: `text after a closing quote ("${ch}")` });
+        afterQuote = false;
+        field += ch;
+      }
+    }
+    if (quoted) errors.push({ line: start, message: "unterminated quoted field" });
+    if (field !== "" || row.length) endRecord();
+
+    const header = (records.shift() || []).map(h => h.trim());
+    starts.shift();
+    return { header, rows: records, lines: starts, errors, delimiter };
+  }
+
+  // Empty cells and the usual missing-value spellings become NaN; Number("") would give 0.
+  function parseNumber(v) {
+    const t = v == null ? "" : String(v).trim();
+    if (t === "" || /^(na|n\/a|nan|null|none|-)$/i.test(t)) return NaN;
+    const n = Number(t);
+    return Number.isFinite(n) ? n : NaN;
+  }
+  function describeCell(v) {
+    const t = v == null ? "" : String(v).trim();
+    if (v == null) return "missing";
+    if (t === "") return "empty";
+    if (/^(na|n\/a|nan|null|none|-)$/i.test(t)) return t;
+    return `not a number ("${t.length > 20 ? t.slice(0, 20) + "…" : t}")`;
+  }
+
+  return { parse, parseNumber, describeCell, detectDelimiter };
+});
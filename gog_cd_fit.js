@@ -0,0 +1,175 @@
+/* ===================== GoG × Contradiction Debt — rupture-probability fitting =====================
+ * Logistic regression of rupture_occurred on the CD quantities, shared by the playground
+ * (import "./gog_cd_fit.js") and the Moral Topology (<script src="gog_cd_fit.js">); registers `GoGFit`.
+ *
+ * Fitting is Newton–Raphson (IRLS) on standardized features with an optional ridge (L2) penalty on the
+ * slopes. Coefficients are reported on the original scale with Wald 95% intervals; under a penalty those
+ * intervals are approximate (they ignore the shrinkage bias). A fitted model is plain JSON, so it can be
+ * saved, exported and re-applied with `predict`.
+ */
+(function (root, factory) {
+  const util = typeof module === "object" && module.exports ? require("./gog_cd_util.js") : root.GoGUtil;
+  const api = factory(util);
+  root.GoGFit = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : self, function (Util) {
+  "use strict";
+
+  const FIT_VERSION = "1.0.0";
+  const Z95 = 1.959963984540054;
+
+  // Candidate predictors; `columns` are the header spellings accepted when reading a table.
+  const FEATURES = [
+    { key: "V_total", label: "V_total", columns: ["v_total", "v"] },
+    { key: "R", label: "R (effective repair)", columns: ["r", "r_eff", "r_total"] },
+    { key: "capacity_factor", label: "CapacityFactor", columns: ["capacity_factor", "capacity", "c_mean"] },
+    { key: "R_V_ratio", label: "R/V", columns: ["r_v_ratio", "r_over_v", "rv"] },
+    { key: "L", label: "L (legitimacy)", columns: ["l"] },
+    { key: "E", label: "E (elite cohesion)", columns: ["e"] },
+    { key: "K", label: "K (capacity)", columns: ["k"] },
+    { key: "C", label: "C (cost strain)", columns: ["c"] },
+    { key: "B", label: "B (backfire)", columns: ["b"] },
+    { key: "T", label: "T (trust)", columns: ["t"] },
+    { key: "P", label: "P (protest)", columns: ["p"] },
+  ];
+
+  function featureColumn(header, key) {
+    const f = FEATURES.find(x => x.key === key);
+    if (!f) return -1;
+    return header.findIndex(h => f.columns.includes(String(h).trim().toLowerCase()));
+  }
+
+  function sigmoid(t) { return t >= 0 ? 1 / (1 + Math.exp(-t)) : Math.exp(t) / (1 + Math.exp(t)); }
+
+  // Solves A x = b by Gauss–Jordan elimination with partial pivoting; returns null if A is singular.
+  function solve(A, b) {
+    const n = A.length;
+    const M = A.map((row, i) => [...row, ...(Array.isArray(b[0]) ? b[i] : [b[i]])]);
+    const w = M[0].length;
+    for (let c = 0; c < n; c++) {
+      let piv = c;
+      for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+      if (Math.abs(M[piv][c]) < 1e-12) return null;
+      [M[c], M[piv]] = [M[piv], M[c]];
+      const d = M[c][c];
+      for (let k = c; k < w; k++) M[c][k] /= d;
+      for (let r = 0; r < n; r++) {
+        if (r === c || M[r][c] === 0) continue;
+        const f = M[r][c];
+        for (let k = c; k < w; k++) M[r][k] -= f * M[c][k];
+      }
+    }
+    return Array.isArray(b[0]) ? M.map(row => row.slice(n)) : M.map(row => row[n]);
+  }
+  function identity(n) { return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))); }
+
+  // Abramowitz–Stegun 7.1.26; enough for two-sided p-values.
+  function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * @param {number[][]} X rows of feature values (finite), columns in the order of `features`
+   * @param {number[]} y 0/1 outcomes
+   * @param {{ features: string[], lambda?: number, maxIter?: number }} opts
+   */
+  function fitLogistic(X, y, opts) {
+    const features = opts.features, lambda = Math.max(0, opts.lambda || 0), maxIter = opts.maxIter || 100;
+    const n = X.length, p = features.length + 1;
+    if (n < p + 1) throw new Error(`Need more than ${p} rows to fit ${features.length} feature(s)`);
+    if (!y.some(v => v === 1) || !y.some(v => v === 0)) throw new Error("Both outcomes (0 and 1) must occur");
+    const means = features.map((_, j) => X.reduce((a, r) => a + r[j], 0) / n);
+    const sds = features.map((_, j) => Math.sqrt(X.reduce((a, r) => a + (r[j] - means[j]) ** 2, 0) / n) || 1);
+    const Z = X.map(r => [1, ...r.map((v, j) => (v - means[j]) / sds[j])]);
+
+    let beta = new Array(p).fill(0), H = null, converged = false, iterations = 0;
+    for (; iterations < maxIter && !converged; iterations++) {
+      const mu = Z.map(z => sigmoid(z.reduce((a, v, j) => a + v * beta[j], 0)));
+      H = identity(p).map((row, i) => row.map((_, j) => (i === j && i > 0 ? lambda : 0)));
+      const g = beta.map((b, j) => (j > 0 ? -lambda * b : 0));
+      Z.forEach((z, i) => {
+        const wi = mu[i] * (1 - mu[i]), ri = y[i] - mu[i];
+        for (let a = 0; a < p; a++) {
+          g[a] += z[a] * ri;
+          for (let b = a; b < p; b++) H[a][b] += wi * z[a] * z[b];
+        }
+      });
+      for (let a = 0; a < p; a++) for (let b = 0; b < a; b++) H[a][b] = H[b][a];
+      const step = solve(H, g);
+      if (!step) throw new Error("The features are collinear (or one is constant); drop one or add a ridge penalty");
+      beta = beta.map((b, j) => b + step[j]);
+      converged = Math.max(...step.map(Math.abs)) < 1e-8;
+      if (beta.some(b => !Number.isFinite(b) || Math.abs(b) > 50)) break; // (quasi-)separation
+    }
+    const cov = H && solve(H, identity(p));
+
+    // Back to the original scale: β_j = b_j / sd_j, β_0 = b_0 − Σ b_j mean_j / sd_j, with the matching covariance.
+    const A = identity(p).map((row, i) => row.map((v, j) => (i === 0 ? (j === 0 ? 1 : -means[j - 1] / sds[j - 1]) : (i === j ? 1 / sds[i - 1] : 0))));
+    const raw = A.map(row => row.reduce((a, v, j) => a + v * beta[j], 0));
+    const covRaw = cov && A.map(ri => A.map(rj => ri.reduce((a, v, k) => a + v * rj.reduce((b, w, l) => b + w * cov[k][l], 0), 0)));
+    const coefficients = ["(Intercept)", ...features].map((term, j) => {
+      const se = covRaw ? Math.sqrt(Math.max(0, covRaw[j][j])) : NaN;
+      const z = raw[j] / se;
+      return { term, estimate: raw[j], se, lo: raw[j] - Z95 * se, hi: raw[j] + Z95 * se, z, p: 2 * (1 - normalCdf(Math.abs(z))), perSD: j > 0 ? beta[j] : null };
+    });
+    const mu = Z.map(z => sigmoid(z.reduce((a, v, j) => a + v * beta[j], 0)));
+    const logLik = y.reduce((a, v, i) => a + Math.log(Math.max(1e-15, v ? mu[i] : 1 - mu[i])), 0);
+    return {
+      version: FIT_VERSION, features, lambda, n, events: y.filter(v => v === 1).length,
+      converged, iterations, logLik, coefficients,
+      range: Object.fromEntries(features.map((f, j) => [f, [Math.min(...X.map(r => r[j])), Math.max(...X.map(r => r[j]))]])),
+    };
+  }
+
+  // Probability for one observation given as { feature: value }; NaN if a feature is missing.
+  function predict(model, values) {
+    let eta = model.coefficients[0].estimate;
+    for (let j = 0; j < model.features.length; j++) {
+      const v = values[model.features[j]];
+      if (v == null || !Number.isFinite(v)) return NaN;
+      eta += model.coefficients[j + 1].estimate * v;
+    }
+    return sigmoid(eta);
+  }
+
+  function metrics(probs, labels) {
+    const n = probs.length;
+    if (!n) return { n: 0, auroc: NaN, brier: NaN, logLoss: NaN, accuracy: NaN };
+    let brier = 0, logLoss = 0, hits = 0;
+    probs.forEach((q, i) => {
+      const pc = Math.min(1 - 1e-15, Math.max(1e-15, q));
+      brier += (q - labels[i]) ** 2;
+      logLoss -= labels[i] ? Math.log(pc) : Math.log(1 - pc);
+      if ((q >= 0.5 ? 1 : 0) === labels[i]) hits++;
+    });
+    return { n, auroc: Util.auroc(probs, labels), brier: brier / n, logLoss: logLoss / n, accuracy: hits / n };
+  }
+
+  // Stratified k-fold: out-of-fold probabilities for every row, then pooled metrics.
+  function crossValidate(X, y, opts, folds, seed) {
+    const k = Math.max(2, folds || 5), rand = Util.mulberry32(seed || 1);
+    const fold = new Array(y.length);
+    [0, 1].forEach(cls => {
+      const idx = y.map((v, i) => (v === cls ? i : -1)).filter(i => i >= 0);
+      for (let i = idx.length - 1; i > 0; i--) { const j = Math.floor(rand() * (i + 1)); [idx[i], idx[j]] = [idx[j], idx[i]]; }
+      idx.forEach((row, i) => { fold[row] = i % k; });
+    });
+    const oof = new Array(y.length).fill(NaN);
+    let failed = 0;
+    for (let f = 0; f < k; f++) {
+      const train = y.map((_, i) => i).filter(i => fold[i] !== f);
+      try {
+        const m = fitLogistic(train.map(i => X[i]), train.map(i => y[i]), opts);
+        y.forEach((_, i) => {
+          if (fold[i] === f) oof[i] = predict(m, Object.fromEntries(opts.features.map((name, j) => [name, X[i][j]])));
+        });
+      } catch (e) { failed++; }
+    }
+    const ok = oof.map((q, i) => i).filter(i => Number.isFinite(oof[i]));
+    return { folds: k, failed, probs: oof, ...metrics(ok.map(i => oof[i]), ok.map(i => y[i])) };
+  }
+
+  return { FIT_VERSION, FEATURES, featureColumn, fitLogistic, predict, crossValidate, metrics, sigmoid };
+});
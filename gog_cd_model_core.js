@@ -0,0 +1,150 @@
+/* ===================== GoG × Contradiction Debt — shared model core =====================
+ * One definition of the CD model used by both tools:
+ *   - go_g_contradiction_debt_playground_react.jsx (import "./gog_cd_model_core.js")
+ *   - GoG-CD-Rupture-moralTopology.html (<script src="gog_cd_model_core.js">)
+ * Loaded either way it registers `GoGModel` on the global object (and module.exports under CommonJS).
+ *
+ * A model config fixes every tunable of the formulas: domain weights, the V cap, repair weights,
+ * which health factors make up CapacityFactor, tipping-rule thresholds and the R/V lead-time bands.
+ * Configs are plain JSON so they can be saved with a scenario; `fingerprint` identifies the exact
+ * variant that produced a figure. The one-period debt step `nextD` takes a scenario's `dynamics`
+ * settings instead, since those belong to the case rather than to the model.
+ */
+(function (root, factory) {
+  const util = typeof module === "object" && module.exports ? require("./gog_cd_util.js") : root.GoGUtil;
+  const api = factory(util);
+  root.GoGModel = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : self, function (Util) {
+  "use strict";
+
+  const MODEL_VERSION = "1.0.0";
+
+  const EQUAL_DOMAINS = { security: 1, ruleOfLaw: 1, centerLocal: 1, narrativeGap: 1, humanitarian: 1 };
+  const EQUAL_REPAIR = { ack: 1, reform: 1, comp: 1, inclusive: 1, fidelity: 1 };
+  const STANDARD_RULES = {
+    L: { op: "<", value: 0.45 },
+    E: { op: "<", value: 0.60 },
+    B: { op: ">", value: 0.50 },
+    C: { op: ">", value: 0.35 },
+    Rv: { op: "<", value: 0.50 },
+  };
+  const BAND_COLORS = ["#ef4444", "#f59e0b", "#84cc16", "#16a34a"];
+
+  // Bands run from shortest lead time (lowest R/V) to longest; `cuts` are the upper R/V bounds of all but the last.
+  const PRESETS = [
+    {
+      id: "cd-brief-2025",
+      name: "CD briefs (Q4 2025)",
+      version: MODEL_VERSION,
+      domainWeights: EQUAL_DOMAINS,
+      vCap: 2,
+      repairWeights: EQUAL_REPAIR,
+      capacity: ["L", "E", "K"],
+      rules: STANDARD_RULES,
+      minRules: 2,
+      bands: { cuts: [0.30, 0.45, 0.60], labels: ["1–2 quarters", "2–3 quarters", "3–6 quarters", "8+ quarters"], colors: BAND_COLORS },
+    },
+    {
+      // Cut points read off the `band` column of GoG_100_country_profiles_with_groundtruth_stepB.csv;
+      // no row reaches the last band, so its 1.0 bound (R ≥ V) is a convention. V_total there is FSI-scaled, hence no cap.
+      id: "gog100-2023",
+      name: "GoG 100-country dataset (2023)",
+      version: MODEL_VERSION,
+      domainWeights: EQUAL_DOMAINS,
+      vCap: null,
+      repairWeights: EQUAL_REPAIR,
+      capacity: ["L", "E", "K"],
+      rules: STANDARD_RULES,
+      minRules: 2,
+      bands: { cuts: [0.50, 0.80, 1.00], labels: ["1–2 quarters", "2–4 quarters", "4–6 quarters", "8+ quarters"], colors: BAND_COLORS },
+    },
+  ];
+  const DEFAULT_PRESET_ID = PRESETS[0].id;
+
+  function clone(o) { return JSON.parse(JSON.stringify(o)); }
+  function clamp01(n) { return Math.max(0, Math.min(1, n)); }
+
+  function getPreset(id) {
+    const p = PRESETS.find(x => x.id === id) || PRESETS[0];
+    return clone(p);
+  }
+  // Fills anything a saved (possibly older) config lacks from the default preset.
+  function resolveModel(cfg) {
+    const base = getPreset(cfg && cfg.id);
+    if (!cfg) return base;
+    return {
+      ...base, ...cfg,
+      domainWeights: { ...base.domainWeights, ...(cfg.domainWeights || {}) },
+      repairWeights: { ...base.repairWeights, ...(cfg.repairWeights || {}) },
+      rules: { ...base.rules, ...(cfg.rules || {}) },
+      bands: { ...base.bands, ...(cfg.bands || {}) },
+    };
+  }
+
+  // --- Formulas ---
+  function tripleScore(t) {
+    return clamp01(t.scope) * clamp01(t.severity) * clamp01(t.salience);
+  }
+  function vTotal(v, cfg) {
+    let raw = 0;
+    for (const k of Object.keys(cfg.domainWeights)) if (v[k]) raw += cfg.domainWeights[k] * tripleScore(v[k]);
+    return cfg.vCap == null ? raw : Math.min(cfg.vCap, raw);
+  }
+  function weightedMean(values, weights) {
+    let num = 0, den = 0;
+    for (const k of Object.keys(weights)) { num += weights[k] * (values[k] || 0); den += weights[k]; }
+    return den > 0 ? num / den : 0;
+  }
+  function repairAvg(r, cfg) { return weightedMean(r, cfg.repairWeights); }
+  function capacityFactor(h, cfg) {
+    const ks = cfg.capacity;
+    return ks.length ? ks.reduce((a, k) => a + (h[k] || 0), 0) / ks.length : 0;
+  }
+  function effectiveRepair(avg, capacity) { return avg * capacity; }
+  function rEff(r, h, cfg) { return effectiveRepair(repairAvg(r, cfg), capacityFactor(h, cfg)); }
+  function rOverV(R, V) { return V > 0 ? R / V : 0; }
+
+  // D + V − R, or with dynamics on memory·D + V − R plus compounding k·(D − θ)^γ above the threshold θ.
+  function nextD(dPrev, V, R, dyn) {
+    if (!dyn || !dyn.enabled) return dPrev + V - R;
+    const compounding = dPrev > dyn.threshold ? dyn.compounding * (dPrev - dyn.threshold) ** dyn.exponent : 0;
+    return dyn.memory * dPrev + V - R + compounding;
+  }
+
+  function breaches(rule, value) {
+    if (value == null || !Number.isFinite(value)) return false;
+    return rule.op === "<" ? value < rule.value : value > rule.value;
+  }
+  function tippingFlags(h, R, V, cfg) {
+    const flags = {};
+    for (const k of Object.keys(cfg.rules)) {
+      flags[k] = breaches(cfg.rules[k], k === "Rv" ? (V > 0 ? R / V : null) : h[k]);
+    }
+    const count = Object.values(flags).filter(Boolean).length;
+    return { flags, count, inWindow: count >= cfg.minRules };
+  }
+
+  function leadTimeBand(rv, cfg) {
+    const { cuts, labels, colors } = cfg.bands;
+    let index = cuts.findIndex(c => rv < c);
+    if (index < 0) index = cuts.length;
+    return { index, label: labels[index], color: colors[index] };
+  }
+
+  // Short human-readable description plus a content hash, for figure captions and exports.
+  function fingerprint(cfg) {
+    const keys = ["domainWeights", "vCap", "repairWeights", "capacity", "rules", "minRules", "bands"];
+    return Util.fnv1a(JSON.stringify(keys.map(k => cfg[k])));
+  }
+  function modelStamp(cfg) {
+    return `${cfg.name} v${cfg.version} #${fingerprint(cfg)}`;
+  }
+
+  return {
+    MODEL_VERSION, PRESETS, DEFAULT_PRESET_ID,
+    getPreset, resolveModel,
+    tripleScore, vTotal, repairAvg, capacityFactor, effectiveRepair, rEff, rOverV, nextD,
+    tippingFlags, leadTimeBand, fingerprint, modelStamp,
+  };
+});
@@ -0,0 +1,433 @@
+/* ===================== GoG × Contradiction Debt — country brief generator =====================
+ * Turns a prepared brief (numbers already computed by the playground's model) into the quarterly analysis
+ * folder: main.tex or main.md, vector figures as PDF (for LaTeX) and SVG (for Markdown), and the
+ * *_cd_ru_bundle.json, zipped in the PolandAnalysisQ42025 layout. Used by the playground
+ * (import "./gog_cd_report.js"); registers `GoGReport` like the other gog_cd_*.js modules.
+ *
+ * Figures are drawn once as a list of shapes in points (origin top left) and written by two small
+ * back ends, so the PDF and SVG always agree. The PDF uses the standard Helvetica fonts and needs no
+ * embedding; the zip is stored (uncompressed), which every unzip tool and Overleaf accept.
+ */
+(function (root, factory) {
+  const api = factory();
+  root.GoGReport = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : self, function () {
+  "use strict";
+
+  const REPORT_VERSION = "1.0.0";
+  const FIG_W = 480, FIG_H = 300;
+  const SERIES_COLORS = ["#4f46e5", "#10b981", "#f97316", "#a855f7"];
+
+  // --- Figures ---
+  function niceStep(span) {
+    const raw = span / 5, p = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1, 2, 2.5, 5, 10].map(f => f * p).find(s => s >= raw);
+  }
+  function axis(lo, hi) {
+    if (!(hi > lo)) hi = lo + 1;
+    const step = niceStep(hi - lo);
+    const a = Math.floor(lo / step) * step, b = Math.ceil(hi / step) * step;
+    const values = [];
+    for (let v = a; v <= b + step / 2; v += step) values.push(Math.round(v / step) * step);
+    return { lo: a, hi: b, values };
+  }
+  function tickLabel(v) { return Math.abs(v) < 1e-9 ? "0" : String(+v.toFixed(2)); }
+  // Up to two lines of roughly `width` characters.
+  function wrap(text, width) {
+    const words = String(text).split(/\s+/), lines = [""];
+    for (const w of words) {
+      const cur = lines[lines.length - 1];
+      if (cur && (cur + " " + w).length > width && lines.length < 2) lines.push(w);
+      else lines[lines.length - 1] = cur ? `${cur} ${w}` : w;
+    }
+    return lines;
+  }
+
+  function frame(title, yLabel) {
+    const items = [{ type: "text", x: FIG_W / 2, y: 20, text: title, size: 12, bold: true, anchor: "middle" }];
+    if (yLabel) items.push({ type: "text", x: 14, y: FIG_H / 2, text: yLabel, size: 9, anchor: "middle", rotate: -90 });
+    return items;
+  }
+  function yAxis(items, ax, y, left, right) {
+    for (const v of ax.values) {
+      items.push({ type: "line", x1: left, y1: y(v), x2: right, y2: y(v), stroke: v === 0 ? "#9ca3af" : "#e5e7eb", width: 0.6 });
+      items.push({ type: "text", x: left - 5, y: y(v) + 3, text: tickLabel(v), size: 8, anchor: "end", fill: "#4b5563" });
+    }
+  }
+  function legend(items, entries, y) {
+    let x = 48;
+    for (const e of entries) {
+      if (e.dash) items.push({ type: "line", x1: x, y1: y - 3, x2: x + 14, y2: y - 3, stroke: e.color, width: 2, dash: e.dash });
+      else items.push({ type: "rect", x, y: y - 8, w: 14, h: 8, fill: e.color });
+      items.push({ type: "text", x: x + 18, y, text: e.name, size: 8 });
+      x += 30 + e.name.length * 4.5;
+    }
+  }
+
+  /**
+   * Grouped bars, one group per category.
+   * @param {{ title: string, yLabel?: string, categories: string[], series: { name: string, color?: string, colors?: string[], values: number[] }[],
+   *   yMax?: number, refLines?: { value: number, label: string, color?: string }[] }} o
+   */
+  function barChart(o) {
+    const left = 48, right = FIG_W - 16, top = 36, bottom = FIG_H - (o.series.length > 1 ? 62 : 46);
+    const items = frame(o.title, o.yLabel);
+    const hi = Math.max(o.yMax || 0, ...o.series.flatMap(s => s.values), ...(o.refLines || []).map(r => r.value));
+    const ax = axis(0, hi || 1);
+    const y = v => bottom - (bottom - top) * (v - ax.lo) / (ax.hi - ax.lo);
+    yAxis(items, ax, y, left, right);
+    const gw = (right - left) / o.categories.length, bw = gw * 0.7 / o.series.length;
+    o.categories.forEach((c, i) => {
+      o.series.forEach((s, k) => {
+        const v = s.values[i];
+        if (!Number.isFinite(v)) return;
+        const x = left + i * gw + gw * 0.15 + k * bw;
+        items.push({ type: "rect", x, y: y(v), w: bw, h: y(0) - y(v), fill: (s.colors && s.colors[i]) || s.color || SERIES_COLORS[k % SERIES_COLORS.length] });
+        items.push({ type: "text", x: x + bw / 2, y: y(v) - 3, text: v.toFixed(2), size: 7, anchor: "middle", fill: "#374151" });
+      });
+      wrap(c, Math.max(8, Math.floor(gw / 5))).forEach((line, j) => items.push({ type: "text", x: left + (i + 0.5) * gw, y: bottom + 13 + j * 10, text: line, size: 8, anchor: "middle" }));
+    });
+    for (const r of o.refLines || []) {
+      items.push({ type: "line", x1: left, y1: y(r.value), x2: right, y2: y(r.value), stroke: r.color || "#6b7280", width: 0.8, dash: [4, 3] });
+      items.push({ type: "text", x: right, y: y(r.value) - 3, text: r.label, size: 7, anchor: "end", fill: r.color || "#6b7280" });
+    }
+    items.push({ type: "line", x1: left, y1: top, x2: left, y2: bottom, stroke: "#374151", width: 0.8 });
+    if (o.series.length > 1) legend(items, o.series.map((s, k) => ({ name: s.name, color: s.color || SERIES_COLORS[k % SERIES_COLORS.length] })), FIG_H - 12);
+    return { width: FIG_W, height: FIG_H, items };
+  }
+
+  /**
+   * @param {{ title: string, xLabel?: string, yLabel?: string, series: { name: string, color?: string, dash?: number[], points: [number, number][] }[],
+   *   markers?: { x: number, label: string, color?: string }[] }} o
+   */
+  function lineChart(o) {
+    const left = 48, right = FIG_W - 16, top = 36, bottom = FIG_H - 62;
+    const items = frame(o.title, o.yLabel);
+    const pts = o.series.flatMap(s => s.points).filter(p => Number.isFinite(p[1]));
+    const xs = pts.map(p => p[0]), ys = pts.map(p => p[1]);
+    const x0 = Math.min(...xs), x1 = Math.max(...xs);
+    const ax = axis(Math.min(0, ...ys), Math.max(...ys));
+    const x = v => left + (right - left) * (x1 > x0 ? (v - x0) / (x1 - x0) : 0.5);
+    const y = v => bottom - (bottom - top) * (v - ax.lo) / (ax.hi - ax.lo);
+    yAxis(items, ax, y, left, right);
+    const every = Math.max(1, Math.ceil((x1 - x0 + 1) / 12));
+    for (let v = x0; v <= x1; v += every) items.push({ type: "text", x: x(v), y: bottom + 12, text: String(v), size: 8, anchor: "middle" });
+    if (o.xLabel) items.push({ type: "text", x: (left + right) / 2, y: bottom + 26, text: o.xLabel, size: 9, anchor: "middle" });
+    for (const m of o.markers || []) {
+      items.push({ type: "line", x1: x(m.x), y1: top, x2: x(m.x), y2: bottom, stroke: m.color || "#dc2626", width: 0.8, dash: [4, 2] });
+      items.push({ type: "text", x: x(m.x) + 3, y: top + 8, text: m.label, size: 7, fill: m.color || "#dc2626" });
+    }
+    o.series.forEach((s, k) => items.push({ type: "polyline", points: s.points.map(p => [x(p[0]), y(p[1])]), stroke: s.color || SERIES_COLORS[k % SERIES_COLORS.length], width: 2, dash: s.dash }));
+    items.push({ type: "line", x1: left, y1: top, x2: left, y2: bottom, stroke: "#374151", width: 0.8 });
+    legend(items, o.series.map((s, k) => ({ name: s.name, color: s.color || SERIES_COLORS[k % SERIES_COLORS.length], dash: s.dash || [] })), FIG_H - 12);
+    return { width: FIG_W, height: FIG_H, items };
+  }
+
+  // --- SVG back end ---
+  function xml(s) { return String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]); }
+  function toSVG(scene) {
+    const n = v => +v.toFixed(2);
+    const dash = d => (d && d.length ? ` stroke-dasharray="${d.join(" ")}"` : "");
+    const body = scene.items.map(it => {
+      if (it.type === "rect") return `<rect x="${n(it.x)}" y="${n(it.y)}" width="${n(it.w)}" height="${n(Math.max(0, it.h))}" fill="${it.fill}"/>`;
+      if (it.type === "line") return `<line x1="${n(it.x1)}" y1="${n(it.y1)}" x2="${n(it.x2)}" y2="${n(it.y2)}" stroke="${it.stroke}" stroke-width="${it.width}"${dash(it.dash)}/>`;
+      if (it.type === "polyline") return `<polyline points="${it.points.map(p => `${n(p[0])},${n(p[1])}`).join(" ")}" fill="none" stroke="${it.stroke}" stroke-width="${it.width}"${dash(it.dash)}/>`;
+      const anchor = it.anchor === "middle" ? "middle" : it.anchor === "end" ? "end" : "start";
+      const rot = it.rotate ? ` transform="rotate(${it.rotate} ${n(it.x)} ${n(it.y)})"` : "";
+      return `<text x="${n(it.x)}" y="${n(it.y)}" font-size="${it.size}"${it.bold ? ' font-weight="bold"' : ""} text-anchor="${anchor}" fill="${it.fill || "#111827"}"${rot}>${xml(it.text)}</text>`;
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" font-family="Helvetica, Arial, sans-serif">\n<rect width="100%" height="100%" fill="#ffffff"/>\n${body.join("\n")}\n</svg>\n`;
+  }
+
+  // --- PDF back end ---
+  // Helvetica advance widths (1/1000 em) for " " through "~"; other characters count as 556.
+  const HELVETICA = [278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584];
+  // WinAnsiEncoding positions of the punctuation that appears in labels; anything else outside Latin-1 is approximated.
+  const WIN_ANSI = { "\u2013": 0x96, "\u2014": 0x97, "\u2018": 0x91, "\u2019": 0x92, "\u201c": 0x93, "\u201d": 0x94, "\u2022": 0x95, "\u2026": 0x85, "\u20ac": 0x80 };
+  const FALLBACK = { "\u2212": "-", "\u2265": ">=", "\u2264": "<=", "\u2192": "->", "\u0394": "D" };
+  function winAnsi(s) {
+    let out = "";
+    for (const ch of String(s)) {
+      if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+      else if (ch.charCodeAt(0) <= 0xff) out += ch;
+      else out += FALLBACK[ch] || "?";
+    }
+    return out;
+  }
+  function textWidth(s, size, bold) {
+    let w = 0;
+    for (const ch of s) { const c = ch.charCodeAt(0); w += c >= 32 && c <= 126 ? HELVETICA[c - 32] : 556; }
+    return w * size / 1000 * (bold ? 1.06 : 1);
+  }
+  function rgb(hex) {
+    const h = String(hex || "#000000").replace("#", "");
+    return [0, 2, 4].map(i => (parseInt(h.slice(i, i + 2), 16) / 255).toFixed(3)).join(" ");
+  }
+  function toPDF(scene) {
+    const H = scene.height, n = v => (+v.toFixed(2)).toString();
+    const ops = [];
+    const dash = d => (d && d.length ? `[${d.join(" ")}] 0 d` : "[] 0 d");
+    for (const it of scene.items) {
+      if (it.type === "rect") ops.push(`${rgb(it.fill)} rg ${n(it.x)} ${n(H - it.y - Math.max(0, it.h))} ${n(it.w)} ${n(Math.max(0, it.h))} re f`);
+      else if (it.type === "line") ops.push(`${rgb(it.stroke)} RG ${it.width} w ${dash(it.dash)} ${n(it.x1)} ${n(H - it.y1)} m ${n(it.x2)} ${n(H - it.y2)} l S`);
+      else if (it.type === "polyline") ops.push(`${rgb(it.stroke)} RG ${it.width} w 1 j ${dash(it.dash)} ${it.points.map((p, i) => `${n(p[0])} ${n(H - p[1])} ${i ? "l" : "m"}`).join(" ")} S`);
+      else {
+        const s = winAnsi(it.text), w = textWidth(s, it.size, it.bold);
+        const shift = it.anchor === "middle" ? w / 2 : it.anchor === "end" ? w : 0;
+        const esc = s.replace(/[\\()]/g, c => "\\" + c);
+        const m = it.rotate === -90 ? `0 1 -1 0 ${n(it.x)} ${n(H - it.y - shift)}` : `1 0 0 1 ${n(it.x - shift)} ${n(H - it.y)}`;
+        ops.push(`BT /${it.bold ? "F2" : "F1"} ${it.size} Tf ${rgb(it.fill || "#111827")} rg ${m} Tm (${esc}) Tj ET`);
+      }
+    }
+    const content = ops.join("\n");
+    const objects = [
+      "<< /Type /Catalog /Pages 2 0 R >>",
+      "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${scene.width} ${scene.height}] /Contents 4 0 R /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    ];
+    let pdf = "%PDF-1.4\n";
+    const offsets = objects.map((body, i) => { const at = pdf.length; pdf += `${i + 1} 0 obj\n${body}\nendobj\n`; return at; });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Uint8Array.from(pdf, c => c.charCodeAt(0)); // every character is ≤ 0xFF after winAnsi
+  }
+
+  // --- Zip (stored) ---
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  function crc32(bytes) {
+    let c = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+  }
+  function utf8(s) { return new TextEncoder().encode(s); }
+  /** @param {{ name: string, data: string | Uint8Array }[]} files @param {Date} [date] */
+  function zip(files, date) {
+    const d = date || new Date();
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+    const day = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+    const chunks = [], central = [];
+    let offset = 0;
+    for (const f of files) {
+      const name = utf8(f.name), data = typeof f.data === "string" ? utf8(f.data) : f.data, crc = crc32(data);
+      const header = (signature, size) => {
+        const v = new DataView(new ArrayBuffer(size));
+        v.setUint32(0, signature, true);
+        return v;
+      };
+      const local = header(0x04034b50, 30);
+      [[4, 20], [6, 0x0800], [8, 0], [10, time], [12, day]].forEach(([at, v]) => local.setUint16(at, v, true));
+      local.setUint32(14, crc, true); local.setUint32(18, data.length, true); local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      const cd = header(0x02014b50, 46);
+      [[4, 20], [6, 20], [8, 0x0800], [10, 0], [12, time], [14, day]].forEach(([at, v]) => cd.setUint16(at, v, true));
+      cd.setUint32(16, crc, true); cd.setUint32(20, data.length, true); cd.setUint32(24, data.length, true);
+      cd.setUint16(28, name.length, true); cd.setUint32(42, offset, true);
+      chunks.push(new Uint8Array(local.buffer), name, data);
+      central.push(new Uint8Array(cd.buffer), name);
+      offset += 30 + name.length + data.length;
+    }
+    const cdSize = central.reduce((a, c) => a + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true); end.setUint16(10, files.length, true);
+    end.setUint32(12, cdSize, true); end.setUint32(16, offset, true);
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((a, p) => a + p.length, 0));
+    let at = 0;
+    for (const p of parts) { out.set(p, at); at += p.length; }
+    return out;
+  }
+
+  // --- Documents ---
+  const f2 = v => (Number.isFinite(v) ? v.toFixed(2) : "--");
+  const f3 = v => (Number.isFinite(v) ? v.toFixed(3) : "--");
+  function tex(s) {
+    return String(s == null ? "" : s)
+      .replace(/[\\{}$&#^_%~]/g, c => ({ "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" })[c] || "\\" + c)
+      .replace(/[<>≥≤×−]/g, c => ({ "<": "$<$", ">": "$>$", "≥": "$\\geq$", "≤": "$\\leq$", "×": "$\\times$", "−": "$-$" })[c]);
+  }
+  function md(s) { return String(s == null ? "" : s).replace(/\|/g, "\\|").replace(/\n+/g, " "); }
+
+  // File names shared by both formats; `ext` is "pdf" (LaTeX) or "svg" (Markdown).
+  function layout(b) {
+    const folder = `${b.country.replace(/[^A-Za-z0-9]+/g, "")}Analysis${b.period.replace(/\s+/g, "")}`;
+    const figDir = `${b.stem}_cd_ru_${b.periodKey}`;
+    const fig = name => `${figDir}/${b.stem}_${name}`;
+    return { folder, figDir, V: fig("V_components"), R: fig("R_components"), C: fig("C_factors"), RV: fig("RV_bar"), projection: fig("projection"), bundle: `${b.stem}_cd_ru_bundle.json` };
+  }
+
+  function figures(b) {
+    const vs = b.variants, label = v => v.label;
+    const multi = vs.length > 1;
+    const bars = (rows, pick) => vs.map((v, k) => ({ name: label(v), color: SERIES_COLORS[k], values: rows(v).map(pick) }));
+    const cuts = b.bands.cuts.map((c, i) => ({ value: c, label: `${b.bands.labels[i + 1]} from ${c.toFixed(2)}`, color: b.bands.colors[i + 1] }));
+    return {
+      V: barChart({ title: `${b.country} – Violation Components (${b.period})`, yLabel: "Domain score", categories: vs[0].V.rows.map(r => r.label), series: bars(v => v.V.rows, r => r.score), yMax: 1 }),
+      R: barChart({ title: `${b.country} – Repair Components (${b.period})`, yLabel: "Score (0–1)", categories: vs[0].R.rows.map(r => r.label), series: bars(v => v.R.rows, r => r.value), yMax: 1 }),
+      C: barChart({ title: `${b.country} – Capacity Factors (${b.period})`, yLabel: "Score (0–1)", categories: vs[0].C.rows.map(r => r.label), series: bars(v => v.C.rows, r => r.value), yMax: 1 }),
+      RV: barChart({
+        title: multi ? `${b.country} – Baseline vs. What-If R/V Ratio` : `${b.country} – R/V Ratio (${b.period})`, yLabel: "R/V",
+        categories: vs.map(label), series: [{ name: "R/V", values: vs.map(v => v.RV), colors: vs.map(v => v.band.color) }], refLines: cuts,
+      }),
+      projection: lineChart({
+        title: `${b.country} – Contradiction Debt over ${b.horizon} periods`, xLabel: "Period", yLabel: "D(t)",
+        series: vs.map((v, k) => ({ name: `D, ${label(v)}`, color: SERIES_COLORS[k], dash: k ? [5, 3] : undefined, points: v.projection.map(r => [r.period, r.D]) })),
+        markers: vs.filter(v => v.firstWindow != null).map(v => ({ x: v.firstWindow, label: `window (${label(v)})`, color: "#dc2626" })),
+      }),
+    };
+  }
+
+  function flagLine(f) { return `${f.label} ${f.op} ${f.threshold.toFixed(2)}`; }
+  function leadRows(lt) {
+    if (!lt) return [];
+    const rows = [];
+    if (lt.cdFlagDate) rows.push(["CD rupture window", lt.cdFlagDate, lt.cdDays]);
+    if (lt.altFlagDate) rows.push([lt.altName || "Alternative model", lt.altFlagDate, lt.altDays]);
+    return rows;
+  }
+
+  /**
+   * @param {object} b brief: { country, stem, period, periodKey, author, note, model, modelSummary, horizon, bands, variants: [...], leadTime, sources }
+   *   (see briefOf in the playground for the exact fields)
+   */
+  function latex(b) {
+    const L = layout(b), [base, reform] = b.variants, multi = !!reform;
+    const cols = multi ? ` & ${tex(base.label)} & ${tex(reform.label)}` : " & Score";
+    const figure = (path, width, caption, label) => `\\begin{figure}[h!]\n\\centering\n\\includegraphics[width=${width}\\textwidth]{${path}.pdf}\n\\caption{${tex(caption)}}\n\\label{fig:${label}}\n\\end{figure}\n`;
+    const table = (spec, head, rows) => `\\begin{center}\n\\begin{tabular}{${spec}}\n\\toprule\n${head} \\\\\n\\midrule\n${rows.map(r => r.join(" & ") + " \\\\").join("\n")}\n\\bottomrule\n\\end{tabular}\n\\end{center}\n`;
+    const out = [];
+    out.push(`% Generated by the GoG Contradiction Debt Playground (report v${REPORT_VERSION}) on ${b.generated}.
+% Model: ${b.model}. Figures are in ${L.figDir}/; numbers come from the scenario "${b.variants[0].name}".
+\\documentclass[12pt]{article}
+\\usepackage{graphicx}
+\\usepackage{geometry}
+\\usepackage{setspace}
+\\usepackage{titlesec}
+\\usepackage{booktabs}
+\\usepackage{url}
+
+\\geometry{margin=1in}
+\\setstretch{1.2}
+\\titleformat{\\section}{\\large\\bfseries}{\\thesection.}{0.6em}{}
+
+\\begin{document}
+
+\\begin{center}
+    {\\Large \\textbf{${tex(b.country)}: Contradiction-Debt Brief (${tex(b.period)})}}\\\\[1em]
+    \\textit{Applying the Contradiction-Debt (CD) Model of Political Rupture}\\\\[1em]
+    ${tex(b.author)}
+\\end{center}
+`);
+    out.push(`\\section{Introduction and Context}\n\n${b.note ? tex(b.note) : "% Context for this quarter."}\n`);
+    out.push(`\\section{Methodological Framework}\n\n${tex(b.modelSummary)} Model: \\texttt{${tex(b.model)}}.\n`);
+    out.push(`\\section{Violation Scoring (V)}\n\n${tex(b.country)}'s total violation score is ${f2(base.V.total)}${multi ? ` (${f2(reform.V.total)} under the ${tex(reform.label.toLowerCase())} scenario)` : ""}. The distribution is shown in Figure \\ref{fig:Vcomponents}.\n`);
+    out.push(table("lcccc", `Domain & Scope & Severity & Salience${multi ? ` & Score (${tex(base.label)} / ${tex(reform.label)})` : " & Score"}`,
+      base.V.rows.map((r, i) => [tex(r.label), f2(r.scope), f2(r.severity), f2(r.salience), multi ? `${f2(r.score)} / ${f2(reform.V.rows[i].score)}` : f2(r.score)])
+        .concat([[`\\textbf{$V_{\\mathrm{total}}$}`, "", "", "", multi ? `${f2(base.V.total)} / ${f2(reform.V.total)}` : f2(base.V.total)]])));
+    out.push(figure(L.V, "0.8", `${b.country} – Violation Components (${b.period}).`, "Vcomponents"));
+    out.push(`\\section{Repair Scoring (R)}\n\nMean repair is ${f2(base.R.mean)} (Figure \\ref{fig:Rcomponents}).\n`);
+    out.push(table(multi ? "lcc" : "lc", `Mechanism${cols}`, base.R.rows.map((r, i) => [tex(r.label), f2(r.value), ...(multi ? [f2(reform.R.rows[i].value)] : [])])
+      .concat([["\\textbf{Mean}", f2(base.R.mean), ...(multi ? [f2(reform.R.mean)] : [])]])));
+    out.push(figure(L.R, "0.8", `${b.country} – Repair Components (${b.period}).`, "Rcomponents"));
+    out.push(`\\section{Capacity (C)}\n\nCapacity is $C = ${f2(base.C.mean)}$, the mean of ${base.C.rows.map(r => `${tex(r.label.toLowerCase())} ${f2(r.value)}`).join(", ")} (Figure \\ref{fig:Cfactors}).\n`);
+    out.push(table(multi ? "lcc" : "lc", `Factor${cols}`, base.C.rows.map((r, i) => [tex(r.label), f2(r.value), ...(multi ? [f2(reform.C.rows[i].value)] : [])])
+      .concat([["\\textbf{C}", f2(base.C.mean), ...(multi ? [f2(reform.C.mean)] : [])]])));
+    out.push(figure(L.C, "0.75", `${b.country} – Capacity Factors (${b.period}).`, "Cfactors"));
+    out.push(`\\section{Computation and Baseline R/V}\n\n$R_{\\mathrm{eff}} = ${f2(base.R.mean)} \\times ${f2(base.C.mean)} = ${f3(base.Reff)}$. Dividing by $V_{\\mathrm{total}} = ${f2(base.V.total)}$ gives $R/V = ${f3(base.RV)}$, placing ${tex(b.country)} in the ${tex(base.band.label)} band (Figure \\ref{fig:RVbar}). With $D(t-1) = ${f2(base.baselineD)}$ the debt after this period is $D(t) = ${f2(base.D)}$.\n`);
+    out.push(figure(L.RV, "0.6", multi ? `${b.country} – Baseline vs. What-If R/V Ratio.` : `${b.country} – R/V Ratio (${b.period}).`, "RVbar"));
+    out.push(`\\section{Tipping-Flag Checklist}\n\nTipping rules breached: ${base.count} of ${base.flags.length}${base.inWindow ? ", so the rupture window is open" : ""} (${b.minRules} or more open it).${multi ? ` Under the ${tex(reform.label.toLowerCase())} scenario: ${reform.count} of ${reform.flags.length}${reform.inWindow ? ", window open" : ""}.` : ""}\n`);
+    out.push(table(multi ? "lccc" : "lcc", `Rule & ${tex(base.label)}${multi ? ` & ${tex(reform.label)}` : ""} & Breached`,
+      base.flags.map((f, i) => [tex(flagLine(f)), f2(f.value), ...(multi ? [f2(reform.flags[i].value)] : []), multi ? `${f.breached ? "yes" : "no"} / ${reform.flags[i].breached ? "yes" : "no"}` : f.breached ? "\\textbf{yes}" : "no"])));
+    out.push(`\\section{Projection}\n\n${b.variants.map(v => `${tex(v.label)}: ${v.firstWindow != null ? `the rupture window first opens in period ${v.firstWindow}` : `no rupture window within ${b.horizon} periods`}; $D$ reaches ${f2(v.projection[v.projection.length - 1].D)} at period ${b.horizon}.`).join(" ")} (Figure \\ref{fig:projection}.)\n`);
+    out.push(figure(L.projection, "0.8", `${b.country} – Contradiction Debt projection (${b.projectionMode}).`, "projection"));
+    if (multi) {
+      out.push(`\\section{Counterfactual Reform Scenario}\n\n${reform.note ? `${tex(reform.note)} ` : ""}$V_{\\mathrm{total}} = ${f2(reform.V.total)}$, $R = ${f2(reform.R.mean)}$, and $C = ${f2(reform.C.mean)}$. $R_{\\mathrm{eff}} = ${f2(reform.R.mean)} \\times ${f2(reform.C.mean)} = ${f3(reform.Reff)}$; $R/V = ${f3(reform.RV)}$, the ${tex(reform.band.label)} band (baseline ${f3(base.RV)}, ${tex(base.band.label)}).\n`);
+    }
+    const lead = leadRows(b.leadTime);
+    out.push(`\\section{Lead-Time Results}\n\n${lead.length ? `Event date: ${tex(b.leadTime.eventDate || "not recorded")}. Lead time is the event date minus the flag date; larger is earlier.` : "No event or flag dates are recorded for this case."}\n`);
+    if (lead.length) {
+      out.push(table("lcc", "Signal & Flag date & Lead time (days)", lead.map(r => [tex(r[0]), tex(r[1]), r[2] == null ? "--" : String(r[2])])));
+      if (b.leadTime.cdDays != null && b.leadTime.altDays != null) out.push(`Lead-time advantage of the CD flag: ${b.leadTime.cdDays - b.leadTime.altDays} days.\n`);
+    }
+    if (b.sources.length) {
+      out.push(`\\section{Sources and Coding Rationale}\n\n\\begin{itemize}\n${b.sources.map(s => `    \\item \\textbf{${tex(s.label)} (${f2(s.value)})}${s.citations.length ? ` -- ${s.citations.map(c => `${tex(c.citation)}${c.date ? ` (${tex(c.date)})` : ""}${c.url ? ` \\url{${c.url.replace(/[%#{}\\]/g, m => "\\" + m)}}` : ""}`).join("; ")}` : ""}${s.rationale ? `. ${tex(s.rationale)}` : ""}`).join("\n")}\n\\end{itemize}\n`);
+    }
+    out.push("\\end{document}\n");
+    return out.join("\n");
+  }
+
+  function markdown(b) {
+    const L = layout(b), [base, reform] = b.variants, multi = !!reform;
+    const row = cells => `| ${cells.map(md).join(" | ")} |`;
+    const table = (head, rows) => [row(head), row(head.map((_, i) => (i ? ":-:" : ":--"))), ...rows.map(row)].join("\n") + "\n";
+    const fig = (path, caption) => `![${md(caption)}](${path}.svg)\n`;
+    const heads = multi ? [base.label, reform.label] : ["Score"];
+    const out = [];
+    out.push(`<!-- Generated by the GoG Contradiction Debt Playground (report v${REPORT_VERSION}) on ${b.generated}. Model: ${b.model}. -->\n`);
+    out.push(`# ${b.country}: Contradiction-Debt Brief (${b.period})\n\n*Applying the Contradiction-Debt (CD) Model of Political Rupture*${b.author ? `  \n${b.author}` : ""}\n`);
+    out.push(`## 1. Introduction and Context\n\n${b.note || "<!-- Context for this quarter. -->"}\n`);
+    out.push(`## 2. Methodological Framework\n\n${b.modelSummary} Model: \`${b.model}\`.\n`);
+    out.push(`## 3. Violation Scoring (V)\n\nTotal violation score: **${f2(base.V.total)}**${multi ? ` (${reform.label}: ${f2(reform.V.total)})` : ""}.\n`);
+    out.push(table(["Domain", "Scope", "Severity", "Salience", ...(multi ? heads.map(h => `Score, ${h}`) : ["Score"])],
+      base.V.rows.map((r, i) => [r.label, f2(r.scope), f2(r.severity), f2(r.salience), f2(r.score), ...(multi ? [f2(reform.V.rows[i].score)] : [])])
+        .concat([["**V_total**", "", "", "", f2(base.V.total), ...(multi ? [f2(reform.V.total)] : [])]])));
+    out.push(fig(L.V, `${b.country} – Violation Components (${b.period})`));
+    out.push(`## 4. Repair Scoring (R)\n\nMean repair: **${f2(base.R.mean)}**.\n`);
+    out.push(table(["Mechanism", ...heads], base.R.rows.map((r, i) => [r.label, f2(r.value), ...(multi ? [f2(reform.R.rows[i].value)] : [])]).concat([["**Mean**", f2(base.R.mean), ...(multi ? [f2(reform.R.mean)] : [])]])));
+    out.push(fig(L.R, `${b.country} – Repair Components (${b.period})`));
+    out.push(`## 5. Capacity (C)\n\nC = **${f2(base.C.mean)}**.\n`);
+    out.push(table(["Factor", ...heads], base.C.rows.map((r, i) => [r.label, f2(r.value), ...(multi ? [f2(reform.C.rows[i].value)] : [])]).concat([["**C**", f2(base.C.mean), ...(multi ? [f2(reform.C.mean)] : [])]])));
+    out.push(fig(L.C, `${b.country} – Capacity Factors (${b.period})`));
+    out.push(`## 6. Computation and Baseline R/V\n\nR_eff = ${f2(base.R.mean)} × ${f2(base.C.mean)} = ${f3(base.Reff)}. Dividing by V_total = ${f2(base.V.total)} gives **R/V = ${f3(base.RV)}**, the ${base.band.label} band. With D(t−1) = ${f2(base.baselineD)}, D(t) = ${f2(base.D)}.\n`);
+    out.push(fig(L.RV, multi ? `${b.country} – Baseline vs. What-If R/V Ratio` : `${b.country} – R/V Ratio (${b.period})`));
+    out.push(`## 7. Tipping-Flag Checklist\n\n${base.count} of ${base.flags.length} rules breached${base.inWindow ? " — **rupture window open**" : ""} (${b.minRules} or more open the window).${multi ? ` ${reform.label}: ${reform.count} breached.` : ""}\n`);
+    out.push(table(["Rule", ...heads.map(h => (multi ? h : "Value")), "Breached"],
+      base.flags.map((f, i) => [flagLine(f), f2(f.value), ...(multi ? [f2(reform.flags[i].value)] : []), multi ? `${f.breached ? "yes" : "no"} / ${reform.flags[i].breached ? "yes" : "no"}` : f.breached ? "**yes**" : "no"])));
+    out.push(`## 8. Projection\n\n${b.variants.map(v => `- ${v.label}: ${v.firstWindow != null ? `rupture window first opens in period ${v.firstWindow}` : `no rupture window within ${b.horizon} periods`}; D reaches ${f2(v.projection[v.projection.length - 1].D)} at period ${b.horizon}.`).join("\n")}\n`);
+    out.push(fig(L.projection, `${b.country} – Contradiction Debt projection (${b.projectionMode})`));
+    let n = 9;
+    if (multi) out.push(`## ${n++}. Counterfactual Reform Scenario\n\n${reform.note ? `${reform.note} ` : ""}V_total = ${f2(reform.V.total)}, R = ${f2(reform.R.mean)}, C = ${f2(reform.C.mean)}; R_eff = ${f3(reform.Reff)} and **R/V = ${f3(reform.RV)}**, the ${reform.band.label} band (baseline ${f3(base.RV)}, ${base.band.label}).\n`);
+    const lead = leadRows(b.leadTime);
+    out.push(`## ${n++}. Lead-Time Results\n\n${lead.length ? `Event date: ${b.leadTime.eventDate || "not recorded"}. Lead time is the event date minus the flag date; larger is earlier.` : "No event or flag dates are recorded for this case."}\n`);
+    if (lead.length) {
+      out.push(table(["Signal", "Flag date", "Lead time (days)"], lead.map(r => [r[0], r[1], r[2] == null ? "--" : String(r[2])])));
+      if (b.leadTime.cdDays != null && b.leadTime.altDays != null) out.push(`Lead-time advantage of the CD flag: ${b.leadTime.cdDays - b.leadTime.altDays} days.\n`);
+    }
+    if (b.sources.length) out.push(`## ${n++}. Sources and Coding Rationale\n\n${b.sources.map(s => `- **${md(s.label)} (${f2(s.value)})**${s.citations.length ? ` — ${s.citations.map(c => `${c.url ? `[${md(c.citation)}](${c.url})` : md(c.citation)}${c.date ? ` (${c.date})` : ""}`).join("; ")}` : ""}${s.rationale ? `. ${md(s.rationale)}` : ""}`).join("\n")}\n`);
+    return out.join("\n");
+  }
+
+  /**
+   * Every file of the analysis folder, paths relative to the folder, plus the folder name.
+   * @param {object} b brief
+   * @param {"latex"|"markdown"} format
+   * @param {object} [bundleJson] the *_cd_ru_bundle.json contents
+   */
+  function buildBrief(b, format, bundleJson) {
+    const L = layout(b), figs = figures(b);
+    const files = [{ name: format === "latex" ? "main.tex" : "main.md", data: format === "latex" ? latex(b) : markdown(b) }];
+    for (const k of ["V", "R", "C", "RV", "projection"]) {
+      files.push({ name: `${L[k]}.pdf`, data: toPDF(figs[k]) });
+      files.push({ name: `${L[k]}.svg`, data: toSVG(figs[k]) });
+    }
+    if (bundleJson) files.push({ name: L.bundle, data: JSON.stringify(bundleJson, null, 2) });
+    return { folder: L.folder, files, figures: figs };
+  }
+  function briefZip(b, format, bundleJson) {
+    const { folder, files } = buildBrief(b, format, bundleJson);
+    return { fileName: `${folder}.zip`, bytes: zip(files.map(f => ({ name: `${folder}/${f.name}`, data: f.data }))) };
+  }
+
+  return { REPORT_VERSION, barChart, lineChart, toSVG, toPDF, zip, crc32, latex, markdown, layout, figures, buildBrief, briefZip };
+});
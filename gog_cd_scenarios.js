@@ -0,0 +1,426 @@
+/* ===================== GoG × Contradiction Debt — scenario file schema =====================
+ * The exchange format for playground scenarios, shared by the playground (import "./gog_cd_scenarios.js")
+ * and the Moral Topology (<script src="gog_cd_scenarios.js">); registers `GoGScenarios`.
+ *
+ * Files are { schema: "gog-cd-scenarios", version, exportedAt, scenarios: [...] }. Version 1 is the bare
+ * scenario array the playground wrote before the envelope existed. `readFile` migrates older files to the
+ * current version, then validates every scenario field by field: invalid scenarios are reported and left
+ * out, the rest are returned. Nothing is thrown for bad content, so callers can show all problems at once.
+ * Dynamics settings are repaired in files of any version before validation: missing feedback entries are
+ * filled from the defaults and memory above 1 is lowered to 1, each with a warning, so a partial block can
+ * neither crash the projection nor cost the coder the case.
+ *
+ * The playground's store and its exports add `history`: { id: [{ at, author, kind, changes: [{ path, from,
+ * to }], why? }] }, read by `readHistory`.
+ *
+ * Files sent from the playground to the Moral Topology also carry `projections`: { horizon, cases: { id:
+ * [{ period, V, R, capacity, RV, D, inWindow, health }] } }, the N-period projection the playground computed for
+ * each case (`readProjections`). `health` holds that period's L/E/K/C/B/T/P, which a fitted Z may need;
+ * files written before it was added simply lack it. The same file can travel in a link as "#scenarios=<base64url JSON>".
+ */
+(function (root, factory) {
+  const api = factory();
+  root.GoGScenarios = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : self, function () {
+  "use strict";
+
+  const SCHEMA_ID = "gog-cd-scenarios";
+  const SCHEMA_VERSION = 2;
+
+  const DOMAINS = ["security", "ruleOfLaw", "centerLocal", "narrativeGap", "humanitarian"];
+  const TRIPLE = ["scope", "severity", "salience"];
+  const REPAIR = ["ack", "reform", "comp", "inclusive", "fidelity"];
+  const HEALTH = ["L", "E", "K", "C", "B", "T", "P"];
+  const DEFAULTS = {
+    triple: { scope: 0.5, severity: 0.5, salience: 0.5 },
+    repair: { ack: 0.4, reform: 0.4, comp: 0.4, inclusive: 0.4, fidelity: 0.4 },
+    health: { L: 0.6, E: 0.6, K: 0.6, C: 0.2, B: 0.3, T: 0.6, P: 0.3 },
+    // The playground's DEFAULT_DYNAMICS.feedback
+    feedback: {
+      L: { debt: -0.01, protest: -0.02, backfire: -0.03 },
+      E: { debt: -0.01, protest: -0.01, backfire: -0.02 },
+      T: { debt: -0.015, protest: -0.01, backfire: -0.03 },
+      P: { debt: 0.015, protest: 0, backfire: 0.03 },
+    },
+  };
+  const FEEDBACK = ["L", "E", "T", "P"];
+  const FEEDBACK_SOURCES = ["debt", "protest", "backfire"];
+  // Every coded input, as the paths used by evidence, codings and adjudication ("violations.security.scope", "health.L", …).
+  const INPUT_PATHS = [
+    ...DOMAINS.flatMap(d => TRIPLE.map(f => `violations.${d}.${f}`)),
+    ...REPAIR.map(k => `repair.${k}`),
+    ...HEALTH.map(k => `health.${k}`),
+    "baselineD",
+  ];
+  const CONSENSUS_METHODS = ["mean", "median", "adjudicated"];
+  const TIMELINE_MODES = ["constant", "manual", "keyframes"];
+  const DISTS = ["uniform", "triangular", "normal"];
+  const LAYOUTS = ["components", "short"];
+
+  function isObj(v) { return v != null && typeof v === "object" && !Array.isArray(v); }
+  function show(v) {
+    const s = JSON.stringify(v);
+    return s === undefined ? "nothing" : s.length > 30 ? s.slice(0, 30) + "…" : s;
+  }
+
+  // --- Migration ---
+  // v1 → v2: wrap the array; give id-less scenarios an id; fill missing inputs from the defaults and turn
+  // numeric strings into numbers. Each repair is reported as a warning so the coder can check it.
+  function migrateV1(list, warnings) {
+    const used = new Set(list.filter(s => isObj(s) && typeof s.id === "string").map(s => s.id));
+    return list.map((s, i) => {
+      if (!isObj(s)) return s;
+      const at = `scenarios[${i}]`;
+      const out = { ...s };
+      if (typeof out.id !== "string" || !out.id) {
+        let id = `case_${String(out.name || i + 1).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "")}`, n = 2;
+        while (used.has(id)) id = `${id}_${n++}`;
+        used.add(id);
+        out.id = id;
+        warnings.push({ path: `${at}.id`, message: `missing; set to "${id}"` });
+      }
+      if (!isObj(out.period)) return out;
+      const p = out.period = { ...out.period };
+      const num = (obj, key, path, fallback) => {
+        if (typeof obj[key] === "string" && obj[key].trim() !== "" && Number.isFinite(Number(obj[key]))) {
+          obj[key] = Number(obj[key]);
+          warnings.push({ path, message: "numeric string converted to a number" });
+        } else if (obj[key] === undefined && fallback !== undefined) {
+          obj[key] = fallback;
+          warnings.push({ path, message: `missing; default ${fallback} used` });
+        }
+      };
+      num(p, "baselineD", `${at}.period.baselineD`);
+      if (isObj(p.violations)) {
+        p.violations = { ...p.violations };
+        for (const d of DOMAINS) {
+          if (p.violations[d] === undefined) { p.violations[d] = { ...DEFAULTS.triple }; warnings.push({ path: `${at}.period.violations.${d}`, message: "missing; default triple used" }); continue; }
+          if (!isObj(p.violations[d])) continue;
+          p.violations[d] = { ...p.violations[d] };
+          for (const f of TRIPLE) num(p.violations[d], f, `${at}.period.violations.${d}.${f}`);
+        }
+      }
+      for (const [group, keys] of [["repair", REPAIR], ["health", HEALTH]]) {
+        if (!isObj(p[group])) continue;
+        p[group] = { ...p[group] };
+        for (const k of keys) num(p[group], k, `${at}.period.${group}.${k}`, DEFAULTS[group][k]);
+      }
+      return out;
+    });
+  }
+  const MIGRATIONS = { 1: migrateV1 };
+
+  function repairDynamics(list, warnings) {
+    return list.map((s, i) => {
+      if (!isObj(s) || !isObj(s.dynamics)) return s;
+      const at = `scenarios[${i}].dynamics`;
+      const d = { ...s.dynamics };
+      if (typeof d.memory === "number" && d.memory > 1) {
+        warnings.push({ path: `${at}.memory`, message: `${d.memory} is above 1; set to 1` });
+        d.memory = 1;
+      }
+      if (d.feedback === undefined) d.feedback = {};
+      if (isObj(d.feedback)) {
+        d.feedback = { ...d.feedback };
+        for (const k of FEEDBACK) {
+          if (d.feedback[k] === undefined) { d.feedback[k] = { ...DEFAULTS.feedback[k] }; warnings.push({ path: `${at}.feedback.${k}`, message: "missing; defaults used" }); continue; }
+          if (!isObj(d.feedback[k])) continue;
+          d.feedback[k] = { ...d.feedback[k] };
+          for (const src of FEEDBACK_SOURCES) if (d.feedback[k][src] === undefined) {
+            d.feedback[k][src] = DEFAULTS.feedback[k][src];
+            warnings.push({ path: `${at}.feedback.${k}.${src}`, message: `missing; default ${DEFAULTS.feedback[k][src]} used` });
+          }
+        }
+      }
+      return { ...s, dynamics: d };
+    });
+  }
+
+  // --- Validation ---
+  function validateScenario(s, at) {
+    const errors = [];
+    const err = (path, message) => errors.push({ path: `${at}${path}`, message });
+    const unit = (v, path) => { if (typeof v !== "number" || !Number.isFinite(v) || v < 0 || v > 1) err(path, `expected a number in 0–1, got ${show(v)}`); };
+    const str = (v, path, optional) => { if (!(optional && v === undefined) && typeof v !== "string") err(path, `expected text, got ${show(v)}`); };
+    const date = (v, path) => { if (v !== undefined && v !== "" && (typeof v !== "string" || Number.isNaN(new Date(v).getTime()))) err(path, `expected a YYYY-MM-DD date, got ${show(v)}`); };
+    const inputs = (p, path) => {
+      if (!isObj(p.violations)) err(`${path}.violations`, "missing");
+      else for (const d of DOMAINS) {
+        if (!isObj(p.violations[d])) { err(`${path}.violations.${d}`, `expected {scope, severity, salience}, got ${show(p.violations[d])}`); continue; }
+        for (const f of TRIPLE) unit(p.violations[d][f], `${path}.violations.${d}.${f}`);
+      }
+      for (const [group, keys] of [["repair", REPAIR], ["health", HEALTH]]) {
+        if (!isObj(p[group])) { err(`${path}.${group}`, "missing"); continue; }
+        for (const k of keys) unit(p[group][k], `${path}.${group}.${k}`);
+      }
+    };
+
+    if (!isObj(s)) { err("", `expected a scenario object, got ${show(s)}`); return errors; }
+    if (typeof s.id !== "string" || !s.id) err(".id", `expected a non-empty id, got ${show(s.id)}`);
+    str(s.name, ".name");
+    str(s.note, ".note", true);
+    if (!isObj(s.period)) err(".period", "missing");
+    else {
+      if (typeof s.period.baselineD !== "number" || !Number.isFinite(s.period.baselineD)) err(".period.baselineD", `expected a number, got ${show(s.period.baselineD)}`);
+      inputs(s.period, ".period");
+    }
+    date(s.eventDate, ".eventDate"); date(s.cdFlagDate, ".cdFlagDate"); date(s.altFlagDate, ".altFlagDate");
+    str(s.altModelName, ".altModelName", true);
+
+    if (s.timeline !== undefined) {
+      const tl = s.timeline;
+      if (!isObj(tl)) err(".timeline", `expected an object, got ${show(tl)}`);
+      else {
+        if (!TIMELINE_MODES.includes(tl.mode)) err(".timeline.mode", `expected one of ${TIMELINE_MODES.join("/")}, got ${show(tl.mode)}`);
+        if (!Array.isArray(tl.steps)) err(".timeline.steps", "expected a list");
+        else tl.steps.forEach((st, i) => isObj(st) ? inputs(st, `.timeline.steps[${i}]`) : err(`.timeline.steps[${i}]`, "expected an object"));
+        if (!Array.isArray(tl.keyframes)) err(".timeline.keyframes", "expected a list");
+        else tl.keyframes.forEach((k, i) => {
+          if (!isObj(k)) { err(`.timeline.keyframes[${i}]`, "expected an object"); return; }
+          if (!Number.isInteger(k.at) || k.at < 1) err(`.timeline.keyframes[${i}].at`, `expected a period ≥ 1, got ${show(k.at)}`);
+          inputs(k, `.timeline.keyframes[${i}]`);
+        });
+      }
+    }
+    if (s.uncertainty !== undefined) {
+      const u = s.uncertainty;
+      const spec = (d, path) => {
+        if (!isObj(d)) { err(path, "expected {dist, spread}"); return; }
+        if (!DISTS.includes(d.dist)) err(`${path}.dist`, `expected one of ${DISTS.join("/")}, got ${show(d.dist)}`);
+        if (typeof d.spread !== "number" || !(d.spread >= 0)) err(`${path}.spread`, `expected a number ≥ 0, got ${show(d.spread)}`);
+      };
+      if (!isObj(u)) err(".uncertainty", `expected an object, got ${show(u)}`);
+      else {
+        spec(u.defaults, ".uncertainty.defaults");
+        if (isObj(u.overrides)) for (const k of Object.keys(u.overrides)) spec(u.overrides[k], `.uncertainty.overrides.${k}`);
+        else err(".uncertainty.overrides", "expected an object");
+        if (!Number.isInteger(u.draws) || u.draws < 1) err(".uncertainty.draws", `expected a whole number ≥ 1, got ${show(u.draws)}`);
+        if (typeof u.seed !== "number") err(".uncertainty.seed", `expected a number, got ${show(u.seed)}`);
+      }
+    }
+    if (s.model !== undefined) {
+      const m = s.model;
+      if (!isObj(m)) err(".model", `expected a model config, got ${show(m)}`);
+      else {
+        str(m.id, ".model.id");
+        if (!isObj(m.bands) || !Array.isArray(m.bands.cuts) || !Array.isArray(m.bands.labels)) err(".model.bands", "expected {cuts, labels, colors}");
+        else {
+          if (m.bands.cuts.some((c, i) => typeof c !== "number" || (i > 0 && c <= m.bands.cuts[i - 1]))) err(".model.bands.cuts", "expected increasing numbers");
+          if (m.bands.labels.length !== m.bands.cuts.length + 1) err(".model.bands.labels", `expected ${m.bands.cuts.length + 1} labels, got ${m.bands.labels.length}`);
+        }
+        if (m.vCap !== null && m.vCap !== undefined && typeof m.vCap !== "number") err(".model.vCap", `expected a number or null, got ${show(m.vCap)}`);
+      }
+    }
+    if (s.dynamics !== undefined) {
+      const d = s.dynamics;
+      if (!isObj(d)) err(".dynamics", `expected an object, got ${show(d)}`);
+      else {
+        if (typeof d.enabled !== "boolean") err(".dynamics.enabled", `expected true/false, got ${show(d.enabled)}`);
+        const num = (k, ok, range) => { if (typeof d[k] !== "number" || !Number.isFinite(d[k]) || !ok(d[k])) err(`.dynamics.${k}`, `expected ${range}, got ${show(d[k])}`); };
+        num("memory", v => v >= 0 && v <= 1, "a number in 0–1");
+        num("threshold", () => true, "a number");
+        num("compounding", v => v >= 0, "a number ≥ 0");
+        num("exponent", v => v > 0, "a number > 0");
+        if (!isObj(d.feedback)) err(".dynamics.feedback", `expected an object keyed by ${FEEDBACK.join("/")}, got ${show(d.feedback)}`);
+        else for (const k of FEEDBACK) {
+          const f = d.feedback[k];
+          if (!isObj(f)) { err(`.dynamics.feedback.${k}`, `expected {${FEEDBACK_SOURCES.join(", ")}}, got ${show(f)}`); continue; }
+          for (const src of FEEDBACK_SOURCES) if (typeof f[src] !== "number" || !Number.isFinite(f[src])) err(`.dynamics.feedback.${k}.${src}`, `expected a number, got ${show(f[src])}`);
+        }
+      }
+    }
+    // Evidence is keyed by input path: { sources: [{citation, url?, date?}], rationale?, coder?, updated? }.
+    const evidence = (ev, path) => {
+      if (ev === undefined) return;
+      if (!isObj(ev)) { err(path, `expected an object keyed by input, got ${show(ev)}`); return; }
+      for (const k of Object.keys(ev)) {
+        const e = ev[k], at = `${path}.${k}`;
+        if (!INPUT_PATHS.includes(k)) { err(at, "not a known input"); continue; }
+        if (!isObj(e)) { err(at, `expected {sources, rationale}, got ${show(e)}`); continue; }
+        if (!Array.isArray(e.sources)) err(`${at}.sources`, "expected a list");
+        else e.sources.forEach((src, i) => {
+          if (!isObj(src)) { err(`${at}.sources[${i}]`, "expected {citation, url, date}"); return; }
+          str(src.citation, `${at}.sources[${i}].citation`); str(src.url, `${at}.sources[${i}].url`, true); date(src.date, `${at}.sources[${i}].date`);
+        });
+        str(e.rationale, `${at}.rationale`, true); str(e.coder, `${at}.coder`, true); date(e.updated, `${at}.updated`);
+      }
+    };
+    evidence(s.evidence, ".evidence");
+    if (s.codings !== undefined) {
+      if (!Array.isArray(s.codings)) err(".codings", `expected a list, got ${show(s.codings)}`);
+      else {
+        const coders = new Set();
+        s.codings.forEach((c, i) => {
+          const at = `.codings[${i}]`;
+          if (!isObj(c)) { err(at, "expected {coder, codedAt, period}"); return; }
+          if (typeof c.coder !== "string" || !c.coder) err(`${at}.coder`, `expected a coder name, got ${show(c.coder)}`);
+          else if (coders.has(c.coder)) err(`${at}.coder`, `"${c.coder}" has more than one coding`);
+          coders.add(c.coder);
+          date(c.codedAt, `${at}.codedAt`);
+          if (!isObj(c.period)) err(`${at}.period`, "missing");
+          else {
+            if (typeof c.period.baselineD !== "number" || !Number.isFinite(c.period.baselineD)) err(`${at}.period.baselineD`, `expected a number, got ${show(c.period.baselineD)}`);
+            inputs(c.period, `${at}.period`);
+          }
+          evidence(c.evidence, `${at}.evidence`);
+        });
+      }
+    }
+    if (s.adjudication !== undefined) {
+      if (!isObj(s.adjudication)) err(".adjudication", `expected an object keyed by input, got ${show(s.adjudication)}`);
+      else for (const k of Object.keys(s.adjudication)) {
+        const a = s.adjudication[k], at = `.adjudication.${k}`;
+        if (!INPUT_PATHS.includes(k)) { err(at, "not a known input"); continue; }
+        if (!isObj(a)) { err(at, `expected {value, by}, got ${show(a)}`); continue; }
+        if (k !== "baselineD") unit(a.value, `${at}.value`);
+        else if (typeof a.value !== "number" || !Number.isFinite(a.value)) err(`${at}.value`, `expected a number, got ${show(a.value)}`);
+        str(a.by, `${at}.by`); str(a.note, `${at}.note`, true);
+      }
+    }
+    if (s.consensus !== undefined) {
+      const c = s.consensus;
+      if (!isObj(c)) err(".consensus", `expected an object, got ${show(c)}`);
+      else {
+        if (!CONSENSUS_METHODS.includes(c.method)) err(".consensus.method", `expected one of ${CONSENSUS_METHODS.join("/")}, got ${show(c.method)}`);
+        if (!Array.isArray(c.coders) || c.coders.some(x => typeof x !== "string")) err(".consensus.coders", "expected a list of coder names");
+        str(c.from, ".consensus.from");
+      }
+    }
+    // Provenance of imported values (gog_cd_adapters.js), keyed by input path.
+    if (s.provenance !== undefined) {
+      if (!isObj(s.provenance)) err(".provenance", `expected an object keyed by input, got ${show(s.provenance)}`);
+      else for (const k of Object.keys(s.provenance)) {
+        const p = s.provenance[k], at = `.provenance.${k}`;
+        if (!INPUT_PATHS.includes(k)) { err(at, "not a known input"); continue; }
+        if (!isObj(p)) { err(at, `expected {recipe, fingerprint, source, line, value, columns}, got ${show(p)}`); continue; }
+        str(p.recipe, `${at}.recipe`); str(p.fingerprint, `${at}.fingerprint`); str(p.source, `${at}.source`);
+        if (!Number.isInteger(p.line)) err(`${at}.line`, `expected a line number, got ${show(p.line)}`);
+        if (k !== "baselineD") unit(p.value, `${at}.value`);
+        if (!Array.isArray(p.columns)) err(`${at}.columns`, "expected a list");
+        else p.columns.forEach((c, i) => {
+          if (!isObj(c)) { err(`${at}.columns[${i}]`, "expected {column, raw, value}"); return; }
+          str(c.column, `${at}.columns[${i}].column`);
+          if (typeof c.raw !== "number" || !Number.isFinite(c.raw)) err(`${at}.columns[${i}].raw`, `expected a number, got ${show(c.raw)}`);
+          unit(c.value, `${at}.columns[${i}].value`);
+        });
+      }
+    }
+    if (s.bundle !== undefined) {
+      const b = s.bundle;
+      if (!isObj(b)) err(".bundle", `expected an object, got ${show(b)}`);
+      else {
+        str(b.group, ".bundle.group"); str(b.variant, ".bundle.variant");
+        if (!LAYOUTS.includes(b.layout)) err(".bundle.layout", `expected one of ${LAYOUTS.join("/")}, got ${show(b.layout)}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @returns {{ version: number|null, migratedFrom: number|null, scenarios: object[], rejected: number,
+   *   errors: {path:string, message:string}[], warnings: {path:string, message:string}[] }}
+   */
+  function readFile(json) {
+    const errors = [], warnings = [];
+    const result = (version, migratedFrom, scenarios, rejected) => ({ version, migratedFrom, scenarios, rejected, errors, warnings });
+    let version, list;
+    if (Array.isArray(json)) { version = 1; list = json; }
+    else if (isObj(json) && json.schema === SCHEMA_ID) {
+      version = json.version;
+      list = json.scenarios;
+      if (!Number.isInteger(version) || version < 1) { errors.push({ path: "version", message: `expected a schema version, got ${show(version)}` }); return result(null, null, [], 0); }
+      if (version > SCHEMA_VERSION) { errors.push({ path: "version", message: `file is schema v${version}; this tool reads up to v${SCHEMA_VERSION}` }); return result(version, null, [], 0); }
+      if (!Array.isArray(list)) { errors.push({ path: "scenarios", message: "expected a list of scenarios" }); return result(version, null, [], 0); }
+    } else {
+      errors.push({ path: "", message: `expected a "${SCHEMA_ID}" file or a scenario array` });
+      return result(null, null, [], 0);
+    }
+    const from = version;
+    for (let v = version; v < SCHEMA_VERSION; v++) list = MIGRATIONS[v](list, warnings);
+    list = repairDynamics(list, warnings);
+
+    const scenarios = [], seen = new Set();
+    let rejected = 0;
+    list.forEach((s, i) => {
+      const errs = validateScenario(s, `scenarios[${i}]`);
+      if (!errs.length && seen.has(s.id)) errs.push({ path: `scenarios[${i}].id`, message: `duplicate id "${s.id}"` });
+      if (errs.length) { errors.push(...errs); rejected++; return; }
+      seen.add(s.id);
+      scenarios.push(s);
+    });
+    return result(SCHEMA_VERSION, from < SCHEMA_VERSION ? from : null, scenarios, rejected);
+  }
+
+  // Projection rows with a non-numeric field are dropped, and a case's series stops at the first bad row.
+  // A row's health is kept only when all seven factors are numbers.
+  function readProjections(json, ids) {
+    const out = { horizon: null, cases: {} }, warnings = [];
+    const p = isObj(json) ? json.projections : undefined;
+    if (p === undefined) return { ...out, warnings };
+    if (!isObj(p) || !isObj(p.cases)) { warnings.push({ path: "projections", message: "expected { horizon, cases }; ignored" }); return { ...out, warnings }; }
+    out.horizon = Number.isInteger(p.horizon) ? p.horizon : null;
+    for (const id of Object.keys(p.cases)) {
+      if (!ids.includes(id)) continue;
+      const rows = Array.isArray(p.cases[id]) ? p.cases[id] : [];
+      const bad = rows.findIndex(r => !isObj(r) || ["period", "V", "R", "capacity", "RV", "D"].some(k => typeof r[k] !== "number" || !Number.isFinite(r[k])));
+      if (bad >= 0) warnings.push({ path: `projections.cases.${id}[${bad}]`, message: "not a projection row; the series stops here" });
+      out.cases[id] = (bad >= 0 ? rows.slice(0, bad) : rows).map(r => {
+        const row = { period: r.period, V: r.V, R: r.R, capacity: r.capacity, RV: r.RV, D: r.D, inWindow: !!r.inWindow };
+        if (isObj(r.health) && HEALTH.every(k => typeof r.health[k] === "number" && Number.isFinite(r.health[k]))) row.health = Object.fromEntries(HEALTH.map(k => [k, r.health[k]]));
+        return row;
+      });
+    }
+    return { ...out, warnings };
+  }
+
+  // Revisions that are not well formed are dropped with a warning; a history that is not an object is ignored.
+  const REVISION_KINDS = ["create", "edit", "import", "undo", "redo"];
+  function isRevision(r) {
+    return isObj(r) && typeof r.at === "string" && typeof r.author === "string" && REVISION_KINDS.includes(r.kind)
+      && Array.isArray(r.changes) && r.changes.every(c => isObj(c) && typeof c.path === "string")
+      && (r.why === undefined || typeof r.why === "string");
+  }
+  function readHistory(history) {
+    const out = {}, warnings = [];
+    if (history === undefined) return { history: out, warnings, dropped: 0 };
+    if (!isObj(history)) {
+      warnings.push({ path: "history", message: `expected an object keyed by case id, got ${show(history)}; ignored` });
+      return { history: out, warnings, dropped: 1 };
+    }
+    let dropped = 0;
+    for (const id of Object.keys(history)) {
+      const list = history[id];
+      if (!Array.isArray(list)) { warnings.push({ path: `history.${id}`, message: `expected a list of revisions, got ${show(list)}; dropped` }); dropped++; continue; }
+      out[id] = list.filter((r, i) => {
+        if (isRevision(r)) return true;
+        warnings.push({ path: `history.${id}[${i}]`, message: "not a revision { at, author, kind, changes }; dropped" });
+        dropped++;
+        return false;
+      });
+    }
+    return { history: out, warnings, dropped };
+  }
+
+  // --- Links ---
+  const LINK_PARAM = "scenarios";
+  function toLink(json) {
+    const bytes = new TextEncoder().encode(JSON.stringify(json));
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return `${LINK_PARAM}=${btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+  }
+  // Accepts a whole hash ("#scenarios=…") or just the value; returns the parsed file, or null if the hash holds none.
+  function fromLink(hash) {
+    const m = String(hash || "").match(new RegExp(`(?:^#?|&)${LINK_PARAM}=([A-Za-z0-9_-]+)`));
+    if (!m) return null;
+    const bin = atob(m[1].replace(/-/g, "+").replace(/_/g, "/"));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
+  }
+
+  function wrap(scenarios, extra) {
+    return { schema: SCHEMA_ID, version: SCHEMA_VERSION, exportedAt: new Date().toISOString(), ...(extra || {}), scenarios };
+  }
+
+  return { SCHEMA_ID, SCHEMA_VERSION, DOMAINS, REPAIR, HEALTH, INPUT_PATHS, CONSENSUS_METHODS, readFile, validateScenario, wrap, readProjections, readHistory, toLink, fromLink };
+});
@@ -0,0 +1,133 @@
+/* ===================== GoG × Contradiction Debt — fitted topology surface =====================
+ * Nadaraya–Watson (Gaussian kernel) surface over the (X, Y) unit square, used by the Moral Topology
+ * (<script src="gog_cd_surface.js">); registers `GoGSurface`. The same file is the page's Web Worker
+ * (new Worker("gog_cd_surface.js")): it then answers { id, type, points, opts } with { id, result }, so
+ * fitting never blocks the page.
+ *
+ * `fit` evaluates the smoother on a gridN × gridN grid. `looSigma` picks the bandwidth by leave-one-out
+ * cross-validation: every point is predicted from all the others and the sigma with the lowest mean
+ * squared error wins. Both take points already in plot units or apply the page's transforms themselves
+ * (normalize X/Y to [0, 1], logit Z), so the fit and the plotted cases always share one space.
+ */
+(function (root, factory) {
+  // As the page's worker nothing else is loaded yet; the helpers sit next to this file.
+  if (!root.GoGUtil && typeof importScripts === "function") importScripts("gog_cd_util.js");
+  const util = typeof module === "object" && module.exports ? require("./gog_cd_util.js") : root.GoGUtil;
+  const api = factory(util);
+  root.GoGSurface = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : self, function (Util) {
+  "use strict";
+
+  const GRID_SIZES = [25, 40, 60, 80, 120];
+  const SIGMA_RANGE = { min: 0.08, max: 0.40, step: 0.01 }; // the page's slider
+
+  const eps = 1e-6;
+  function clamp01(v) { return Math.max(0 + eps, Math.min(1 - eps, v)); }
+  function logit(p) { p = clamp01(p); return Math.log(p / (1 - p)); }
+  function norm01(v, min, max) { if (max - min < eps) return 0.5; return (v - min) / (max - min); }
+
+  // Points in plot units: X, Y normalized when asked, Z on the logit scale when asked.
+  function transform(points, opts) {
+    const o = opts || {};
+    const xMin = Math.min(...points.map(p => p.x)), xMax = Math.max(...points.map(p => p.x));
+    const yMin = Math.min(...points.map(p => p.y)), yMax = Math.max(...points.map(p => p.y));
+    return points.map(p => ({
+      X: o.normalize ? norm01(p.x, xMin, xMax) : p.x,
+      Y: o.normalize ? norm01(p.y, yMin, yMax) : p.y,
+      Z: o.logit ? logit(clamp01(p.z)) : p.z,
+    }));
+  }
+  function grid(n) { return Array.from({ length: n }, (_, i) => i / (n - 1)); }
+
+  /**
+   * @param {{ x: number, y: number, z: number }[]} points
+   * @param {{ sigma: number, gridN?: number, normalize?: boolean, logit?: boolean }} opts
+   * @returns {{ xs: number[], ys: number[], z: number[][], sigma: number } | null}
+   */
+  function fit(points, opts) {
+    if (!points.length) return null;
+    const sigma = opts.sigma, gridN = opts.gridN || 40;
+    const P = transform(points, opts);
+    const xs = grid(gridN), ys = grid(gridN);
+    const z = [];
+    for (let yi = 0; yi < ys.length; yi++) {
+      const row = [];
+      for (let xi = 0; xi < xs.length; xi++) {
+        const xg = xs[xi], yg = ys[yi];
+        let num = 0, den = 0;
+        for (const p of P) {
+          const k = Math.exp(-((xg - p.X) ** 2 + (yg - p.Y) ** 2) / (sigma * sigma));
+          num += k * p.Z; den += k;
+        }
+        row.push(den > 1e-9 ? num / den : 0.5);
+      }
+      z.push(row);
+    }
+    return { xs, ys, z, sigma };
+  }
+
+  function sigmaCandidates(range) {
+    const r = range || SIGMA_RANGE, out = [];
+    for (let s = r.min; s <= r.max + 1e-9; s += r.step) out.push(+s.toFixed(4));
+    return out;
+  }
+
+  /**
+   * Leave-one-out CV over the candidate sigmas (the slider's steps by default). A point with no
+   * neighbour within reach of the kernel is predicted by the mean of the others.
+   * @returns {{ sigma: number, mse: number, scores: { sigma: number, mse: number }[], n: number, atEdge: boolean } | null}
+   */
+  function looSigma(points, opts) {
+    const o = opts || {};
+    const P = transform(points, o), n = P.length;
+    if (n < 3) return null;
+    const cands = o.candidates || sigmaCandidates(o.range);
+    const total = P.reduce((a, p) => a + p.Z, 0);
+    const sse = new Array(cands.length).fill(0);
+    const inv = cands.map(s => 1 / (s * s));
+    const num = new Float64Array(cands.length), den = new Float64Array(cands.length);
+    for (let i = 0; i < n; i++) {
+      num.fill(0); den.fill(0);
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const d2 = (P[i].X - P[j].X) ** 2 + (P[i].Y - P[j].Y) ** 2;
+        for (let c = 0; c < cands.length; c++) {
+          const k = Math.exp(-d2 * inv[c]);
+          num[c] += k * P[j].Z; den[c] += k;
+        }
+      }
+      const fallback = (total - P[i].Z) / (n - 1);
+      for (let c = 0; c < cands.length; c++) {
+        const pred = den[c] > 1e-12 ? num[c] / den[c] : fallback;
+        sse[c] += (pred - P[i].Z) ** 2;
+      }
+    }
+    const scores = cands.map((sigma, c) => ({ sigma, mse: sse[c] / n }));
+    let best = 0;
+    scores.forEach((s, c) => { if (s.mse < scores[best].mse) best = c; });
+    return { sigma: scores[best].sigma, mse: scores[best].mse, scores, n, atEdge: best === 0 || best === scores.length - 1 };
+  }
+
+  function run(type, points, opts) {
+    if (type === "fit") return fit(points, opts);
+    if (type === "loo") return looSigma(points, opts);
+    throw new Error(`unknown surface job "${type}"`);
+  }
+
+  // Cache key for a job: FNV-1a over the job type, its options and every point.
+  function cacheKey(type, points, opts) {
+    const s = `${type}|${JSON.stringify(opts || {})}|${points.map(p => `${p.x},${p.y},${p.z}`).join(";")}`;
+    return `${type}:${points.length}:${Util.fnv1a(s)}`;
+  }
+
+  if (typeof document === "undefined" && typeof importScripts === "function") {
+    self.onmessage = e => {
+      const { id, type, points, opts } = e.data;
+      try { self.postMessage({ id, result: run(type, points, opts) }); }
+      catch (err) { self.postMessage({ id, error: String((err && err.message) || err) }); }
+    };
+  }
+
+  return { GRID_SIZES, SIGMA_RANGE, sigmaCandidates, transform, fit, looSigma, run, cacheKey };
+});
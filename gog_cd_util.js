@@ -0,0 +1,41 @@
+/* ===================== GoG × Contradiction Debt — shared helpers =====================
+ * Small pieces the other gog_cd_*.js modules and the playground have in common; registers `GoGUtil`.
+ * Load it first: the playground imports it before the other modules, the Moral Topology lists its
+ * <script> tag first and the surface worker pulls it in with importScripts.
+ */
+(function (root, factory) {
+  const api = factory();
+  root.GoGUtil = api;
+  if (typeof module === "object" && module.exports) module.exports = api;
+})(typeof globalThis !== "undefined" ? globalThis : self, function () {
+  "use strict";
+
+  // 32-bit FNV-1a of a string as 8 hex digits: model and recipe fingerprints, surface cache keys.
+  function fnv1a(s) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+    return (h >>> 0).toString(16).padStart(8, "0");
+  }
+
+  // Seeded PRNG, so Monte Carlo runs, bootstraps and CV folds can be reproduced.
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Mann–Whitney AUROC for 0/1 labels; ties count half. NaN without both classes.
+  function auroc(scores, labels) {
+    const pos = scores.filter((_, i) => labels[i] === 1), neg = scores.filter((_, i) => labels[i] === 0);
+    if (!pos.length || !neg.length) return NaN;
+    let wins = 0;
+    for (const a of pos) for (const b of neg) wins += a > b ? 1 : a === b ? 0.5 : 0;
+    return wins / (pos.length * neg.length);
+  }
+
+  return { fnv1a, mulberry32, auroc };
+});